@@ -0,0 +1,360 @@
+/**
+ * Asynchronous Build Jobs
+ *
+ * Runs poststrat table builds in the background so the HTTP request that
+ * starts one returns immediately. Each build is a BuildJob row whose status
+ * and progress (phase, current, total) are updated as it runs; clients poll
+ * GET /api/jobs/:id. Cancellation aborts the in-flight Census request or
+ * stops the builder at the next geography or stored batch.
+ *
+ * A job for a crosswalk plan re-apportions the year's built table onto the
+ * plan (see crosswalks.js), and a job for a derived kind combines other
+ * years' built tables (see derivedFrames.js), instead of fetching Census
+ * data.
+ */
+
+const { prisma } = require('./db');
+const { fetchSchemeData } = require('./censusClient');
+const { buildPoststratTable, DEFAULT_TABLE } = require('./tableBuilder');
+const { buildCrosswalkTable } = require('./crosswalks');
+const { buildDerivedTable } = require('./derivedFrames');
+const { getScheme } = require('./recodeSchemes');
+const { checkSchemeVariables } = require('./variableMetadata');
+
+const PROGRESS_WRITE_INTERVAL_MS = 500;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// AbortControllers for jobs running in this process, by job ID
+const activeJobs = new Map();
+
+/**
+ * Human-readable progress message for a phase
+ *
+ * @param {Object} progress - { phase, current, total }
+ * @returns {string} e.g. "Fetching batch 3/14"
+ */
+function progressMessage({ phase, current, total }) {
+  switch (phase) {
+    case 'fetching':
+      return `Fetching batch ${current}/${total}`;
+    case 'recoding':
+      return `Recoding geography ${current}/${total}`;
+    case 'crosswalking':
+      return `Crosswalking geography ${current}/${total}`;
+    case 'deriving':
+      return `Deriving geography ${current}/${total}`;
+    case 'storing':
+      return `Storing ${current}/${total} cells`;
+    default:
+      return phase;
+  }
+}
+
+/**
+ * Create a progress reporter that writes to the job row
+ *
+ * Writes are throttled (phase changes and the last step of a phase are
+ * always written) and chained so they land in order.
+ *
+ * @param {string} jobId - Build job ID
+ * @returns {Object} { report(progress), flush() }
+ */
+function createProgressWriter(jobId) {
+  let pending = Promise.resolve();
+  let lastWrite = 0;
+  let lastPhase = null;
+
+  const report = (progress) => {
+    const now = Date.now();
+    const isPhaseChange = progress.phase !== lastPhase;
+    const isPhaseEnd = progress.current === progress.total;
+    if (!isPhaseChange && !isPhaseEnd && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) {
+      return;
+    }
+
+    lastWrite = now;
+    lastPhase = progress.phase;
+
+    pending = pending
+      .then(() => prisma.buildJob.update({
+        where: { id: jobId },
+        data: {
+          phase: progress.phase,
+          progressCurrent: progress.current,
+          progressTotal: progress.total,
+          message: progressMessage(progress)
+        }
+      }))
+      .catch(error => {
+        console.error(`Job ${jobId}: failed to record progress:`, error.message);
+      });
+  };
+
+  return {
+    report,
+    flush: () => pending
+  };
+}
+
+/**
+ * Mark a job finished
+ *
+ * @param {string} jobId - Build job ID
+ * @param {Object} data - Final fields (status, result, error, message)
+ * @returns {Promise<Object>} Updated job
+ */
+function finishJob(jobId, data) {
+  return prisma.buildJob.update({
+    where: { id: jobId },
+    data: {
+      ...data,
+      finishedAt: new Date()
+    }
+  });
+}
+
+/**
+ * Run a build job to completion
+ *
+ * Never throws: every outcome is recorded on the job row.
+ *
+ * @param {Object} job - BuildJob row
+ * @param {AbortController} controller - Cancels the build
+ */
+async function runBuildJob(job, controller) {
+  const { id, year, dataset, universe, geoType, recodeScheme, plan, kind, derivation } = job;
+  const table = { universe, dataset, geoType, recodeScheme };
+  const isCrosswalk = plan !== DEFAULT_TABLE.plan;
+  const isDerived = kind !== DEFAULT_TABLE.kind;
+  const { signal } = controller;
+  const progress = createProgressWriter(id);
+
+  try {
+    signal.throwIfAborted();
+
+    await prisma.buildJob.update({
+      where: { id },
+      data: { status: 'running', startedAt: new Date(), message: 'Starting build' }
+    });
+
+    if (isDerived) {
+      console.log(`[${new Date().toISOString()}] Job ${id}: deriving ${kind} ${universe} ${dataset} poststrat table for ${year} (${geoType}, ${recodeScheme} recode scheme) from ${derivation.years.join(', ')}...`);
+
+      const result = await buildDerivedTable(year, { ...table, plan }, derivation, {
+        jobId: id,
+        onProgress: progress.report,
+        signal
+      });
+
+      await progress.flush();
+      await finishJob(id, {
+        status: 'completed',
+        result,
+        message: `${kind[0].toUpperCase()}${kind.slice(1)} ${universe} ${dataset} poststrat table derived for ${year} (${geoType}, ${recodeScheme} recode scheme) from ${derivation.years.join(', ')}`
+      });
+
+      console.log(`[${new Date().toISOString()}] Job ${id}: derivation complete!`);
+      return;
+    }
+
+    if (isCrosswalk) {
+      console.log(`[${new Date().toISOString()}] Job ${id}: crosswalking ${universe} ${dataset} poststrat table for ${year} (${geoType}, ${recodeScheme} recode scheme) onto plan ${plan}...`);
+
+      const result = await buildCrosswalkTable(year, { ...table, plan }, {
+        jobId: id,
+        onProgress: progress.report,
+        signal
+      });
+
+      await progress.flush();
+      await finishJob(id, {
+        status: 'completed',
+        result,
+        message: `Poststrat ${universe} ${dataset} table for ${year} (${geoType}, ${recodeScheme} recode scheme) crosswalked onto plan ${plan}`
+      });
+
+      console.log(`[${new Date().toISOString()}] Job ${id}: crosswalk complete!`);
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}] Job ${id}: starting ${universe} ${dataset} poststrat table build for ${year} (${geoType}, ${recodeScheme} recode scheme)...`);
+
+    const scheme = getScheme(recodeScheme);
+    if (!scheme) {
+      throw new Error(`Unknown recode scheme: ${recodeScheme}`);
+    }
+
+    // Check the variable codes still mean what the recodes expect
+    const variables = await checkSchemeVariables(year, scheme, { dataset, signal });
+    const { status, source, error: checkError, mismatched = [], missing = [] } = variables.summary;
+    if (status === 'unavailable') {
+      console.warn(`Job ${id}: variable codes not checked (${checkError})`);
+    } else if (mismatched.length > 0 || missing.length > 0) {
+      const problem = `${mismatched.length} variable label mismatch(es) and ${missing.length} missing variable(s) in ${source}`;
+      if (!job.allowVariableMismatch) {
+        throw new Error(`${problem} (see GET /api/variables/${year}?dataset=${dataset}&scheme=${recodeScheme}; rebuild with allowVariableMismatch=true to build anyway)`);
+      }
+      console.warn(`Job ${id}: ${problem}; building anyway (allowVariableMismatch)`);
+    }
+
+    // Fetch Census data
+    const censusData = await fetchSchemeData(year, scheme, {
+      dataset,
+      geography: geoType,
+      onProgress: progress.report,
+      signal
+    });
+
+    if (!censusData || censusData.length === 0) {
+      await progress.flush();
+      await finishJob(id, {
+        status: 'failed',
+        error: `No ACS ${dataset} data available for ${year}. ACS estimates may not be published yet. Try an earlier year (2022 or 2023).`,
+        message: 'No Census data'
+      });
+      return;
+    }
+
+    // Build table
+    const result = await buildPoststratTable(year, censusData, {
+      ...table,
+      variableCheck: variables.summary,
+      jobId: id,
+      onProgress: progress.report,
+      signal
+    });
+
+    await progress.flush();
+    await finishJob(id, {
+      status: 'completed',
+      result,
+      message: `Poststrat ${universe} ${dataset} table built for ${year} (${geoType}, ${recodeScheme} recode scheme)`
+    });
+
+    console.log(`[${new Date().toISOString()}] Job ${id}: build complete!`);
+
+  } catch (error) {
+    await progress.flush();
+
+    const cancelled = signal.aborted;
+    if (cancelled) {
+      console.log(`[${new Date().toISOString()}] Job ${id}: cancelled`);
+    } else {
+      console.error(`Job ${id}: build error:`, error);
+    }
+
+    await finishJob(id, cancelled
+      ? { status: 'cancelled', message: 'Cancelled' }
+      : { status: 'failed', error: error.message, message: 'Build failed' }
+    ).catch(updateError => {
+      console.error(`Job ${id}: failed to record outcome:`, updateError.message);
+    });
+
+  } finally {
+    activeJobs.delete(id);
+  }
+}
+
+/**
+ * Queue a poststrat table build, a crosswalk onto another plan, or a
+ * derived frame
+ *
+ * The job row is created before returning; the build itself runs in the
+ * background.
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan }
+ * @param {Object} [options] - { derivation: derived frames, from resolveDerivation (its kind keys the table), allowVariableMismatch: build even if variable codes are mismatched or missing }
+ * @returns {Promise<Object>} Created BuildJob
+ */
+async function startBuildJob(year, table, options = {}) {
+  const { universe, dataset, geoType, recodeScheme, plan = DEFAULT_TABLE.plan } = table;
+  const { derivation, allowVariableMismatch = false } = options;
+  const kind = derivation ? derivation.kind : DEFAULT_TABLE.kind;
+
+  const job = await prisma.buildJob.create({
+    data: { year, universe, dataset, geoType, recodeScheme, plan, kind, derivation, allowVariableMismatch, status: 'queued', message: 'Queued' }
+  });
+
+  const controller = new AbortController();
+  activeJobs.set(job.id, controller);
+  setImmediate(() => runBuildJob(job, controller));
+
+  return job;
+}
+
+/**
+ * Get a build job
+ *
+ * @param {string} jobId - Build job ID
+ * @returns {Promise<Object|null>} BuildJob or null
+ */
+async function getJob(jobId) {
+  return prisma.buildJob.findUnique({ where: { id: jobId } });
+}
+
+/**
+ * Request cancellation of a build job
+ *
+ * The job's status changes to "cancelled" once the build stops. A build
+ * cancelled while storing discards its partial version, so the table's
+ * current version is unchanged.
+ *
+ * @param {string} jobId - Build job ID
+ * @returns {Promise<Object>} { job, finished } - finished is true if the job had already ended (nothing to cancel)
+ */
+async function cancelJob(jobId) {
+  const job = await getJob(jobId);
+  if (!job) {
+    return { job: null, finished: false };
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return { job, finished: true };
+  }
+
+  const updated = await prisma.buildJob.update({
+    where: { id: jobId },
+    data: { cancelRequested: true, message: 'Cancelling' }
+  });
+
+  const controller = activeJobs.get(jobId);
+  if (controller) {
+    controller.abort();
+  }
+
+  return { job: updated, finished: false };
+}
+
+/**
+ * Fail jobs left queued or running by a previous server process
+ *
+ * Called on startup: jobs only run in the process that started them.
+ *
+ * @returns {Promise<number>} Number of jobs marked failed
+ */
+async function recoverInterruptedJobs() {
+  const { count } = await prisma.buildJob.updateMany({
+    where: { status: { in: ['queued', 'running'] } },
+    data: {
+      status: 'failed',
+      error: 'Server restarted before the build finished',
+      message: 'Interrupted',
+      finishedAt: new Date()
+    }
+  });
+
+  if (count > 0) {
+    console.log(`Marked ${count} interrupted build job(s) as failed`);
+  }
+  return count;
+}
+
+module.exports = {
+  startBuildJob,
+  getJob,
+  cancelJob,
+  recoverInterruptedJobs,
+  FINISHED_STATUSES
+};
@@ -0,0 +1,465 @@
+/**
+ * Poststrat Table Versions
+ *
+ * Every build writes its cells under a new BuildRun. A run is only served
+ * once the CurrentTable row for its (year, dataset, universe, geoType,
+ * recodeScheme, plan, kind) points at it, and that pointer is swapped in the same transaction that
+ * marks the run complete, so readers never see a partial table. Older runs
+ * are kept for diffing and rollback.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('./db');
+const { schemeCensusVariables } = require('./censusClient');
+const { getScheme } = require('./recodeSchemes');
+const { DATASETS } = require('./geographies');
+
+const DEFAULT_DIFF_LIMIT = 20;
+
+// Cells are matched on these within a geography, whatever the versions'
+// recode schemes
+const DIFF_DIMENSIONS = ['ageGroup', 'sex', 'raceEth', 'education', 'income', 'maritalStatus', 'urbanicity'];
+
+/**
+ * Hash of the recode scheme and Census variables a build uses
+ *
+ * Two runs with the same hash were recoded identically, so differences
+ * between them come from the source data.
+ *
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {string} SHA-256 hex digest
+ */
+function recodeSpecHash(scheme) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      recodeSpecs: scheme.specs,
+      recodeScheme: scheme.definition.dimensions,
+      variables: schemeCensusVariables(scheme)
+    }))
+    .digest('hex');
+}
+
+/**
+ * Prisma compound key for a table's CurrentTable row
+ *
+ * @param {Object} run - Object with year, dataset, universe, geoType, recodeScheme, plan, kind
+ * @returns {Object} Unique where clause
+ */
+function currentTableKey({ year, dataset, universe, geoType, recodeScheme, plan, kind }) {
+  return {
+    year_dataset_universe_geoType_recodeScheme_plan_kind: { year, dataset, universe, geoType, recodeScheme, plan, kind }
+  };
+}
+
+/**
+ * Start a new table version
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan, kind }
+ * @param {Object} [options] - { jobId, sourceBuildRunId (crosswalk plans: the run re-apportioned), lineage (derived kinds), sourceDataset (default: the year's Census API dataset) }
+ * @returns {Promise<Object>} Created BuildRun (status "building")
+ */
+async function createBuildRun(year, table, options = {}) {
+  const { universe, dataset, geoType, recodeScheme, plan, kind } = table;
+
+  return prisma.buildRun.create({
+    data: {
+      year,
+      dataset,
+      universe,
+      geoType,
+      recodeScheme,
+      plan,
+      kind,
+      status: 'building',
+      recodeSpecHash: recodeSpecHash(getScheme(recodeScheme)),
+      sourceDataset: options.sourceDataset || `${year}/${DATASETS[dataset].path}`,
+      jobId: options.jobId || null,
+      sourceBuildRunId: options.sourceBuildRunId || null,
+      lineage: options.lineage || undefined
+    }
+  });
+}
+
+/**
+ * Mark a run complete and make it the current version of its table
+ *
+ * Both writes happen in one transaction.
+ *
+ * @param {Object} run - BuildRun
+ * @param {Object} stats - { cellCount, stats, validation }
+ * @returns {Promise<Object>} Completed BuildRun
+ */
+async function completeBuildRun(run, { cellCount, stats, validation }) {
+  const key = currentTableKey(run);
+
+  const [completed] = await prisma.$transaction([
+    prisma.buildRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'complete',
+        cellCount,
+        stats,
+        validation,
+        completedAt: new Date()
+      }
+    }),
+    prisma.currentTable.upsert({
+      where: key,
+      create: { ...key.year_dataset_universe_geoType_recodeScheme_plan_kind, buildRunId: run.id },
+      update: { buildRunId: run.id, activatedAt: new Date() }
+    })
+  ]);
+
+  return completed;
+}
+
+/**
+ * Mark a run failed and delete the cells it wrote
+ *
+ * @param {string} runId - BuildRun ID
+ * @param {string} error - Failure reason
+ * @param {Object} [validation] - Validation report, if the run failed validation
+ * @returns {Promise<number>} Number of cells deleted
+ */
+async function failBuildRun(runId, error, validation) {
+  const [deleted] = await prisma.$transaction([
+    prisma.poststratCell.deleteMany({ where: { buildRunId: runId } }),
+    prisma.buildRun.update({
+      where: { id: runId },
+      data: { status: 'failed', error, validation, completedAt: new Date() }
+    })
+  ]);
+
+  return deleted.count;
+}
+
+/**
+ * Get the version currently served for a table
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan, kind }
+ * @returns {Promise<Object|null>} BuildRun or null if the table has not been built
+ */
+async function getCurrentBuildRun(year, table) {
+  const current = await prisma.currentTable.findUnique({
+    where: currentTableKey({ year, ...table }),
+    include: { buildRun: true }
+  });
+
+  return current ? current.buildRun : null;
+}
+
+/**
+ * List the years a table has a current version for, and of which kinds
+ *
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan }
+ * @returns {Promise<Array>} [{ year, kind, buildRunId }]
+ */
+async function listCurrentTables(table) {
+  const { universe, dataset, geoType, recodeScheme, plan } = table;
+  return prisma.currentTable.findMany({
+    where: { universe, dataset, geoType, recodeScheme, plan },
+    select: { year: true, kind: true, buildRunId: true },
+    orderBy: [{ year: 'desc' }, { kind: 'asc' }]
+  });
+}
+
+/**
+ * Get a build run, flagged with whether it is current
+ *
+ * The validation report is summarized as validationPassed (see
+ * getBuildRunValidation for the full report).
+ *
+ * @param {string} runId - BuildRun ID
+ * @returns {Promise<Object|null>} BuildRun with isCurrent, or null
+ */
+async function getBuildRun(runId) {
+  const run = await prisma.buildRun.findUnique({
+    where: { id: runId },
+    include: { currentFor: { select: { id: true } } }
+  });
+
+  if (!run) {
+    return null;
+  }
+
+  const { currentFor, validation, ...rest } = run;
+  return {
+    ...rest,
+    isCurrent: currentFor.length > 0,
+    validationPassed: validation ? validation.passed : null
+  };
+}
+
+/**
+ * Get a build run's validation report
+ *
+ * @param {string} runId - BuildRun ID
+ * @returns {Promise<Object|null>} { id, year, dataset, universe, geoType, recodeScheme, plan, kind, status, validation }, or null if the run is missing
+ */
+async function getBuildRunValidation(runId) {
+  return prisma.buildRun.findUnique({
+    where: { id: runId },
+    select: {
+      id: true,
+      year: true,
+      dataset: true,
+      universe: true,
+      geoType: true,
+      recodeScheme: true,
+      plan: true,
+      kind: true,
+      status: true,
+      validation: true
+    }
+  });
+}
+
+/**
+ * List table versions, newest first
+ *
+ * @param {Object} [filter] - { year, universe, dataset, geoType, recodeScheme, plan, kind } (all optional)
+ * @returns {Promise<Array>} BuildRuns with isCurrent (stats omitted)
+ */
+async function listBuildRuns(filter = {}) {
+  const where = {};
+  for (const field of ['year', 'universe', 'dataset', 'geoType', 'recodeScheme', 'plan', 'kind']) {
+    if (filter[field] !== undefined) {
+      where[field] = filter[field];
+    }
+  }
+
+  const runs = await prisma.buildRun.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    select: {
+      id: true,
+      year: true,
+      dataset: true,
+      universe: true,
+      geoType: true,
+      recodeScheme: true,
+      plan: true,
+      kind: true,
+      status: true,
+      recodeSpecHash: true,
+      sourceDataset: true,
+      sourceBuildRunId: true,
+      lineage: true,
+      jobId: true,
+      cellCount: true,
+      error: true,
+      createdAt: true,
+      completedAt: true,
+      currentFor: { select: { id: true } }
+    }
+  });
+
+  return runs.map(({ currentFor, ...run }) => ({ ...run, isCurrent: currentFor.length > 0 }));
+}
+
+/**
+ * Make a previous complete run the current version of its table
+ *
+ * @param {string} runId - BuildRun ID
+ * @returns {Promise<Object>} { run, previousBuildRunId } or { error } if the run is missing or not complete
+ */
+async function rollbackToBuildRun(runId) {
+  const run = await prisma.buildRun.findUnique({ where: { id: runId } });
+
+  if (!run) {
+    return { error: 'not_found' };
+  }
+
+  if (run.status !== 'complete') {
+    return { error: 'not_complete', run };
+  }
+
+  const key = currentTableKey(run);
+  const previous = await prisma.currentTable.findUnique({ where: key });
+
+  await prisma.currentTable.upsert({
+    where: key,
+    create: { ...key.year_dataset_universe_geoType_recodeScheme_plan_kind, buildRunId: run.id },
+    update: { buildRunId: run.id, activatedAt: new Date() }
+  });
+
+  return {
+    run,
+    previousBuildRunId: previous ? previous.buildRunId : null
+  };
+}
+
+/**
+ * Iterate over a build run's cells one geography at a time
+ *
+ * @param {string} buildRunId - BuildRun ID
+ * @yields {Object} { geoId, cells }, in geography ID order
+ */
+async function* geographyCells(buildRunId) {
+  const geographies = await prisma.poststratCell.findMany({
+    where: { buildRunId },
+    select: { geoId: true },
+    distinct: ['geoId']
+  });
+  // Sorted here rather than in SQL so the order does not depend on collation
+  const geoIds = geographies.map(g => g.geoId).sort();
+
+  for (const geoId of geoIds) {
+    const cells = await prisma.poststratCell.findMany({
+      where: { buildRunId, geoId },
+      select: { geoId: true, ...Object.fromEntries(DIFF_DIMENSIONS.map(dimension => [dimension, true])), population: true }
+    });
+    yield { geoId, cells };
+  }
+}
+
+/**
+ * Compare the cells of two build runs
+ *
+ * Cells are matched on geography × age × sex × race × education (× the
+ * optional dimensions of schemes that add them). Both runs are streamed in
+ * geography order and matched one geography at a time, so neither is
+ * loaded whole.
+ *
+ * @param {string} fromId - Earlier BuildRun ID
+ * @param {string} toId - Later BuildRun ID
+ * @param {Object} [options] - { limit } number of largest cell changes to list
+ * @returns {Promise<Object|null>} Diff summary, or null if either run is missing
+ */
+async function diffBuildRuns(fromId, toId, options = {}) {
+  const limit = options.limit || DEFAULT_DIFF_LIMIT;
+
+  const [fromRun, toRun] = await Promise.all([getBuildRun(fromId), getBuildRun(toId)]);
+  if (!fromRun || !toRun) {
+    return null;
+  }
+
+  const cellKey = cell => DIFF_DIMENSIONS.map(dimension => cell[dimension]).join('|');
+  const cellChange = (cell, from, to) => ({
+    geoId: cell.geoId,
+    ...Object.fromEntries(DIFF_DIMENSIONS
+      .filter(dimension => cell[dimension] !== null && cell[dimension] !== '')
+      .map(dimension => [dimension, cell[dimension]])),
+    from,
+    to,
+    change: to - from
+  });
+  const byChange = (a, b) => Math.abs(b.change) - Math.abs(a.change);
+
+  const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const population = { from: 0, to: 0 };
+  const geographies = { added: [], removed: [] };
+  let largestChanges = [];
+
+  const compareGeography = (fromCells, toCells) => {
+    const fromByKey = new Map(fromCells.map(cell => [cellKey(cell), cell]));
+    const toKeys = new Set();
+
+    for (const cell of toCells) {
+      const key = cellKey(cell);
+      const before = fromByKey.get(key);
+      toKeys.add(key);
+      population.to += cell.population;
+      if (!before) {
+        counts.added++;
+      } else if (before.population !== cell.population) {
+        counts.changed++;
+      } else {
+        counts.unchanged++;
+        continue;
+      }
+      largestChanges.push(cellChange(cell, before ? before.population : 0, cell.population));
+    }
+
+    for (const [key, cell] of fromByKey) {
+      population.from += cell.population;
+      if (!toKeys.has(key)) {
+        counts.removed++;
+        largestChanges.push(cellChange(cell, cell.population, 0));
+      }
+    }
+
+    largestChanges = largestChanges.sort(byChange).slice(0, limit);
+  };
+
+  // Merge the two geography streams, both sorted by geoId
+  const fromGeographies = geographyCells(fromId);
+  const toGeographies = geographyCells(toId);
+  let from = await fromGeographies.next();
+  let to = await toGeographies.next();
+
+  while (!from.done || !to.done) {
+    const order = from.done ? 1
+      : to.done ? -1
+        : (from.value.geoId < to.value.geoId ? -1 : from.value.geoId > to.value.geoId ? 1 : 0);
+
+    if (order < 0) {
+      geographies.removed.push(from.value.geoId);
+      compareGeography(from.value.cells, []);
+      from = await fromGeographies.next();
+    } else if (order > 0) {
+      geographies.added.push(to.value.geoId);
+      compareGeography([], to.value.cells);
+      to = await toGeographies.next();
+    } else {
+      compareGeography(from.value.cells, to.value.cells);
+      from = await fromGeographies.next();
+      to = await toGeographies.next();
+    }
+  }
+
+  return {
+    from: fromRun,
+    to: toRun,
+    sameRecodeSpec: fromRun.recodeSpecHash === toRun.recodeSpecHash,
+    population: {
+      from: population.from,
+      to: population.to,
+      change: population.to - population.from
+    },
+    cells: counts,
+    geographies,
+    largestChanges
+  };
+}
+
+/**
+ * Fail runs left "building" by a previous server process
+ *
+ * Called on startup, alongside recoverInterruptedJobs().
+ *
+ * @returns {Promise<number>} Number of runs marked failed
+ */
+async function recoverInterruptedBuildRuns() {
+  const runs = await prisma.buildRun.findMany({
+    where: { status: 'building' },
+    select: { id: true }
+  });
+
+  for (const run of runs) {
+    await failBuildRun(run.id, 'Server restarted before the build finished');
+  }
+
+  if (runs.length > 0) {
+    console.log(`Discarded ${runs.length} interrupted build run(s)`);
+  }
+  return runs.length;
+}
+
+module.exports = {
+  recodeSpecHash,
+  createBuildRun,
+  completeBuildRun,
+  failBuildRun,
+  getCurrentBuildRun,
+  listCurrentTables,
+  getBuildRun,
+  getBuildRunValidation,
+  listBuildRuns,
+  rollbackToBuildRun,
+  diffBuildRuns,
+  recoverInterruptedBuildRuns
+};
@@ -1,17 +1,62 @@
 /**
  * Census API Client
  *
- * Fetches ACS 1-year data at Congressional District level.
+ * Fetches ACS 1-year or 5-year data for any supported geography
+ * (congressional district by default; see geographies.js).
  * Required tables:
  * - B01001: Sex by Age
  * - B03002: Hispanic/Latino Origin by Race
- * - B15003: Educational Attainment
+ * - B15003: Educational Attainment (25+; fallback for B15001 age groups)
+ * - B15001: Sex by Age by Educational Attainment (18+)
+ * - B01001B/D/H/I: Sex by Age (race iterations)
+ * - C15002B/D/H/I: Sex by Educational Attainment (race iterations, 25+)
+ * - B05003, B05003B/D/H/I: Sex by Age by Nativity and Citizenship Status
+ * - B29001, B29002: Citizen, Voting-Age Population by Age / Education
+ * - B19037, B12002: Age of Householder by Household Income / Sex by
+ *   Marital Status by Age (only for recode schemes with income or marital
+ *   status dimensions)
+ * - 2020 Census P2: Urban and Rural (only for schemes with urbanicity)
+ *
+ * Raw Census responses are cached on disk, keyed by a hash of the request
+ * (dataset, year, variables, geography), so repeat builds do not hit the
+ * API. Each year's variable metadata (variables.json) is cached the same
+ * way (see variableMetadata.js). In offline mode responses come only from the cache or a fixtures
+ * directory, and a miss is an error.
  */
 
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  DATASETS,
+  getGeographyType,
+  geographyQuery,
+  geographyFields
+} = require('./geographies');
+const { censusVar, schemeVariables, urbanicityVariables } = require('./recodeHelpers');
+
 const CENSUS_BASE_URL = 'https://api.census.gov/data';
 
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '.census-cache');
+
+/**
+ * Request settings for fetchACS (each can be overridden per call)
+ */
+const DEFAULT_FETCH_OPTIONS = {
+  concurrency: 4, // Batches in flight at once
+  maxRetries: 4, // Retries per batch after the first attempt
+  baseDelayMs: 500, // Backoff ceiling for the first retry; doubles each retry
+  maxDelayMs: 15000, // Largest backoff ceiling
+  maxRetryAfterMs: 60000 // Largest Retry-After honored
+};
+
+// Rate limiting and transient server errors
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
 /**
  * Census ACS 1-year variables needed for poststratification
+ * (estimates only; the matching ...M margin of error variables are
+ * derived from these codes when fetching)
  *
  * B01001: Sex by Age (detailed breakdown)
  * - B01001_001E: Total population
@@ -27,14 +72,73 @@ const CENSUS_BASE_URL = 'https://api.census.gov/data';
  * - Others collapsed to "Other"
  *
  * B15003: Educational Attainment (25+ years)
+ * Only used where a geography lacks B15001 estimates for a 25+ age group
+ * (see resolveSexAgeEducation in recodeHelpers.js)
  * - B15003_001E: Total
  * - B15003_002E to B15003_016E: Less than HS
  * - B15003_017E to B15003_018E: HS diploma/GED
  * - B15003_019E to B15003_021E: Some college/Associate's
  * - B15003_022E: Bachelor's degree
  * - B15003_023E to B15003_025E: Graduate/Professional
+ *
+ * Joint tables used as raking margins (see lib/ipf.js):
+ *
+ * B15001: Sex by Age by Educational Attainment (18+)
+ * - 5 age groups per sex (18-24, 25-34, 35-44, 45-64, 65+), each a total
+ *   line followed by 7 education lines
+ * - B15001_004E to B15001_042E: Male, B15001_045E to B15001_083E: Female
+ *
+ * B01001B/D/H/I: Sex by Age for Black, Asian, White non-Hispanic, Hispanic
+ * - _007E to _016E: Male 18-19 through 85+
+ * - _022E to _031E: Female 18-19 through 85+
+ *
+ * C15002B/D/H/I: Sex by Educational Attainment (25+) for the same groups
+ * - _003E to _006E: Male, _008E to _011E: Female
+ *
+ * Citizen voting-age population (CVAP universe):
+ *
+ * B05003, B05003B/D/H/I: Sex by Age by Nativity and Citizenship Status
+ * - _008E to _012E: Male 18+ (total, native, foreign born, naturalized, not a citizen)
+ * - _019E to _023E: Female 18+ (same order)
+ *
+ * B29001: CVAP by age (_002E 18-29, _003E 30-44, _004E 45-64, _005E 65+)
+ * B29002: CVAP by education (_002E to _008E, same 7 levels as B15001)
+ *
+ * Optional dimensions (fetched only for recode schemes that use them; see
+ * OPTIONAL_DIMENSION_VARIABLES):
+ *
+ * B19037: Age of householder by household income in the past 12 months
+ * - _003E to _018E: householder under 25, less than $10,000 through
+ *   $200,000 or more (the B19001 brackets)
+ * - _020E to _035E, _037E to _052E, _054E to _069E: the same for 25-44,
+ *   45-64 and 65+
+ *
+ * B12002: Sex by marital status by age (15+)
+ * - Male never married _005E to _017E (18-19 through 85+), spouse present
+ *   _021E to _033E, separated _037E to _049E, other _052E to _064E,
+ *   widowed _067E to _079E, divorced _082E to _094E
+ * - Female lines are +93
+ *
+ * Urbanicity comes from the 2020 Census (DHC table P2, urban and rural
+ * population), not the ACS; see URBAN_RURAL_SOURCE.
  */
 
+/**
+ * List consecutive estimate variables of a Census table
+ *
+ * @param {string} table - Table ID (e.g., "B15001")
+ * @param {number} from - First line number
+ * @param {number} to - Last line number (inclusive)
+ * @returns {Array<string>} Variable codes (e.g., ["B15001_004E", ...])
+ */
+function varRange(table, from, to) {
+  const vars = [];
+  for (let line = from; line <= to; line++) {
+    vars.push(censusVar(table, line));
+  }
+  return vars;
+}
+
 const CENSUS_VARIABLES = {
   // Total population
   total: ['B01001_001E'],
@@ -118,127 +222,787 @@ const CENSUS_VARIABLES = {
   edu_bachelors: ['B15003_022E'],
   edu_masters: ['B15003_023E'],
   edu_professional: ['B15003_024E'],
-  edu_doctorate: ['B15003_025E']
+  edu_doctorate: ['B15003_025E'],
+
+  // Sex by Age by Education (B15001, 18+)
+  // Group total lines (_003E, _011E, ...) are skipped
+  sae_male_18_24: varRange('B15001', 4, 10),
+  sae_male_25_34: varRange('B15001', 12, 18),
+  sae_male_35_44: varRange('B15001', 20, 26),
+  sae_male_45_64: varRange('B15001', 28, 34),
+  sae_male_65_plus: varRange('B15001', 36, 42),
+  sae_female_18_24: varRange('B15001', 45, 51),
+  sae_female_25_34: varRange('B15001', 53, 59),
+  sae_female_35_44: varRange('B15001', 61, 67),
+  sae_female_45_64: varRange('B15001', 69, 75),
+  sae_female_65_plus: varRange('B15001', 77, 83),
+
+  // Race by Sex by Age (B01001 race iterations, 18+)
+  rsa_black_male: varRange('B01001B', 7, 16),
+  rsa_black_female: varRange('B01001B', 22, 31),
+  rsa_asian_male: varRange('B01001D', 7, 16),
+  rsa_asian_female: varRange('B01001D', 22, 31),
+  rsa_white_nh_male: varRange('B01001H', 7, 16),
+  rsa_white_nh_female: varRange('B01001H', 22, 31),
+  rsa_hispanic_male: varRange('B01001I', 7, 16),
+  rsa_hispanic_female: varRange('B01001I', 22, 31),
+
+  // Race by Sex by Education (C15002 race iterations, 25+)
+  rse_black: [...varRange('C15002B', 3, 6), ...varRange('C15002B', 8, 11)],
+  rse_asian: [...varRange('C15002D', 3, 6), ...varRange('C15002D', 8, 11)],
+  rse_white_nh: [...varRange('C15002H', 3, 6), ...varRange('C15002H', 8, 11)],
+  rse_hispanic: [...varRange('C15002I', 3, 6), ...varRange('C15002I', 8, 11)],
+
+  // Citizenship by Sex, 18+ (B05003 and race iterations)
+  // Total, native and naturalized lines for each sex
+  cit_all: ['B05003_008E', 'B05003_009E', 'B05003_011E', 'B05003_019E', 'B05003_020E', 'B05003_022E'],
+  cit_black: ['B05003B_008E', 'B05003B_009E', 'B05003B_011E', 'B05003B_019E', 'B05003B_020E', 'B05003B_022E'],
+  cit_asian: ['B05003D_008E', 'B05003D_009E', 'B05003D_011E', 'B05003D_019E', 'B05003D_020E', 'B05003D_022E'],
+  cit_white_nh: ['B05003H_008E', 'B05003H_009E', 'B05003H_011E', 'B05003H_019E', 'B05003H_020E', 'B05003H_022E'],
+  cit_hispanic: ['B05003I_008E', 'B05003I_009E', 'B05003I_011E', 'B05003I_019E', 'B05003I_020E', 'B05003I_022E'],
+
+  // Citizen, voting-age population by age and education
+  cvap_age: varRange('B29001', 2, 5),
+  cvap_education: varRange('B29002', 2, 8),
+
+  // Household income brackets by age of householder (B19037; optional income dimension)
+  hh_income_by_age: [3, 20, 37, 54].flatMap(first => varRange('B19037', first, first + 15)),
+
+  // Marital status by sex and age, 18+ (B12002; optional maritalStatus dimension)
+  // Never married, spouse present, separated, other, widowed, divorced
+  marital_male: [5, 21, 37, 52, 67, 82].flatMap(first => varRange('B12002', first, first + 12)),
+  marital_female: [98, 114, 130, 145, 160, 175].flatMap(first => varRange('B12002', first, first + 12))
+};
+
+/**
+ * CENSUS_VARIABLES entries that belong to an optional dimension; they are
+ * only fetched for recode schemes with that dimension
+ */
+const OPTIONAL_DIMENSION_VARIABLES = {
+  income: ['hh_income_by_age'],
+  maritalStatus: ['marital_male', 'marital_female']
 };
 
 /**
- * Fetch ACS 1-year data for all congressional districts
+ * Estimate variables fetched for every table
+ */
+const BASE_VARIABLES = Object.entries(CENSUS_VARIABLES)
+  .filter(([key]) => !Object.values(OPTIONAL_DIMENSION_VARIABLES).flat().includes(key))
+  .flatMap(([, codes]) => codes);
+
+/**
+ * Source of the urbanicity dimension: urban and rural population from the
+ * 2020 Census Demographic and Housing Characteristics file (urban areas
+ * are only delineated after each decennial census)
+ *
+ * DHC rows are joined to ACS rows by geography code, so urbanicity is only
+ * available for ACS years whose geographies are the ones the DHC
+ * tabulates (acsYears: [first, last], null = open-ended). The DHC has the
+ * 118th Congress districts and the 2022 state legislative districts and
+ * PUMAs, which the ACS publishes from 2022, and the 2020 counties, which
+ * the ACS replaced with planning regions in Connecticut in 2022.
+ */
+const URBAN_RURAL_SOURCE = {
+  year: 2020,
+  path: 'dec/dhc',
+  description: '2020 Census Demographic and Housing Characteristics (P2: urban and rural)',
+  acsYears: {
+    state: [null, null],
+    county: [2020, 2021],
+    cd: [2022, null],
+    sldu: [2022, null],
+    sldl: [2022, null],
+    puma: [2022, null]
+  }
+};
+
+/**
+ * Check that the 2020 Census urban/rural counts match an ACS year's
+ * geographies (see URBAN_RURAL_SOURCE)
+ *
+ * @param {number} year - ACS year
+ * @param {string} geoType - Geography type
+ * @returns {string|null} Why urbanicity is unavailable, or null if it is available
+ */
+function urbanRuralMismatch(year, geoType) {
+  const [first, last] = URBAN_RURAL_SOURCE.acsYears[geoType] || [0, -1];
+  if ((first === null || year >= first) && (last === null || year <= last)) {
+    return null;
+  }
+  const years = first === null ? `through ${last}` : last === null ? `from ${first}` : `${first}-${last}`;
+  return `Urbanicity comes from the 2020 Census, whose ${geoType} geographies match ACS ${years} only (not ${year})`;
+}
+
+/**
+ * Estimate variables to fetch for a recode scheme
+ *
+ * The base CENSUS_VARIABLES, then those of the scheme's optional
+ * dimensions, then whatever else the scheme reads (e.g., the B01001C race
+ * iteration for a scheme with an AIAN level).
+ *
+ * @param {Object} scheme - Compiled recode scheme (see recodeSchemes.js)
+ * @returns {Array<string>} Variable codes
+ */
+function schemeCensusVariables(scheme) {
+  const optional = scheme.extraDimensions
+    .flatMap(dimension => OPTIONAL_DIMENSION_VARIABLES[dimension] || [])
+    .flatMap(key => CENSUS_VARIABLES[key]);
+  const variables = [...BASE_VARIABLES, ...optional];
+  const known = new Set(variables);
+  return [...variables, ...schemeVariables(scheme).filter(code => !known.has(code))];
+}
+
+/**
+ * Census response cache settings
+ *
+ * Defaults come from the environment:
+ * - CENSUS_CACHE_DIR: cache directory (default .census-cache)
+ * - CENSUS_CACHE=off: never read or write the cache
+ * - CENSUS_OFFLINE=true: serve only from the cache or fixtures, never the API
+ * - CENSUS_FIXTURES_DIR: read-only directory of responses in the cache's
+ *   layout, checked after the cache
+ *
+ * @param {Object} [overrides] - { enabled, dir, fixturesDir, offline }
+ * @returns {Object} { enabled, dir, fixturesDir, offline }
+ */
+function cacheSettings(overrides = {}) {
+  return {
+    enabled: process.env.CENSUS_CACHE !== 'off',
+    dir: process.env.CENSUS_CACHE_DIR || DEFAULT_CACHE_DIR,
+    fixturesDir: process.env.CENSUS_FIXTURES_DIR || null,
+    offline: process.env.CENSUS_OFFLINE === 'true',
+    ...overrides
+  };
+}
+
+/**
+ * Content address of a Census request
+ *
+ * The API key is not part of the request key, so cached responses are
+ * shared across keys and machines. Variables are sorted, so the key does
+ * not depend on the order they were requested in.
+ *
+ * @param {Object} request - { dataset, year, variables, geography }, or { dataset, year, metadata } for variables.json
+ * @returns {string} SHA-256 hex digest
+ */
+function cacheKey(request) {
+  const normalized = request.variables ? { ...request, variables: [...request.variables].sort() } : request;
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Path of a cached response
+ *
+ * @param {string} dir - Cache or fixtures directory
+ * @param {string} key - Request hash
+ * @returns {string} File path (e.g., .census-cache/ab/abcd....json)
+ */
+function cachePath(dir, key) {
+  return path.join(dir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Read a cached response from the cache, then the fixtures directory
+ *
+ * @param {Object} cache - Cache settings
+ * @param {string} key - Request hash
+ * @returns {Promise<Array|null>} Raw Census response (header row first), or null on a miss
+ */
+async function readCachedResponse(cache, key) {
+  const dirs = [cache.enabled ? cache.dir : null, cache.fixturesDir].filter(Boolean);
+
+  for (const dir of dirs) {
+    const file = cachePath(dir, key);
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      return entry.response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable Census cache entry ${file}:`, error.message);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store a raw Census response in the cache
+ *
+ * Written to a temporary file and renamed so readers never see a partial
+ * entry.
+ *
+ * @param {Object} cache - Cache settings
+ * @param {string} key - Request hash
+ * @param {Object} request - Request the key was computed from
+ * @param {Array} response - Raw Census response
+ */
+async function writeCachedResponse(cache, key, request, response) {
+  const file = cachePath(cache.dir, key);
+  const tempFile = `${file}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(tempFile, JSON.stringify({
+    key,
+    request,
+    fetchedAt: new Date().toISOString(),
+    response
+  }));
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Wait, unless the signal aborts first
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Rejects with the abort reason if aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Delay before a retry: the server's Retry-After if it sent one, otherwise
+ * exponential backoff with full jitter
+ *
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {string|null} retryAfter - Retry-After header (seconds or HTTP date)
+ * @param {Object} settings - { baseDelayMs, maxDelayMs, maxRetryAfterMs }
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempt, retryAfter, settings) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds)
+      ? seconds * 1000
+      : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(ms)) {
+      return Math.min(Math.max(ms, 0), settings.maxRetryAfterMs);
+    }
+  }
+
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (attempt - 1));
+  return Math.random() * ceiling;
+}
+
+/**
+ * Fetch one Census API URL, retrying network errors, 429 and 5xx responses
+ *
+ * @param {string} url - Request URL
+ * @param {string} label - Batch label for log messages (e.g., "batch 3/14")
+ * @param {Object} settings - { maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs }
+ * @param {AbortSignal} [signal] - Cancels the request and any pending retry
+ * @returns {Promise<Array>} Parsed JSON response
+ */
+async function fetchWithRetry(url, label, settings, signal) {
+  for (let attempt = 0; ; attempt++) {
+    let retryAfter = null;
+    let failure;
+
+    try {
+      const response = await fetch(url, { signal });
+
+      // No Content: no geography matched the request (e.g., one geography that does not exist)
+      if (response.status === 204) {
+        return [];
+      }
+      if (response.ok) {
+        return await response.json();
+      }
+
+      const errorText = await response.text();
+      failure = new Error(`Census API error (${response.status}): ${errorText}`);
+
+      if (!RETRYABLE_STATUSES.has(response.status)) {
+        throw failure;
+      }
+      retryAfter = response.headers.get('retry-after');
+
+    } catch (error) {
+      if ((signal && signal.aborted) || error === failure) {
+        throw error;
+      }
+      // Network error (connection reset, DNS, timeout)
+      failure = failure || error;
+    }
+
+    if (attempt >= settings.maxRetries) {
+      throw failure;
+    }
+
+    const delay = retryDelay(attempt + 1, retryAfter, settings);
+    console.warn(`Census ${label} failed (${failure.message}); retry ${attempt + 1}/${settings.maxRetries} in ${Math.round(delay)} ms`);
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * URL of a Census request
  *
- * Census API has 50-variable limit, so we split into multiple requests
+ * @param {Object} request - { dataset (API path), year, variables, geography }, or { dataset, year, metadata: "variables" } for variables.json
+ * @returns {string} Request URL
+ */
+function requestUrl(request) {
+  if (request.metadata) {
+    return `${CENSUS_BASE_URL}/${request.year}/${request.dataset}/${request.metadata}.json`;
+  }
+  return `${CENSUS_BASE_URL}/${request.year}/${request.dataset}?get=${request.variables.join(',')}&${request.geography}&key=${process.env.CENSUS_API_KEY}`;
+}
+
+/**
+ * Serve one Census request from the cache, or fetch and cache it
+ *
+ * @param {Object} request - { dataset (API path), year, variables, geography } (see requestUrl)
+ * @param {string} label - Request label for log and error messages (e.g., "acs1 2022 cd batch 3/14")
+ * @param {Object} cache - Cache settings (see cacheSettings)
+ * @param {Object} settings - Retry settings (see DEFAULT_FETCH_OPTIONS)
+ * @param {AbortSignal} [signal] - Cancels the request and any pending retry
+ * @returns {Promise<Array>} Raw Census response (header row first)
+ */
+async function fetchCached(request, label, cache, settings, signal) {
+  const requestKey = cacheKey(request);
+  const cached = await readCachedResponse(cache, requestKey);
+
+  if (cached) {
+    console.log(`${label} served from cache (${requestKey.slice(0, 12)})`);
+    return cached;
+  }
+
+  if (cache.offline) {
+    throw new Error(
+      `Census cache miss in offline mode: ${label} ` +
+      `(key ${requestKey}). Build once online to populate ${cache.dir}` +
+      (cache.fixturesDir ? ` or add the response to ${cache.fixturesDir}` : '')
+    );
+  }
+
+  console.log(request.variables ? `Fetching ${label} (${request.variables.length - 1} variables)...` : `Fetching ${label}...`);
+  const data = await fetchWithRetry(requestUrl(request), label, settings, signal);
+
+  if (cache.enabled) {
+    await writeCachedResponse(cache, requestKey, request, data);
+  }
+  return data;
+}
+
+/**
+ * Convert a raw Census response (header row first) into row objects
+ *
+ * @param {Array<Array<string>>} data - Raw response
+ * @returns {Array<Object>} One object per geography
+ */
+function responseRows(data) {
+  if (data.length === 0) {
+    return [];
+  }
+  const [headers, ...rows] = data;
+  return rows.map(row => {
+    const obj = {};
+    headers.forEach((header, index) => {
+      obj[header] = row[index];
+    });
+    return obj;
+  });
+}
+
+/**
+ * Merge batch responses into one row per geography
+ *
+ * Every batch must return exactly the same geographies; otherwise a
+ * geography would silently be missing variables, so this throws listing
+ * what differed.
+ *
+ * @param {Array<Array<Object>>} batchRows - Rows of each batch, in batch order
+ * @param {Array<string>} geoFields - Columns identifying a geography
+ * @returns {Array<Object>} Merged rows, in the first batch's order
+ */
+function mergeBatches(batchRows, geoFields) {
+  const geoKey = row => geoFields.map(field => row[field]).join('|');
+  const merged = new Map();
+  const problems = [];
+
+  batchRows.forEach((rows, batchIndex) => {
+    const seen = new Set();
+
+    for (const row of rows) {
+      const key = geoKey(row);
+      if (seen.has(key)) {
+        problems.push(`batch ${batchIndex + 1} returned ${row.NAME || key} twice`);
+        continue;
+      }
+      seen.add(key);
+
+      const existing = merged.get(key);
+      if (batchIndex === 0) {
+        merged.set(key, { ...row });
+      } else if (!existing) {
+        problems.push(`batch ${batchIndex + 1} returned ${row.NAME || key}, missing from batch 1`);
+      } else {
+        // Merge variables (skip NAME and geography fields)
+        for (const [field, value] of Object.entries(row)) {
+          if (field !== 'NAME' && !geoFields.includes(field)) {
+            existing[field] = value;
+          }
+        }
+      }
+    }
+
+    if (batchIndex > 0) {
+      for (const [key, row] of merged) {
+        if (!seen.has(key)) {
+          problems.push(`batch ${batchIndex + 1} is missing ${row.NAME || key}`);
+        }
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 10).join('; ');
+    const more = problems.length > 10 ? ` (and ${problems.length - 10} more)` : '';
+    throw new Error(`Census batches returned different geographies: ${shown}${more}`);
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Split variables into API requests, one table at a time
+ *
+ * Each request reads a single table's variables, sorted, so a request and
+ * its cache key depend only on the lines of that table being read, not on
+ * the other tables fetched alongside it or on their order. A table with
+ * more variables than one request allows is split.
+ *
+ * @param {Array<string>} variables - Variable codes (e.g., "B15001_004E", "B15001_004M")
+ * @param {number} size - Most variables per request
+ * @returns {Array<Array<string>>} Variables of each request
+ */
+function requestBatches(variables, size) {
+  const byTable = new Map();
+  for (const code of variables) {
+    const table = code.split('_')[0];
+    if (!byTable.has(table)) {
+      byTable.set(table, []);
+    }
+    byTable.get(table).push(code);
+  }
+
+  const batches = [];
+  for (const codes of byTable.values()) {
+    codes.sort();
+    for (let i = 0; i < codes.length; i += size) {
+      batches.push(codes.slice(i, i + size));
+    }
+  }
+  return batches;
+}
+
+/**
+ * Fetch ACS data for every geography of one type, or for one geography
+ * (options.geoId)
+ *
+ * Census API has 50-variable limit, so we split into multiple requests,
+ * one table at a time (see requestBatches).
+ * Every estimate (...E) is requested together with its margin of error
+ * (...M) unless options.includeMoe is false.
+ *
+ * Batches run in parallel (options.concurrency at a time). Network errors,
+ * 429 and 5xx responses are retried with exponential backoff and jitter,
+ * honoring Retry-After. Each batch is served from the response cache when
+ * possible (see cacheSettings); options.cache overrides the environment
+ * settings.
+ *
+ * Long-running callers can pass:
+ * - onProgress({ phase: "fetching", current, total }) called after each batch
+ * - signal: an AbortSignal that cancels in-flight requests and stops
+ *   further batches
  *
  * @param {number} year - ACS year (e.g., 2024, 2023, 2022)
- * @returns {Promise<Array>} - Array of district data objects
+ * @param {Object} [options] - { dataset: "acs1" | "acs5", geography: "cd", geoId (one geography only), includeMoe: true, variables (estimate codes; default the base CENSUS_VARIABLES, see schemeCensusVariables), cache, concurrency, maxRetries, baseDelayMs, maxDelayMs, onProgress, signal }
+ * @returns {Promise<Array>} - Array of geography data objects
  */
-async function fetchACS1Year(year) {
+async function fetchACS(year, options = {}) {
+  const { dataset = 'acs1', geography = 'cd', geoId, includeMoe = true, onProgress, signal } = options;
+  const settings = { ...DEFAULT_FETCH_OPTIONS, ...options };
   const apiKey = process.env.CENSUS_API_KEY;
+  const cache = cacheSettings(options.cache);
 
-  if (!apiKey) {
-    throw new Error('CENSUS_API_KEY environment variable not set');
+  if (!apiKey && !cache.offline) {
+    throw new Error('CENSUS_API_KEY environment variable not set (set CENSUS_OFFLINE=true to build from cached responses)');
   }
 
-  // Flatten all variables into a single array
-  const allVariables = Object.values(CENSUS_VARIABLES).flat();
+  if (!DATASETS[dataset]) {
+    throw new Error(`Unknown ACS dataset: ${dataset}`);
+  }
+
+  const { label } = getGeographyType(geography);
+  const geoFields = geographyFields(geography);
+
+  // Flatten all variables into a single array, adding MOE variables
+  const estimateVariables = options.variables || BASE_VARIABLES;
+  const allVariables = includeMoe
+    ? estimateVariables.flatMap(code => [code, code.replace(/E$/, 'M')])
+    : estimateVariables;
 
   // Census API limit is 50 variables per request
-  // We need NAME, state, congressional district as geography fields (count as 1 "get" param)
+  // We need NAME plus the geography fields (count as 1 "get" param)
   // So we can request ~45 variables per batch safely
   const MAX_VARS_PER_REQUEST = 45;
 
-  console.log(`Fetching ACS ${year} 1-year data for congressional districts...`);
-  console.log(`Total variables: ${allVariables.length}, will split into ${Math.ceil(allVariables.length / MAX_VARS_PER_REQUEST)} batches`);
+  const batches = requestBatches(allVariables, MAX_VARS_PER_REQUEST);
 
-  const batches = [];
-  for (let i = 0; i < allVariables.length; i += MAX_VARS_PER_REQUEST) {
-    batches.push(allVariables.slice(i, i + MAX_VARS_PER_REQUEST));
+  console.log(`Fetching ACS ${year} ${dataset} data (${label})...`);
+  console.log(`Total variables: ${allVariables.length}, will split into ${batches.length} batches`);
+
+  // Stops the other workers when one batch fails for good
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    signal.throwIfAborted();
+    signal.addEventListener('abort', onAbort, { once: true });
   }
 
-  let mergedDistricts = null;
+  const batchRows = new Array(batches.length);
+  let nextBatch = 0;
+  let completed = 0;
+
+  if (onProgress) {
+    onProgress({ phase: 'fetching', current: 0, total: batches.length });
+  }
 
-  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+  const fetchBatch = async (batchIndex) => {
     const batch = batches[batchIndex];
-    const variableString = batch.join(',');
-    const getParams = `NAME,${variableString}`;
+    const request = {
+      dataset: DATASETS[dataset].path,
+      year,
+      variables: ['NAME', ...batch],
+      geography: geographyQuery(geography, geoId)
+    };
+    const batchLabel = `${dataset} ${year} ${geography} batch ${batchIndex + 1}/${batches.length}`;
 
-    const url = `${CENSUS_BASE_URL}/${year}/acs/acs1?get=${getParams}&for=congressional%20district:*&in=state:*&key=${apiKey}`;
+    const data = await fetchCached(request, batchLabel, cache, settings, controller.signal);
 
-    console.log(`Fetching batch ${batchIndex + 1}/${batches.length} (${batch.length} variables)...`);
+    batchRows[batchIndex] = responseRows(data);
+    completed++;
+    console.log(`Batch ${batchIndex + 1} complete`);
 
-    try {
-      const response = await fetch(url);
+    if (onProgress) {
+      onProgress({ phase: 'fetching', current: completed, total: batches.length });
+    }
+  };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Census API error (${response.status}): ${errorText}`);
+  const worker = async () => {
+    while (nextBatch < batches.length) {
+      controller.signal.throwIfAborted();
+      const batchIndex = nextBatch++;
+      try {
+        await fetchBatch(batchIndex);
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error(`Census API batch ${batchIndex + 1} failed:`, error.message);
+          controller.abort(error);
+        }
+        throw error;
       }
+    }
+  };
 
-      const data = await response.json();
+  const workerCount = Math.max(1, Math.min(settings.concurrency, batches.length));
 
-      // First row is headers
-      const headers = data[0];
-      const rows = data.slice(1);
+  try {
+    const outcomes = await Promise.allSettled(Array.from({ length: workerCount }, worker));
+    const failed = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failed) {
+      // Report the first real failure, not the aborts it caused
+      throw controller.signal.aborted ? controller.signal.reason : failed.reason;
+    }
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
 
-      // Transform into array of objects
-      const districts = rows.map(row => {
-        const obj = {};
-        headers.forEach((header, index) => {
-          obj[header] = row[index];
-        });
-        return obj;
-      });
+  const merged = mergeBatches(batchRows, geoFields);
 
-      // Merge with previous batches
-      if (mergedDistricts === null) {
-        mergedDistricts = districts;
-      } else {
-        // Merge by matching state + congressional district
-        for (let i = 0; i < districts.length; i++) {
-          const newDistrict = districts[i];
-          const existingDistrict = mergedDistricts.find(
-            d => d.state === newDistrict.state && d['congressional district'] === newDistrict['congressional district']
-          );
-
-          if (existingDistrict) {
-            // Merge variables (skip NAME, state, congressional district)
-            Object.keys(newDistrict).forEach(key => {
-              if (key !== 'NAME' && key !== 'state' && key !== 'congressional district') {
-                existingDistrict[key] = newDistrict[key];
-              }
-            });
-          }
-        }
-      }
+  console.log(`Fetched ${merged.length} geographies (${label}) with ${allVariables.length} variables`);
+  return merged;
+}
+
+/**
+ * Add 2020 Census urban and rural population to ACS rows
+ *
+ * One request covers every geography of the type (or options.geoId
+ * only). Rows are matched on their geography fields; an ACS geography
+ * missing from the 2020 Census response (e.g., a code that changed with
+ * redistricting) is an error, listing what is missing.
+ *
+ * @param {Array<Object>} rows - ACS rows (modified in place)
+ * @param {Object} scheme - Compiled recode scheme with an urbanicity dimension
+ * @param {Object} [options] - { geography: "cd", geoId, cache, signal, and the retry settings of fetchACS }
+ * @returns {Promise<Array<Object>>} The rows, with the P2 variables added
+ */
+async function addUrbanRural(rows, scheme, options = {}) {
+  const { geography = 'cd', geoId, signal } = options;
+  const settings = { ...DEFAULT_FETCH_OPTIONS, ...options };
+  const cache = cacheSettings(options.cache);
+  const variables = Object.values(urbanicityVariables(scheme)).flat();
 
-      console.log(`Batch ${batchIndex + 1} complete`);
+  const request = {
+    dataset: URBAN_RURAL_SOURCE.path,
+    year: URBAN_RURAL_SOURCE.year,
+    variables: ['NAME', ...variables],
+    geography: geographyQuery(geography, geoId)
+  };
+  const data = await fetchCached(request, `2020 Census urban/rural ${geography}`, cache, settings, signal);
 
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 200));
+  const geoFields = geographyFields(geography);
+  const geoKey = row => geoFields.map(field => row[field]).join('|');
+  const byGeography = new Map(responseRows(data).map(row => [geoKey(row), row]));
+  const missing = [];
 
-    } catch (error) {
-      console.error(`Census API batch ${batchIndex + 1} failed:`, error.message);
-      throw error;
+  for (const row of rows) {
+    const match = byGeography.get(geoKey(row));
+    if (!match) {
+      missing.push(row.NAME || geoKey(row));
+      continue;
+    }
+    for (const code of variables) {
+      row[code] = match[code];
     }
   }
 
-  console.log(`Fetched ${mergedDistricts.length} congressional districts with ${allVariables.length} variables`);
-  return mergedDistricts;
+  if (missing.length > 0) {
+    const shown = missing.slice(0, 10).join('; ');
+    const more = missing.length > 10 ? ` (and ${missing.length - 10} more)` : '';
+    throw new Error(`No 2020 Census urban/rural population for ${shown}${more}`);
+  }
+
+  return rows;
+}
+
+/**
+ * Fetch the Census data a recode scheme's frame is built from: the ACS
+ * variables it reads (see schemeCensusVariables), plus 2020 Census urban
+ * and rural population if it has an urbanicity dimension
+ *
+ * @param {number} year - ACS year
+ * @param {Object} scheme - Compiled recode scheme
+ * @param {Object} [options] - fetchACS options (variables are set from the scheme)
+ * @returns {Promise<Array>} - Array of geography data objects
+ * @throws {Error} If the scheme has urbanicity and the 2020 Census geographies do not match the year's (see urbanRuralMismatch)
+ */
+async function fetchSchemeData(year, scheme, options = {}) {
+  const mismatch = scheme.specs.urbanicity ? urbanRuralMismatch(year, options.geography || 'cd') : null;
+  if (mismatch) {
+    throw new Error(mismatch);
+  }
+
+  const rows = await fetchACS(year, { ...options, variables: schemeCensusVariables(scheme) });
+  return scheme.specs.urbanicity ? addUrbanRural(rows, scheme, options) : rows;
+}
+
+/**
+ * Fetch an ACS dataset's variable metadata for a year (variables.json)
+ *
+ * Served from the response cache or fixtures like data requests; no API
+ * key is needed. A fixture may list only the variables in use.
+ *
+ * @param {number} year - ACS year
+ * @param {Object} [options] - { dataset: "acs1" | "acs5", cache, signal, and the retry settings of fetchACS }
+ * @returns {Promise<Object>} { code: { label, concept, ... } }
+ */
+async function fetchVariableMetadata(year, options = {}) {
+  const { dataset = 'acs1', signal } = options;
+  const settings = { ...DEFAULT_FETCH_OPTIONS, ...options };
+  const cache = cacheSettings(options.cache);
+
+  if (!DATASETS[dataset]) {
+    throw new Error(`Unknown ACS dataset: ${dataset}`);
+  }
+
+  const request = {
+    dataset: DATASETS[dataset].path,
+    year,
+    metadata: 'variables'
+  };
+  const data = await fetchCached(request, `${dataset} ${year} variables.json`, cache, settings, signal);
+  return data.variables || {};
 }
 
 /**
- * Get available ACS years
- * Recent years may not yet have 1-year estimates at CD level
+ * Fetch ACS 1-year data for all geographies of one type
+ * (congressional districts unless options.geography is set)
  *
- * @returns {Array<number>} Available years
+ * @param {number} year - ACS year (e.g., 2024, 2023, 2022)
+ * @param {Object} [options] - { geography: "cd", includeMoe: true }
+ * @returns {Promise<Array>} - Array of geography data objects
  */
-function getAvailableYears() {
+async function fetchACS1Year(year, options = {}) {
+  return fetchACS(year, { ...options, dataset: 'acs1' });
+}
+
+/**
+ * Get available years and the kind of frame each has
+ *
+ * Published years are the recent years whose ACS 1-year estimates are
+ * out; recent years may not yet have 1-year estimates at CD level. Stored
+ * frames add the years a table has been built or derived for. A year's
+ * kind is "acs" if it is published or has an ACS frame, otherwise the kind
+ * of its derived frame ("pooled", "interpolated" or "projected").
+ *
+ * @param {Array<Object>} [stored] - Current table versions, [{ year, kind }] (see listCurrentTables)
+ * @returns {Array<Object>} [{ year, kind, published, kinds }], newest first; kinds lists the stored frames
+ */
+function getAvailableYears(stored = []) {
   const currentYear = new Date().getFullYear();
   // ACS 1-year data typically released ~1 year after collection
   // e.g., 2023 data released in late 2024
-  return [currentYear - 2, currentYear - 3, currentYear - 4];
+  const published = [currentYear - 2, currentYear - 3, currentYear - 4];
+
+  const years = [...new Set([...published, ...stored.map(frame => frame.year)])].sort((a, b) => b - a);
+  return years.map(year => {
+    const kinds = stored.filter(frame => frame.year === year).map(frame => frame.kind);
+    const isPublished = published.includes(year);
+    return {
+      year,
+      kind: isPublished || kinds.includes('acs') ? 'acs' : kinds[0],
+      published: isPublished,
+      kinds
+    };
+  });
 }
 
 module.exports = {
+  fetchACS,
+  mergeBatches,
+  DEFAULT_FETCH_OPTIONS,
+  cacheSettings,
+  cacheKey,
   fetchACS1Year,
   getAvailableYears,
   CENSUS_BASE_URL,
-  CENSUS_VARIABLES
+  CENSUS_VARIABLES,
+  OPTIONAL_DIMENSION_VARIABLES,
+  URBAN_RURAL_SOURCE,
+  urbanRuralMismatch,
+  schemeCensusVariables,
+  fetchSchemeData,
+  fetchVariableMetadata
 };
@@ -0,0 +1,297 @@
+/**
+ * Frame Comparison
+ *
+ * Compares two table versions, usually one table built for two ACS years:
+ * how the population and its composition changed overall and cell by
+ * cell, which geographies' composition moved more than sampling error
+ * would explain, and which geographies exist in only one of them (e.g.,
+ * after redistricting).
+ */
+
+const { iterateCells } = require('./tableBuilder');
+const { getScheme, DEFAULT_SCHEME } = require('./recodeSchemes');
+
+const DEFAULT_COMPARE_OPTIONS = {
+  z: 3 // Standard errors a level's share must move by to flag its geography
+};
+
+/**
+ * Validate and fill in comparison options
+ *
+ * @param {Object} raw - Options from the request ({ z })
+ * @returns {Object} { options } or { error: { error, message } }
+ */
+function resolveCompareOptions(raw = {}) {
+  const options = {
+    z: raw.z === undefined ? DEFAULT_COMPARE_OPTIONS.z : Number(raw.z)
+  };
+
+  if (!(options.z > 0)) {
+    return {
+      error: { error: 'Invalid z', message: 'z must be a positive number of standard errors (e.g., 3)' }
+    };
+  }
+
+  return { options };
+}
+
+/**
+ * Sum one build run's cells by geography and by demographic cell
+ *
+ * Variances are sums of squared cell SEs (cells treated as independent,
+ * as in the table statistics).
+ *
+ * @param {string} buildRunId - BuildRun ID
+ * @param {Array<string>} dimensions - Cell dimensions of the recode scheme
+ * @param {Object} filters - { states, regions, geoIds } (see iterateCells)
+ * @returns {Promise<Object>} { geographies: Map(geoId → { population, variance, levels: Map("dimension|level" → { population, variance }) }), cells: Map(key → { dimensions, population }) }
+ */
+async function summarizeRun(buildRunId, dimensions, filters) {
+  const geographies = new Map();
+  const cells = new Map();
+
+  for await (const chunk of iterateCells(buildRunId, filters)) {
+    for (const cell of chunk) {
+      const variance = (cell.standardError || 0) ** 2;
+
+      let geography = geographies.get(cell.geoId);
+      if (!geography) {
+        geography = { population: 0, variance: 0, levels: new Map() };
+        geographies.set(cell.geoId, geography);
+      }
+      geography.population += cell.population;
+      geography.variance += variance;
+
+      for (const dimension of dimensions) {
+        const key = `${dimension}|${cell[dimension]}`;
+        const level = geography.levels.get(key) || { population: 0, variance: 0 };
+        level.population += cell.population;
+        level.variance += variance;
+        geography.levels.set(key, level);
+      }
+
+      const key = dimensions.map(dimension => cell[dimension]).join('|');
+      const entry = cells.get(key) || {
+        dimensions: Object.fromEntries(dimensions.map(dimension => [dimension, cell[dimension]])),
+        population: 0
+      };
+      entry.population += cell.population;
+      cells.set(key, entry);
+    }
+  }
+
+  return { geographies, cells };
+}
+
+/**
+ * Variance of a level's share of a geography
+ *
+ * The level and the rest of the geography are independent sums of cells,
+ * so by the delta method Var(L / T) = ((1 - s)² Var(L) + s² Var(T - L)) / T².
+ *
+ * @param {Object} level - { population, variance }
+ * @param {Object} total - { population, variance } of the geography
+ * @returns {number} Variance of the share
+ */
+function shareVariance(level, total) {
+  const share = level.population / total.population;
+  const restVariance = Math.max(total.variance - level.variance, 0);
+  return ((1 - share) ** 2 * level.variance + share ** 2 * restVariance) / total.population ** 2;
+}
+
+/**
+ * Test whether a geography's composition moved more than sampling error
+ * would explain
+ *
+ * Each level's share change is divided by its standard error, with the two
+ * versions treated as independent samples (conservative for overlapping
+ * 5-year estimates, which share most of their respondents).
+ *
+ * @param {Object} from - Geography summary in the earlier version
+ * @param {Object} to - Geography summary in the later version
+ * @param {Object} specs - Level specs of the recode scheme
+ * @param {Array<string>} dimensions - Cell dimensions of the recode scheme
+ * @param {number} z - Flagging threshold in standard errors
+ * @returns {Object} { tested, maxAbsZ, levels: [{ dimension, level, from, to, change, z }] } (levels beyond the threshold)
+ */
+function testShift(from, to, specs, dimensions, z) {
+  const empty = { population: 0, variance: 0 };
+  const levels = [];
+  let tested = false;
+  let maxAbsZ = 0;
+
+  if (from.population === 0 || to.population === 0) {
+    return { tested, maxAbsZ: null, levels };
+  }
+
+  for (const dimension of dimensions) {
+    for (const level of specs[dimension].levels) {
+      const key = `${dimension}|${level}`;
+      const before = from.levels.get(key) || empty;
+      const after = to.levels.get(key) || empty;
+      const change = after.population / to.population - before.population / from.population;
+      const se = Math.sqrt(shareVariance(before, from) + shareVariance(after, to));
+
+      // Without standard errors (tables built before they were stored) a change cannot be tested
+      if (se === 0) {
+        continue;
+      }
+      tested = true;
+
+      const score = change / se;
+      maxAbsZ = Math.max(maxAbsZ, Math.abs(score));
+      if (Math.abs(score) > z) {
+        levels.push({
+          dimension,
+          level,
+          from: before.population / from.population,
+          to: after.population / to.population,
+          change,
+          z: score
+        });
+      }
+    }
+  }
+
+  return { tested, maxAbsZ: tested ? maxAbsZ : null, levels };
+}
+
+/**
+ * Population and share of one level or cell in both versions
+ *
+ * @param {number} from - Population in the earlier version
+ * @param {number} to - Population in the later version
+ * @param {number} fromTotal - Total population in the earlier version
+ * @param {number} toTotal - Total population in the later version
+ * @returns {Object} { from: { population, share }, to: { population, share }, change, shareChange }
+ */
+function populationChange(from, to, fromTotal, toTotal) {
+  const share = (population, total) => (total > 0 ? population / total : null);
+  const fromShare = share(from, fromTotal);
+  const toShare = share(to, toTotal);
+
+  return {
+    from: { population: from, share: fromShare },
+    to: { population: to, share: toShare },
+    change: to - from,
+    shareChange: fromShare === null || toShare === null ? null : toShare - fromShare
+  };
+}
+
+/**
+ * Compare two build runs of tables with the same recode scheme and
+ * geography type
+ *
+ * Population and composition are compared over every geography in scope,
+ * for each dimension level and each cell (age × sex × race × education,
+ * × the scheme's optional dimensions, summed over the geographies).
+ * Geographies in both versions whose share of any level moved by more
+ * than z standard errors are listed as shifted.
+ *
+ * @param {Object} fromRun - Earlier BuildRun
+ * @param {Object} toRun - Later BuildRun
+ * @param {Object} [filters] - { states, regions, geoIds } scope (arrays; all optional)
+ * @param {Object} [options] - { z } (see resolveCompareOptions)
+ * @returns {Promise<Object>} { population, dimensions, cells, geographies }
+ */
+async function compareTables(fromRun, toRun, filters = {}, options = {}) {
+  const { z } = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+  const scheme = getScheme(toRun.recodeScheme) || getScheme(DEFAULT_SCHEME);
+  const { specs, cellDimensions } = scheme;
+
+  const [from, to] = await Promise.all([
+    summarizeRun(fromRun.id, cellDimensions, filters),
+    summarizeRun(toRun.id, cellDimensions, filters)
+  ]);
+
+  const sumPopulation = summary => [...summary.geographies.values()].reduce((sum, g) => sum + g.population, 0);
+  const levelPopulation = (summary, key) => [...summary.geographies.values()]
+    .reduce((sum, g) => sum + (g.levels.has(key) ? g.levels.get(key).population : 0), 0);
+  const fromTotal = sumPopulation(from);
+  const toTotal = sumPopulation(to);
+
+  const dimensions = Object.fromEntries(cellDimensions.map(dimension => [
+    dimension,
+    specs[dimension].levels.map(level => ({
+      level,
+      ...populationChange(
+        levelPopulation(from, `${dimension}|${level}`),
+        levelPopulation(to, `${dimension}|${level}`),
+        fromTotal,
+        toTotal
+      )
+    }))
+  ]));
+
+  // Cells of either version, in scheme level order
+  const cellKeys = [...new Set([...from.cells.keys(), ...to.cells.keys()])];
+  const rank = key => {
+    const { dimensions: levels } = (to.cells.get(key) || from.cells.get(key));
+    return cellDimensions.map(dimension => specs[dimension].levels.indexOf(levels[dimension]));
+  };
+  const ranks = new Map(cellKeys.map(key => [key, rank(key)]));
+  cellKeys.sort((a, b) => {
+    const ra = ranks.get(a);
+    const rb = ranks.get(b);
+    const index = ra.findIndex((value, i) => value !== rb[i]);
+    return index === -1 ? 0 : ra[index] - rb[index];
+  });
+  const cells = cellKeys.map(key => {
+    const before = from.cells.get(key);
+    const after = to.cells.get(key);
+    return {
+      ...(after || before).dimensions,
+      ...populationChange(before ? before.population : 0, after ? after.population : 0, fromTotal, toTotal)
+    };
+  });
+
+  const shifted = [];
+  const untested = [];
+  const fromIds = [...from.geographies.keys()];
+  const toIds = [...to.geographies.keys()];
+  const compared = toIds.filter(geoId => from.geographies.has(geoId)).sort();
+
+  for (const geoId of compared) {
+    const before = from.geographies.get(geoId);
+    const after = to.geographies.get(geoId);
+    const shift = testShift(before, after, specs, cellDimensions, z);
+
+    if (!shift.tested) {
+      untested.push(geoId);
+    } else if (shift.levels.length > 0) {
+      shifted.push({
+        geoId,
+        population: { from: before.population, to: after.population, change: after.population - before.population },
+        maxAbsZ: shift.maxAbsZ,
+        levels: shift.levels.sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+      });
+    }
+  }
+  shifted.sort((a, b) => b.maxAbsZ - a.maxAbsZ);
+
+  return {
+    population: {
+      from: fromTotal,
+      to: toTotal,
+      change: toTotal - fromTotal,
+      relativeChange: fromTotal > 0 ? (toTotal - fromTotal) / fromTotal : null
+    },
+    dimensions,
+    cells,
+    geographies: {
+      from: fromIds.length,
+      to: toIds.length,
+      compared: compared.length,
+      onlyInFrom: fromIds.filter(geoId => !to.geographies.has(geoId)).sort(),
+      onlyInTo: toIds.filter(geoId => !from.geographies.has(geoId)).sort(),
+      shifted,
+      untested
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_COMPARE_OPTIONS,
+  resolveCompareOptions,
+  compareTables
+};
@@ -0,0 +1,512 @@
+/**
+ * Redistricting Crosswalks
+ *
+ * Carries a built frame onto another district plan. A crosswalk is a
+ * block- or tract-level allocation file: each unit (e.g., a 2020 census
+ * block) lies in one source district and one target district and carries a
+ * weight (usually its population). A source district's cells are split
+ * across target districts in proportion to the weight they share, and the
+ * result is stored as its own table version under the plan's name, served
+ * by the same routes with ?plan=.
+ *
+ * Files live in crosswalks/ (or CROSSWALKS_DIR), one plan per file
+ * (<plan>.csv) or per directory of files (<plan>/*.csv, e.g., one per
+ * state). States a plan does not mention keep their districts unchanged,
+ * so a plan can redraw only the states whose maps changed.
+ *
+ * Each plan declares the ACS plan its source districts are on in a
+ * metadata file (<plan>.json, or plan.json in its directory). A crosswalk
+ * only applies to years the ACS tabulated on that plan: run on a year
+ * already redrawn, it would split districts that no longer exist.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { prisma } = require('./db');
+const { DEFAULT_TABLE, iterateCells } = require('./tableBuilder');
+const { getCurrentBuildRun, createBuildRun, completeBuildRun, failBuildRun } = require('./buildRuns');
+const { isValidGeoId, acsPlan, GEOGRAPHY_TYPES } = require('./geographies');
+const { fipsToState, getRegion } = require('./recodeHelpers');
+const { smallCellSettings } = require('./smallCells');
+
+const CROSSWALKS_DIR = process.env.CROSSWALKS_DIR || path.join(__dirname, '..', 'crosswalks');
+
+// Plan names double as table keys and file names
+const PLAN_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const REQUIRED_COLUMNS = ['source', 'target', 'weight'];
+
+// Dimensions a crosswalk leaves unchanged
+const CELL_DIMENSIONS = ['ageGroup', 'sex', 'raceEth', 'education', 'income', 'maritalStatus', 'urbanicity'];
+
+/**
+ * Files of a crosswalk plan
+ *
+ * @param {string} plan - Plan name
+ * @param {string} [dir] - Crosswalk directory (default CROSSWALKS_DIR)
+ * @returns {Array<string>} File paths (empty if the plan does not exist)
+ */
+function planFiles(plan, dir = CROSSWALKS_DIR) {
+  const file = path.join(dir, `${plan}.csv`);
+  if (fs.existsSync(file)) {
+    return [file];
+  }
+
+  const planDir = path.join(dir, plan);
+  if (fs.existsSync(planDir) && fs.statSync(planDir).isDirectory()) {
+    return fs.readdirSync(planDir)
+      .filter(name => name.endsWith('.csv'))
+      .sort()
+      .map(name => path.join(planDir, name));
+  }
+
+  return [];
+}
+
+/**
+ * Read a crosswalk plan's metadata file
+ *
+ * <plan>.json (or plan.json in the plan's directory) holds an object
+ * whose sourcePlan names the ACS plan of its source districts, as
+ * acsPlan reports it (e.g., "116th Congress").
+ *
+ * @param {string} plan - Plan name
+ * @param {string} [dir] - Crosswalk directory (default CROSSWALKS_DIR)
+ * @returns {Object} { metadata: { sourcePlan, ... } } or { error: { error, message } }
+ */
+function planMetadata(plan, dir = CROSSWALKS_DIR) {
+  const invalid = message => ({ error: { error: 'Invalid crosswalk', message } });
+  const file = [path.join(dir, `${plan}.json`), path.join(dir, plan, 'plan.json')].find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    return invalid(`Crosswalk "${plan}" has no metadata file (${plan}.json, or plan.json in its directory) declaring its sourcePlan`);
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return invalid(`${path.relative(dir, file)}: ${error.message}`);
+  }
+
+  if (!metadata || typeof metadata.sourcePlan !== 'string' || metadata.sourcePlan.trim() === '') {
+    return invalid(`${path.relative(dir, file)}: sourcePlan must name the ACS plan of the crosswalk's source districts (e.g., "116th Congress")`);
+  }
+  return { metadata };
+}
+
+/**
+ * Check that a year's frame is on a crosswalk's source plan
+ *
+ * @param {number} year - ACS year
+ * @param {string} geoType - Geography type
+ * @param {string} plan - Crosswalk plan name
+ * @param {Object} metadata - From planMetadata
+ * @returns {string|null} Why the crosswalk cannot be applied, or null
+ */
+function sourcePlanMismatch(year, geoType, plan, metadata) {
+  const yearPlan = acsPlan(year, geoType);
+  return yearPlan === metadata.sourcePlan
+    ? null
+    : `Crosswalk "${plan}" maps from ${metadata.sourcePlan} districts, but the ${year} ACS ${geoType} frame is on ${yearPlan}`;
+}
+
+/**
+ * List the crosswalk plans available on disk
+ *
+ * @param {string} [dir] - Crosswalk directory (default CROSSWALKS_DIR)
+ * @returns {Array<Object>} [{ plan, sourcePlan (null if its metadata is missing or invalid), files }]
+ */
+function listCrosswalks(dir = CROSSWALKS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const plans = new Set(fs.readdirSync(dir)
+    .map(name => name.replace(/\.csv$/, ''))
+    .filter(name => PLAN_PATTERN.test(name) && name !== DEFAULT_TABLE.plan));
+
+  return [...plans]
+    .sort()
+    .map(plan => {
+      const { metadata } = planMetadata(plan, dir);
+      return {
+        plan,
+        sourcePlan: metadata ? metadata.sourcePlan : null,
+        files: planFiles(plan, dir).map(file => path.relative(dir, file))
+      };
+    })
+    .filter(({ files }) => files.length > 0);
+}
+
+/**
+ * Normalize a district ID from a crosswalk file
+ *
+ * Accepts the API's IDs (e.g., "TX-32") and, for congressional districts,
+ * Census GEOIDs (state FIPS + district, e.g., "4832").
+ *
+ * @param {string} value - ID as written in the file
+ * @param {string} geoType - Geography type of the plan's districts
+ * @returns {string|null} Geography ID, or null if not valid
+ */
+function normalizeGeoId(value, geoType) {
+  const id = String(value).trim().toUpperCase();
+  if (isValidGeoId(geoType, id)) {
+    return id;
+  }
+
+  if (geoType === 'cd' && /^\d{4}$/.test(id)) {
+    try {
+      return `${fipsToState(id.slice(0, 2))}-${id.slice(2)}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a crosswalk plan into allocation factors
+ *
+ * Files are comma-, pipe- or tab-delimited with a header row naming
+ * `source`, `target` and `weight` columns (and usually `unit`, the block
+ * or tract GEOID, which is not needed). Units with the same source and
+ * target are summed. Files are streamed, so national block files need
+ * not fit in memory.
+ *
+ * @param {string} plan - Plan name
+ * @param {Object} [options] - { geoType: "cd", dir }
+ * @returns {Promise<Object>} { crosswalk: { plan, geoType, sourcePlan, units, states, factors: Map(source → [{ target, factor }]), sourceWeights: Map(source → weight) } } or { error: { error, message } }
+ */
+async function loadCrosswalk(plan, options = {}) {
+  const { geoType = DEFAULT_TABLE.geoType, dir = CROSSWALKS_DIR } = options;
+  const files = planFiles(plan, dir);
+
+  if (files.length === 0) {
+    return {
+      error: {
+        error: 'Unknown plan',
+        message: `No crosswalk file for plan "${plan}" (expected ${plan}.csv or ${plan}/*.csv in the crosswalk directory)`
+      }
+    };
+  }
+
+  const { metadata, error: metadataError } = planMetadata(plan, dir);
+  if (metadataError) {
+    return { error: metadataError };
+  }
+
+  const pairWeights = new Map();
+  const problems = [];
+  let units = 0;
+
+  for (const file of files) {
+    const name = path.basename(file);
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let columns = null;
+    let delimiter = ',';
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') {
+        continue;
+      }
+
+      const text = lineNumber === 1 && line.charCodeAt(0) === 0xfeff ? line.slice(1) : line;
+      if (!columns) {
+        delimiter = ['|', '\t', ','].find(candidate => text.includes(candidate)) || ',';
+        const header = text.split(delimiter).map(column => column.trim().replace(/^"|"$/g, '').toLowerCase());
+        const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+        if (missing.length > 0) {
+          problems.push(`${name}: missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+          break;
+        }
+        columns = Object.fromEntries(REQUIRED_COLUMNS.map(column => [column, header.indexOf(column)]));
+        continue;
+      }
+
+      const fields = text.split(delimiter).map(field => field.trim().replace(/^"|"$/g, ''));
+      const source = normalizeGeoId(fields[columns.source], geoType);
+      const target = normalizeGeoId(fields[columns.target], geoType);
+      const weight = Number(fields[columns.weight]);
+
+      if (!source || !target || !Number.isFinite(weight) || weight < 0) {
+        if (problems.length < 20) {
+          problems.push(`${name} line ${lineNumber}: ${!source ? 'invalid source' : !target ? 'invalid target' : 'invalid weight'} (expected ${GEOGRAPHY_TYPES[geoType].idFormat} and a non-negative weight)`);
+        }
+        continue;
+      }
+
+      units++;
+      const key = `${source}|${target}`;
+      pairWeights.set(key, (pairWeights.get(key) || 0) + weight);
+    }
+  }
+
+  if (problems.length > 0) {
+    return {
+      error: {
+        error: 'Invalid crosswalk',
+        message: `Crosswalk "${plan}" has errors: ${problems.join('; ')}`
+      }
+    };
+  }
+
+  const sourceWeights = new Map();
+  for (const [key, weight] of pairWeights) {
+    const source = key.split('|')[0];
+    sourceWeights.set(source, (sourceWeights.get(source) || 0) + weight);
+  }
+
+  const factors = new Map();
+  for (const [key, weight] of pairWeights) {
+    const [source, target] = key.split('|');
+    const total = sourceWeights.get(source);
+    if (weight > 0 && total > 0) {
+      if (!factors.has(source)) {
+        factors.set(source, []);
+      }
+      factors.get(source).push({ target, factor: weight / total });
+    }
+  }
+
+  const states = new Set([...pairWeights.keys()].flatMap(key => key.split('|').map(geoId => geoId.slice(0, 2))));
+
+  return {
+    crosswalk: {
+      plan,
+      geoType,
+      sourcePlan: metadata.sourcePlan,
+      units,
+      states: [...states].sort(),
+      factors,
+      sourceWeights
+    }
+  };
+}
+
+/**
+ * Re-apportion cells onto a crosswalk's target districts
+ *
+ * Each source cell contributes factor × population to the matching cell of
+ * every target it overlaps. Standard errors combine as for a sum of
+ * independent estimates, sqrt(Σ (factor × SE)²). Cells of states the
+ * crosswalk does not mention are carried over unchanged.
+ *
+ * @param {Array<Object>} cells - Source cells (any number of geographies)
+ * @param {Object} crosswalk - From loadCrosswalk
+ * @param {Map} accumulated - Target cells by key (modified in place)
+ * @returns {Object} { unmatched: [source geoIds in covered states with no crosswalk rows] }
+ */
+function crosswalkCells(cells, crosswalk, accumulated) {
+  const covered = new Set(crosswalk.states);
+  const unmatched = new Set();
+
+  for (const cell of cells) {
+    const allocation = covered.has(cell.state)
+      ? crosswalk.factors.get(cell.geoId)
+      : [{ target: cell.geoId, factor: 1 }];
+
+    if (!allocation) {
+      unmatched.add(cell.geoId);
+      continue;
+    }
+
+    for (const { target, factor } of allocation) {
+      const key = [target, ...CELL_DIMENSIONS.map(dimension => cell[dimension])].join('|');
+      let entry = accumulated.get(key);
+      if (!entry) {
+        entry = {
+          cell: {
+            ...Object.fromEntries(CELL_DIMENSIONS.map(dimension => [dimension, cell[dimension]])),
+            geoId: target,
+            state: target.slice(0, 2),
+            // Keep the source run's region (DC and territory settings may have changed since)
+            censusRegion: target.slice(0, 2) === cell.state ? cell.censusRegion : getRegion(target.slice(0, 2))
+          },
+          population: 0,
+          variance: 0
+        };
+        accumulated.set(key, entry);
+      }
+      entry.population += factor * cell.population;
+      entry.variance += (factor * (cell.standardError || 0)) ** 2;
+    }
+  }
+
+  return { unmatched: [...unmatched] };
+}
+
+/**
+ * Build a table version on a crosswalk plan from the current version of
+ * the same year's table
+ *
+ * The new version is stored and made current like a build (see
+ * buildRuns.js), keyed by the plan. Re-apportioned populations are stored
+ * unrounded; zero cells are dropped or kept per smallCellSettings
+ * (options.smallCells overrides the environment). The build fails if the
+ * year's ACS frame is not on the crosswalk's source plan, or if a
+ * district in a state the crosswalk covers has no crosswalk rows, since
+ * its population would be lost.
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan }
+ * @param {Object} [options] - { onProgress, signal, jobId, dir, smallCells }
+ * @returns {Promise<Object>} Build statistics
+ */
+async function buildCrosswalkTable(year, table, options = {}) {
+  const { universe, dataset, geoType, recodeScheme, plan } = { ...DEFAULT_TABLE, ...table };
+  const { onProgress, signal } = options;
+  const { zeroCells } = smallCellSettings(options.smallCells);
+
+  if (plan === DEFAULT_TABLE.plan) {
+    throw new Error(`"${DEFAULT_TABLE.plan}" is the published plan; build it with POST /api/build/${year}`);
+  }
+
+  const source = await getCurrentBuildRun(year, { universe, dataset, geoType, recodeScheme, plan: DEFAULT_TABLE.plan, kind: DEFAULT_TABLE.kind });
+  if (!source) {
+    throw new Error(`No ${universe} ${dataset} poststrat table for ${year} (${geoType}, ${recodeScheme} scheme) to crosswalk. Build it first.`);
+  }
+
+  const { crosswalk, error } = await loadCrosswalk(plan, { geoType, dir: options.dir });
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const mismatch = sourcePlanMismatch(year, geoType, plan, crosswalk);
+  if (mismatch) {
+    throw new Error(mismatch);
+  }
+
+  console.log(`Crosswalking ${universe} ${dataset} poststrat table for ${year} (${geoType}, ${recodeScheme} recode scheme) onto plan ${plan}...`);
+
+  const accumulated = new Map();
+  const unmatched = [];
+  const sourceGeographies = new Set();
+  let sourcePopulation = 0;
+
+  for await (const chunk of iterateCells(source.id)) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    chunk.forEach(cell => {
+      sourceGeographies.add(cell.geoId);
+      sourcePopulation += cell.population;
+    });
+    unmatched.push(...crosswalkCells(chunk, crosswalk, accumulated).unmatched);
+
+    if (onProgress) {
+      onProgress({ phase: 'crosswalking', current: sourceGeographies.size, total: source.stats ? source.stats.districtsProcessed : sourceGeographies.size });
+    }
+  }
+
+  const missingSources = [...crosswalk.factors.keys()].filter(geoId => !sourceGeographies.has(geoId)).sort();
+
+  const cells = [];
+  for (const { cell, population, variance } of accumulated.values()) {
+    if (population > 0 || zeroCells === 'keep') {
+      cells.push({
+        year,
+        dataset,
+        universe,
+        geoType,
+        recodeScheme,
+        plan,
+        ...cell,
+        population,
+        standardError: Math.sqrt(variance)
+      });
+    }
+  }
+
+  const run = await createBuildRun(year, { universe, dataset, geoType, recodeScheme, plan, kind: DEFAULT_TABLE.kind }, {
+    jobId: options.jobId,
+    sourceBuildRunId: source.id
+  });
+
+  if (unmatched.length > 0) {
+    const reason = `Crosswalk "${plan}" has no rows for ${unmatched.length} source district${unmatched.length > 1 ? 's' : ''} in the states it covers: ${unmatched.sort().join(', ')}`;
+    await failBuildRun(run.id, reason);
+    throw new Error(reason);
+  }
+
+  console.log('Storing crosswalked cells in database...');
+  const batchSize = 5000;
+  let storedCount = 0;
+
+  try {
+    for (let i = 0; i < cells.length; i += batchSize) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+
+      const batch = cells.slice(i, i + batchSize).map(cell => ({ ...cell, buildRunId: run.id }));
+      await prisma.poststratCell.createMany({ data: batch });
+
+      storedCount += batch.length;
+      if (onProgress) {
+        onProgress({ phase: 'storing', current: storedCount, total: cells.length });
+      }
+    }
+  } catch (storeError) {
+    const reason = signal && signal.aborted ? 'Cancelled' : storeError.message;
+    await failBuildRun(run.id, reason).catch(cleanupError => {
+      console.error(`Failed to discard build run ${run.id}:`, cleanupError.message);
+    });
+    throw storeError;
+  }
+
+  const storedPopulation = cells.reduce((sum, cell) => sum + cell.population, 0);
+  const targetGeographies = new Set(cells.map(cell => cell.geoId));
+
+  const stats = {
+    success: true,
+    year,
+    universe,
+    dataset,
+    geoType,
+    recodeScheme,
+    plan,
+    buildRunId: run.id,
+    sourceBuildRunId: source.id,
+    recodeSpecHash: run.recodeSpecHash,
+    sourceDataset: run.sourceDataset,
+    districtsProcessed: targetGeographies.size,
+    cellsGenerated: cells.length,
+    cellsStored: storedCount,
+    crosswalk: {
+      sourcePlan: crosswalk.sourcePlan,
+      units: crosswalk.units,
+      states: crosswalk.states,
+      sourceGeographies: sourceGeographies.size,
+      targetGeographies: targetGeographies.size,
+      // Districts in the crosswalk that the source table does not have
+      // (their share of each target is missing)
+      missingSources,
+      population: {
+        source: sourcePopulation,
+        stored: storedPopulation,
+        change: storedPopulation - sourcePopulation
+      }
+    }
+  };
+
+  await completeBuildRun(run, { cellCount: storedCount, stats });
+  console.log(`Build run ${run.id} is now the current ${universe} ${dataset} table for ${year} (${geoType}, ${recodeScheme} recode scheme, plan ${plan})`);
+
+  return stats;
+}
+
+module.exports = {
+  CROSSWALKS_DIR,
+  PLAN_PATTERN,
+  listCrosswalks,
+  planMetadata,
+  sourcePlanMismatch,
+  loadCrosswalk,
+  crosswalkCells,
+  buildCrosswalkTable
+};
@@ -0,0 +1,82 @@
+/**
+ * CSV Parsing
+ *
+ * Minimal RFC 4180 parser for survey uploads: quoted fields, escaped
+ * quotes ("") and CRLF line endings. The first row is the header.
+ */
+
+/**
+ * Parse CSV (or TSV) text into records keyed by header
+ *
+ * @param {string} text - CSV text
+ * @param {Object} [options] - { delimiter: "," }
+ * @returns {Array<Object>} One object per data row; empty lines are skipped
+ */
+function parseCsv(text, options = {}) {
+  const { delimiter = ',' } = options;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark (Excel exports)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...data] = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim());
+  return data.map((values, index) => {
+    if (values.length !== columns.length) {
+      throw new Error(`CSV row ${index + 2} has ${values.length} fields; header has ${columns.length}`);
+    }
+    const record = {};
+    columns.forEach((column, i) => {
+      record[column] = values[i];
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,14 @@
+/**
+ * Shared Prisma Client
+ *
+ * One client (and connection pool) for every module that talks to the
+ * database.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+module.exports = {
+  prisma
+};
@@ -0,0 +1,414 @@
+/**
+ * Derived Frames
+ *
+ * Builds a year's frame from the stored ACS frames of other years instead
+ * of from Census data:
+ * - pooled: a weighted average of several years' cells, which steadies
+ *   small subgroups whose 1-year estimates are noisy
+ * - interpolated / projected: each geography's total and cell shares
+ *   carried linearly or log-linearly from two years' frames to a year
+ *   between them, or a short way beyond them (a year not yet published)
+ *
+ * A derived frame is stored as its own table version, keyed by its kind
+ * alongside the year's ACS frame, and its lineage (method, source build
+ * runs, years, weights and district plans) is recorded on the build run.
+ */
+
+const { prisma } = require('./db');
+const { iterateCells, DEFAULT_TABLE } = require('./tableBuilder');
+const { getCurrentBuildRun, createBuildRun, completeBuildRun, failBuildRun } = require('./buildRuns');
+const { getScheme } = require('./recodeSchemes');
+const { DATASETS, acsPlan } = require('./geographies');
+const { smallCellSettings } = require('./smallCells');
+
+/**
+ * Derivation methods
+ */
+const DERIVE_METHODS = {
+  pool: 'Weighted average of two or more years\' cells (kind "pooled")',
+  linear: 'Linear interpolation or extrapolation of two years\' totals and cell shares',
+  loglinear: 'Log-linear interpolation or extrapolation of two years\' totals and cell shares'
+};
+
+// Furthest a frame may be extrapolated beyond its two source years
+const MAX_PROJECTION_YEARS = 2;
+
+// Geographies combined at a time, and cells stored per batch
+const GEOGRAPHIES_PER_CHUNK = 50;
+const BATCH_SIZE = 5000;
+
+/**
+ * Validate a derivation request
+ *
+ * - method: "pool", "linear" or "loglinear"
+ * - years: source years (two or more to pool; exactly two otherwise)
+ * - weights: pooling weights, one per year (default equal; normalized to
+ *   sum to 1)
+ *
+ * Interpolation and extrapolation weight the two years by 1 - t and t,
+ * where t = (year - first) / (second - first); the target year's kind is
+ * "interpolated" between them and "projected" outside them.
+ *
+ * @param {number} year - Target year
+ * @param {Object} raw - { method, years, weights } from the request
+ * @returns {Object} { derivation: { method, kind, years, weights } } (years ascending) or { error: { error, message } }
+ */
+function resolveDerivation(year, raw = {}) {
+  const method = raw.method === undefined ? undefined : String(raw.method).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(DERIVE_METHODS, method)) {
+    return {
+      error: { error: 'Invalid method', message: `method must be one of: ${Object.keys(DERIVE_METHODS).join(', ')}` }
+    };
+  }
+
+  const years = [].concat(raw.years ?? []).map(Number);
+  if (years.length === 0 || !years.every(Number.isInteger) || new Set(years).size !== years.length) {
+    return {
+      error: { error: 'Invalid years', message: 'years must be distinct source years (e.g., [2021, 2022, 2023])' }
+    };
+  }
+
+  if (method === 'pool') {
+    if (years.length < 2) {
+      return {
+        error: { error: 'Invalid years', message: 'Pooling needs two or more years' }
+      };
+    }
+
+    const weights = raw.weights === undefined ? years.map(() => 1) : [].concat(raw.weights).map(Number);
+    if (weights.length !== years.length || !weights.every(weight => Number.isFinite(weight) && weight >= 0)) {
+      return {
+        error: { error: 'Invalid weights', message: 'weights must be one non-negative number per year' }
+      };
+    }
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+      return {
+        error: { error: 'Invalid weights', message: 'At least one weight must be positive' }
+      };
+    }
+
+    const pairs = years.map((sourceYear, i) => [sourceYear, weights[i] / total]).sort((a, b) => a[0] - b[0]);
+    return {
+      derivation: { method, kind: 'pooled', years: pairs.map(([sourceYear]) => sourceYear), weights: pairs.map(([, weight]) => weight) }
+    };
+  }
+
+  if (years.length !== 2) {
+    return {
+      error: { error: 'Invalid years', message: `${method} needs exactly two years` }
+    };
+  }
+
+  if (raw.weights !== undefined) {
+    return {
+      error: { error: 'Invalid weights', message: 'weights only apply to method pool; interpolation weights follow from the years' }
+    };
+  }
+
+  const [first, second] = [...years].sort((a, b) => a - b);
+  if (year === first || year === second) {
+    return {
+      error: { error: 'Invalid years', message: `${year} is a source year; its ACS frame is already stored` }
+    };
+  }
+
+  const horizon = year < first ? first - year : year - second;
+  if (horizon > MAX_PROJECTION_YEARS) {
+    return {
+      error: {
+        error: 'Projection too far',
+        message: `${year} is ${horizon} years beyond the source years; frames can be projected at most ${MAX_PROJECTION_YEARS} years`
+      }
+    };
+  }
+
+  const t = (year - first) / (second - first);
+  return {
+    derivation: {
+      method,
+      kind: year > first && year < second ? 'interpolated' : 'projected',
+      years: [first, second],
+      weights: [1 - t, t]
+    }
+  };
+}
+
+/**
+ * Combine one geography's cells from the source frames
+ *
+ * Pooling averages each cell's population with the derivation weights.
+ * Interpolation carries the geography's total and each cell's share of it
+ * separately: linearly (negative extrapolated shares are set to 0), or
+ * log-linearly (geometric, so shares and totals stay positive; a cell
+ * missing from either year stays 0). Shares are renormalized to sum to 1.
+ *
+ * Variances combine the sources' as a weighted sum of independent
+ * estimates, Σ w² SE²; they do not include the error of the
+ * interpolation itself.
+ *
+ * @param {Array<Map>} sources - Per source year (ascending), Map(cell key → cell)
+ * @param {Object} derivation - From resolveDerivation
+ * @returns {Array<Object>} [{ cell, population, variance }] (population unrounded)
+ */
+function deriveGeography(sources, derivation) {
+  const { method, weights } = derivation;
+  const keys = [...new Set(sources.flatMap(cells => [...cells.keys()]))];
+  const populationOf = (cells, key) => (cells.has(key) ? cells.get(key).population : 0);
+  const varianceOf = (cells, key) => (cells.has(key) ? (cells.get(key).standardError || 0) ** 2 : 0);
+
+  const derived = keys.map(key => ({
+    // Dimensions and region from the latest year that has the cell
+    cell: [...sources].reverse().find(cells => cells.has(key)).get(key),
+    population: 0,
+    variance: sources.reduce((sum, cells, i) => sum + weights[i] ** 2 * varianceOf(cells, key), 0)
+  }));
+
+  if (method === 'pool') {
+    derived.forEach((entry, k) => {
+      entry.population = sources.reduce((sum, cells, i) => sum + weights[i] * populationOf(cells, keys[k]), 0);
+    });
+    return derived;
+  }
+
+  const [w0, w1] = weights;
+  const [before, after] = sources;
+  const totals = sources.map(cells => [...cells.values()].reduce((sum, cell) => sum + cell.population, 0));
+  const combine = method === 'linear'
+    ? (a, b) => Math.max(w0 * a + w1 * b, 0)
+    : (a, b) => (a > 0 && b > 0 ? a ** w0 * b ** w1 : 0);
+
+  const total = combine(totals[0], totals[1]);
+  const shares = keys.map(key => combine(
+    totals[0] > 0 ? populationOf(before, key) / totals[0] : 0,
+    totals[1] > 0 ? populationOf(after, key) / totals[1] : 0
+  ));
+  const shareSum = shares.reduce((sum, share) => sum + share, 0);
+
+  derived.forEach((entry, k) => {
+    entry.population = shareSum > 0 ? total * shares[k] / shareSum : 0;
+  });
+  return derived;
+}
+
+/**
+ * District plans of a derivation's sources
+ *
+ * Sources are matched by geography ID, which only identifies the same
+ * area within one plan. ACS frames (plan "acs") are on the plan the ACS
+ * tabulated their year on (see acsPlan), so years on different plans
+ * cannot be combined; crosswalked frames are all on their crosswalk plan,
+ * which only accepts years on its source plan (see crosswalks.js).
+ *
+ * @param {Array<number>} years - Source years
+ * @param {Object} table - { geoType, plan }
+ * @returns {Object} { plans: { year: plan }, error: why the years cannot be combined, or null }
+ */
+function sourcePlans(years, table) {
+  const { geoType, plan } = { ...DEFAULT_TABLE, ...table };
+  const plans = Object.fromEntries(years.map(sourceYear => [
+    sourceYear,
+    plan === DEFAULT_TABLE.plan ? acsPlan(sourceYear, geoType) : plan
+  ]));
+
+  if (new Set(Object.values(plans)).size === 1) {
+    return { plans, error: null };
+  }
+  const listed = years.map(sourceYear => `${sourceYear}: ${plans[sourceYear]}`).join(', ');
+  return {
+    plans,
+    error: `The ${years.join(', ')} ${geoType} frames are on different district plans (${listed}), so the same geography IDs cover different areas. Derive from years on one plan, or from frames crosswalked from one plan onto another (POST /api/crosswalk/:year?plan=) with that plan.`
+  };
+}
+
+/**
+ * Geography IDs of a build run
+ *
+ * @param {string} buildRunId - BuildRun ID
+ * @returns {Promise<Array<string>>} Sorted geography IDs
+ */
+async function runGeographies(buildRunId) {
+  const geographies = await prisma.poststratCell.findMany({
+    where: { buildRunId },
+    select: { geoId: true },
+    distinct: ['geoId']
+  });
+  return geographies.map(g => g.geoId).sort();
+}
+
+/**
+ * Build a derived frame from the current ACS frames of other years
+ *
+ * The new version is stored and made current like a build (see
+ * buildRuns.js), keyed by the derivation's kind. Sources must be on one
+ * district plan (see sourcePlans), which the lineage records for each.
+ * Only geographies in every source frame are derived; the rest are listed
+ * in skippedGeographies. Populations are stored
+ * unrounded; zero cells are dropped or kept per smallCellSettings
+ * (options.smallCells overrides the environment).
+ *
+ * @param {number} year - Target year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan }
+ * @param {Object} derivation - From resolveDerivation
+ * @param {Object} [options] - { onProgress, signal, jobId, smallCells }
+ * @returns {Promise<Object>} Build statistics
+ */
+async function buildDerivedTable(year, table, derivation, options = {}) {
+  const { universe, dataset, geoType, recodeScheme, plan } = { ...DEFAULT_TABLE, ...table };
+  const { method, kind, years, weights } = derivation;
+  const { onProgress, signal } = options;
+  const { zeroCells } = smallCellSettings(options.smallCells);
+  const scheme = getScheme(recodeScheme);
+  if (!scheme) {
+    throw new Error(`Unknown recode scheme: ${recodeScheme}`);
+  }
+
+  const { plans, error: planError } = sourcePlans(years, { geoType, plan });
+  if (planError) {
+    throw new Error(planError);
+  }
+
+  const sources = [];
+  for (const sourceYear of years) {
+    const run = await getCurrentBuildRun(sourceYear, { universe, dataset, geoType, recodeScheme, plan, kind: DEFAULT_TABLE.kind });
+    if (!run) {
+      throw new Error(`No ${universe} ${dataset} poststrat table for ${sourceYear} (${geoType}, ${recodeScheme} scheme) to derive from. Build it first.`);
+    }
+    sources.push(run);
+  }
+
+  console.log(`Deriving ${kind} ${universe} ${dataset} poststrat table for ${year} (${geoType}, ${recodeScheme} recode scheme) from ${years.join(', ')} (${method})...`);
+
+  const sourceGeographies = (await Promise.all(sources.map(run => runGeographies(run.id)))).map(ids => new Set(ids));
+  const allGeographies = [...new Set(sourceGeographies.flatMap(ids => [...ids]))].sort();
+  const inEvery = allGeographies.filter(geoId => sourceGeographies.every(ids => ids.has(geoId)));
+  const skippedGeographies = allGeographies
+    .filter(geoId => !sourceGeographies.every(ids => ids.has(geoId)))
+    .map(geoId => ({
+      geoId,
+      reason: `Only in ${years.filter((sourceYear, i) => sourceGeographies[i].has(geoId)).join(', ')}`
+    }));
+
+  if (inEvery.length === 0) {
+    throw new Error(`The ${years.join(', ')} frames have no geographies in common`);
+  }
+
+  const lineage = {
+    method,
+    sources: sources.map((run, i) => ({ year: years[i], buildRunId: run.id, weight: weights[i], districtPlan: plans[years[i]] }))
+  };
+  const run = await createBuildRun(year, { universe, dataset, geoType, recodeScheme, plan, kind }, {
+    jobId: options.jobId,
+    lineage,
+    sourceDataset: `${years.join('+')}/${DATASETS[dataset].path}`
+  });
+
+  const cellKey = cell => scheme.cellDimensions.map(dimension => cell[dimension]).join('|');
+  const sourcePopulation = Object.fromEntries(years.map(sourceYear => [sourceYear, 0]));
+  let storedPopulation = 0;
+  let storedCount = 0;
+
+  try {
+    for (let i = 0; i < inEvery.length; i += GEOGRAPHIES_PER_CHUNK) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+
+      const chunk = inEvery.slice(i, i + GEOGRAPHIES_PER_CHUNK);
+
+      // Per source: Map(geoId → Map(cell key → cell))
+      const byGeography = [];
+      for (const [s, source] of sources.entries()) {
+        const cells = new Map(chunk.map(geoId => [geoId, new Map()]));
+        for await (const batch of iterateCells(source.id, { geoIds: chunk }, { geographiesPerChunk: chunk.length })) {
+          for (const cell of batch) {
+            cells.get(cell.geoId).set(cellKey(cell), cell);
+            sourcePopulation[years[s]] += cell.population;
+          }
+        }
+        byGeography.push(cells);
+      }
+
+      const cells = [];
+      for (const geoId of chunk) {
+        for (const { cell, population, variance } of deriveGeography(byGeography.map(cells => cells.get(geoId)), derivation)) {
+          if (population > 0 || zeroCells === 'keep') {
+            cells.push({
+              buildRunId: run.id,
+              year,
+              dataset,
+              universe,
+              geoType,
+              recodeScheme,
+              plan,
+              kind,
+              geoId,
+              state: cell.state,
+              ...Object.fromEntries(scheme.cellDimensions.map(dimension => [dimension, cell[dimension]])),
+              censusRegion: cell.censusRegion,
+              population,
+              standardError: Math.sqrt(variance)
+            });
+            storedPopulation += population;
+          }
+        }
+      }
+
+      for (let b = 0; b < cells.length; b += BATCH_SIZE) {
+        const batch = cells.slice(b, b + BATCH_SIZE);
+        await prisma.poststratCell.createMany({ data: batch });
+        storedCount += batch.length;
+      }
+
+      if (onProgress) {
+        onProgress({ phase: 'deriving', current: Math.min(i + GEOGRAPHIES_PER_CHUNK, inEvery.length), total: inEvery.length });
+      }
+    }
+  } catch (deriveError) {
+    const reason = signal && signal.aborted ? 'Cancelled' : deriveError.message;
+    await failBuildRun(run.id, reason).catch(cleanupError => {
+      console.error(`Failed to discard build run ${run.id}:`, cleanupError.message);
+    });
+    throw deriveError;
+  }
+
+  const stats = {
+    success: true,
+    year,
+    universe,
+    dataset,
+    geoType,
+    recodeScheme,
+    plan,
+    kind,
+    buildRunId: run.id,
+    recodeSpecHash: run.recodeSpecHash,
+    sourceDataset: run.sourceDataset,
+    lineage,
+    // False if a source was recoded with a different version of the scheme
+    sameRecodeSpec: sources.every(source => source.recodeSpecHash === run.recodeSpecHash),
+    districtsProcessed: inEvery.length,
+    districtsSkipped: skippedGeographies.length,
+    skippedGeographies,
+    cellsStored: storedCount,
+    population: {
+      sources: sourcePopulation,
+      stored: storedPopulation
+    }
+  };
+
+  await completeBuildRun(run, { cellCount: storedCount, stats });
+  console.log(`Build run ${run.id} is now the current ${kind} ${universe} ${dataset} table for ${year} (${geoType}, ${recodeScheme} recode scheme)`);
+
+  return stats;
+}
+
+module.exports = {
+  DERIVE_METHODS,
+  MAX_PROJECTION_YEARS,
+  resolveDerivation,
+  sourcePlans,
+  deriveGeography,
+  buildDerivedTable
+};
@@ -0,0 +1,276 @@
+/**
+ * Poststrat Table Export
+ *
+ * Streams a stored table version as CSV, TSV, Parquet or JSON Lines, a few
+ * geographies at a time (see iterateCells), so a full 130k-row frame never
+ * has to be held in memory. Rows are ordered by geography, then by the
+ * recode scheme's level order of each demographic dimension, and the level
+ * order is published alongside the data so R and Stata users can rebuild
+ * factors / value labels in the intended order. Schemes with optional
+ * dimensions (income, marital status, urbanicity) export them as extra
+ * columns after education. Populations are exported unrounded, or as
+ * whole people by controlled rounding (see smallCells.js).
+ */
+
+const parquet = require('parquetjs-lite');
+const { iterateCells, schemeSpecs } = require('./tableBuilder');
+const { getScheme, DEFAULT_SCHEME } = require('./recodeSchemes');
+const { roundCells } = require('./smallCells');
+const { rollUpGroup } = require('./geographyGroups');
+
+/**
+ * Supported export formats
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+  'json-lines': { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+/**
+ * Exported columns, in order (before any optional dimensions; see
+ * exportColumns)
+ */
+const EXPORT_COLUMNS = [
+  'year',
+  'dataset',
+  'universe',
+  'geoType',
+  'recodeScheme',
+  'geoId',
+  'state',
+  'censusRegion',
+  'ageGroup',
+  'sex',
+  'raceEth',
+  'education',
+  'population',
+  'standardError'
+];
+
+/**
+ * Optional dimensions of a recode scheme, in column order
+ *
+ * @param {string} recodeScheme - Recode scheme of the exported table
+ * @returns {Array<string>} e.g. ["income"]
+ */
+function extraDimensions(recodeScheme) {
+  return (getScheme(recodeScheme) || getScheme(DEFAULT_SCHEME)).extraDimensions;
+}
+
+/**
+ * Exported columns of a table, in order
+ *
+ * @param {string} recodeScheme - Recode scheme of the exported table
+ * @returns {Array<string>} EXPORT_COLUMNS with the scheme's optional dimensions after education
+ */
+function exportColumns(recodeScheme) {
+  const columns = [...EXPORT_COLUMNS];
+  columns.splice(columns.indexOf('education') + 1, 0, ...extraDimensions(recodeScheme));
+  return columns;
+}
+
+/**
+ * Level order of each categorical column
+ *
+ * @param {string} recodeScheme - Recode scheme of the exported table
+ * @returns {Object} { censusRegion: [levels], ageGroup: [levels], ... }
+ */
+function factorLevels(recodeScheme) {
+  const specs = schemeSpecs(recodeScheme);
+  return {
+    censusRegion: specs.censusRegion.levels,
+    ageGroup: specs.ageGroup.levels,
+    sex: specs.sex.levels,
+    raceEth: specs.raceEth.levels,
+    education: specs.education.levels,
+    ...Object.fromEntries(extraDimensions(recodeScheme).map(dimension => [dimension, specs[dimension].levels]))
+  };
+}
+
+const PARQUET_FIELDS = {
+  year: { type: 'INT32' },
+  dataset: { type: 'UTF8' },
+  universe: { type: 'UTF8' },
+  geoType: { type: 'UTF8' },
+  recodeScheme: { type: 'UTF8' },
+  geoId: { type: 'UTF8' },
+  state: { type: 'UTF8' },
+  censusRegion: { type: 'UTF8' },
+  ageGroup: { type: 'UTF8' },
+  sex: { type: 'UTF8' },
+  raceEth: { type: 'UTF8' },
+  education: { type: 'UTF8' },
+  population: { type: 'DOUBLE' },
+  standardError: { type: 'DOUBLE', optional: true }
+};
+
+/**
+ * Parquet schema of a table
+ *
+ * @param {string} recodeScheme - Recode scheme of the exported table
+ * @param {string} rounding - Key of ROUNDING_MODES (controlled: INT32 populations)
+ * @param {boolean} [grouped] - Rows are geography groups (state and censusRegion may be missing)
+ * @returns {ParquetSchema} Schema with a UTF8 column per optional dimension
+ */
+function parquetSchema(recodeScheme, rounding, grouped = false) {
+  const fields = {};
+  for (const column of exportColumns(recodeScheme)) {
+    fields[column] = PARQUET_FIELDS[column] || { type: 'UTF8' };
+  }
+  if (rounding === 'controlled') {
+    fields.population = { type: 'INT32' };
+  }
+  if (grouped) {
+    fields.state = { type: 'UTF8', optional: true };
+    fields.censusRegion = { type: 'UTF8', optional: true };
+  }
+  return new parquet.ParquetSchema(fields);
+}
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ *
+ * @param {*} value - Field value (null/undefined = empty, read as missing by R and Stata)
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * TSV field: tabs and line breaks cannot be quoted, so they become spaces
+ *
+ * @param {*} value - Field value
+ * @returns {string} TSV field
+ */
+function tsvField(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\t\r\n]/g, ' ');
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ *
+ * @param {Writable} output - Output stream (e.g., Express response)
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>} Rejects if the stream closes first (client disconnected)
+ */
+async function write(output, chunk) {
+  if (output.destroyed) {
+    throw new Error('Output closed before export finished');
+  }
+  if (output.write(chunk)) return;
+
+  await new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off('drain', onDrain);
+      reject(new Error('Output closed before export finished'));
+    };
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+}
+
+/**
+ * Export row for a stored cell
+ *
+ * @param {Object} cell - PoststratCell
+ * @param {Array<string>} columns - Exported columns (see exportColumns)
+ * @returns {Object} Row with the exported columns only
+ */
+function exportRow(cell, columns) {
+  const row = {};
+  for (const column of columns) {
+    row[column] = cell[column];
+  }
+  return row;
+}
+
+/**
+ * Stream a build run's cells to an output stream
+ *
+ * The output is ended when the export completes.
+ *
+ * With geography groups, each group's rolled-up cells are written instead
+ * (one group at a time, in the order given) and filters are not used.
+ *
+ * @param {Object} run - BuildRun (id, recodeScheme)
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} filters - { states, regions, geoIds } (see iterateCells)
+ * @param {Writable} output - Output stream (e.g., Express response)
+ * @param {Object} [options] - { rounding: key of ROUNDING_MODES (default "none"), groups: [GeographyGroup] }
+ * @returns {Promise<number>} Number of rows written
+ */
+async function exportTable(run, format, filters, output, options = {}) {
+  const buildRunId = run.id;
+  const { rounding = 'none', groups } = options;
+  const columns = exportColumns(run.recodeScheme);
+  // Chunks hold whole geographies, so each is rounded on its own
+  const chunks = async function* () {
+    if (groups) {
+      for (const group of groups) {
+        yield roundCells((await rollUpGroup(run, group)).cells, rounding);
+      }
+      return;
+    }
+    for await (const cells of iterateCells(buildRunId, filters)) {
+      yield roundCells(cells, rounding);
+    }
+  };
+  let rowCount = 0;
+
+  if (format === 'parquet') {
+    const writer = await parquet.ParquetWriter.openStream(parquetSchema(run.recodeScheme, rounding, Boolean(groups)), output);
+    writer.setMetadata('factor_levels', JSON.stringify(factorLevels(run.recodeScheme)));
+
+    for await (const cells of chunks()) {
+      for (const cell of cells) {
+        const row = exportRow(cell, columns);
+        for (const column of ['standardError', 'state', 'censusRegion']) {
+          if (row[column] === null) delete row[column];
+        }
+        await writer.appendRow(row);
+        rowCount++;
+      }
+    }
+
+    await writer.close(); // Ends the output
+    return rowCount;
+  }
+
+  if (format === 'csv' || format === 'tsv') {
+    const delimiter = format === 'csv' ? ',' : '\t';
+    const field = format === 'csv' ? csvField : tsvField;
+    const line = values => values.map(field).join(delimiter) + '\n';
+
+    await write(output, line(columns));
+    for await (const cells of chunks()) {
+      await write(output, cells.map(cell => line(columns.map(column => cell[column]))).join(''));
+      rowCount += cells.length;
+    }
+  } else {
+    for await (const cells of chunks()) {
+      await write(output, cells.map(cell => JSON.stringify(exportRow(cell, columns)) + '\n').join(''));
+      rowCount += cells.length;
+    }
+  }
+
+  output.end();
+  return rowCount;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  exportColumns,
+  factorLevels,
+  exportTable
+};
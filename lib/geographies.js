@@ -0,0 +1,242 @@
+/**
+ * Census Geographies and Datasets
+ *
+ * Describes every geography a poststrat table can be built for: how to
+ * request it from the Census API, how to turn a response row into a
+ * geography ID, and how to validate IDs coming in through the routes.
+ *
+ * Geography IDs are prefixed with the state code so they are readable and
+ * unique nationwide:
+ * - state:  "TX"
+ * - county: "TX-201"        (3-digit county FIPS)
+ * - cd:     "TX-32"         (congressional district; "00" = at-large,
+ *                            "98" = DC's and Puerto Rico's non-voting delegates)
+ * - sldu:   "TX-U-001"      (state senate district code)
+ * - sldl:   "TX-L-001"      (state house district code)
+ * - puma:   "TX-04601"      (5-digit PUMA code)
+ */
+
+const { FIPS_TO_STATE, fipsToState } = require('./recodeHelpers');
+
+const STATE_CODES = new Set(Object.values(FIPS_TO_STATE));
+const STATE_TO_FIPS = Object.fromEntries(Object.entries(FIPS_TO_STATE).map(([fips, state]) => [state, fips]));
+
+/**
+ * States represented by a non-voting delegate, whose only congressional
+ * district is "98"
+ */
+const DELEGATE_STATES = ['DC', 'PR'];
+const DELEGATE_DISTRICT = '98';
+
+/**
+ * ACS datasets
+ * Small geographies (most state house districts, small counties) are only
+ * published in the 5-year estimates.
+ */
+const DATASETS = {
+  acs1: {
+    path: 'acs/acs1',
+    description: 'ACS 1-year estimates (geographies with 65,000+ population)'
+  },
+  acs5: {
+    path: 'acs/acs5',
+    description: 'ACS 5-year estimates (all geographies)'
+  }
+};
+
+/**
+ * Supported geography types
+ *
+ * - censusName: the geography name in the Census API's for= clause and
+ *   the matching column in the response
+ * - inState: whether the API needs in=state:* for this geography
+ * - idPattern / idFormat: validation for geography IDs in routes
+ * - acsPlans: the boundary plans the ACS tabulates the type on, as
+ *   [first ACS year, plan]; each plan holds until the next (see acsPlan)
+ */
+const GEOGRAPHY_TYPES = {
+  state: {
+    label: 'State',
+    censusName: 'state',
+    inState: false,
+    idPattern: /^[A-Z]{2}$/,
+    idFormat: 'ST (e.g., TX)',
+    acsPlans: [[2005, 'states']]
+  },
+  county: {
+    label: 'County',
+    censusName: 'county',
+    inState: true,
+    idPattern: /^[A-Z]{2}-\d{3}$/,
+    idFormat: 'ST-NNN county FIPS (e.g., TX-201)',
+    // Changed counties get new codes (e.g., Connecticut's planning regions from 2022)
+    acsPlans: [[2005, 'counties']]
+  },
+  cd: {
+    label: 'Congressional district',
+    censusName: 'congressional district',
+    inState: true,
+    idPattern: /^[A-Z]{2}-\d{2}$/,
+    idFormat: 'STATE-NN (e.g., TX-32, CA-01; 00 = at-large, e.g., AK-00; 98 = non-voting delegate, DC-98 and PR-98)',
+    acsPlans: [
+      [2010, '111th Congress'], [2011, '112th Congress'], [2012, '113th Congress'], [2014, '114th Congress'],
+      [2016, '115th Congress'], [2018, '116th Congress'], [2022, '118th Congress'], [2024, '119th Congress']
+    ]
+  },
+  sldu: {
+    label: 'State legislative district (upper chamber)',
+    censusName: 'state legislative district (upper chamber)',
+    inState: true,
+    idPattern: /^[A-Z]{2}-U-[0-9A-Z]{3}$/,
+    idFormat: 'ST-U-XXX (e.g., TX-U-014)',
+    acsPlans: [[2022, '2022 districts'], [2024, '2024 districts']]
+  },
+  sldl: {
+    label: 'State legislative district (lower chamber)',
+    censusName: 'state legislative district (lower chamber)',
+    inState: true,
+    idPattern: /^[A-Z]{2}-L-[0-9A-Z]{3}$/,
+    idFormat: 'ST-L-XXX (e.g., TX-L-121)',
+    acsPlans: [[2022, '2022 districts'], [2024, '2024 districts']]
+  },
+  puma: {
+    label: 'Public use microdata area',
+    censusName: 'public use microdata area',
+    inState: true,
+    idPattern: /^[A-Z]{2}-\d{5}$/,
+    idFormat: 'ST-NNNNN (e.g., TX-04601)',
+    acsPlans: [[2012, '2010 PUMAs'], [2022, '2020 PUMAs']]
+  }
+};
+
+/**
+ * Look up a geography type definition
+ *
+ * @param {string} geoType - Geography type (e.g., "cd")
+ * @returns {Object} Geography type definition
+ */
+function getGeographyType(geoType) {
+  const definition = GEOGRAPHY_TYPES[geoType];
+  if (!definition) {
+    throw new Error(`Unknown geography type: ${geoType}`);
+  }
+  return definition;
+}
+
+/**
+ * Boundary plan of an ACS year's geographies of one type
+ *
+ * Geography IDs only identify the same area within a plan: "TX-32" of the
+ * 2021 ACS (116th Congress) is not the 2022 ACS's (118th Congress). Years
+ * before a type's first listed plan are each treated as their own.
+ *
+ * @param {number} year - ACS year
+ * @param {string} geoType - Geography type
+ * @returns {string} Plan name (e.g., "118th Congress")
+ */
+function acsPlan(year, geoType) {
+  const { label, acsPlans } = getGeographyType(geoType);
+  const current = acsPlans.filter(([first]) => first <= year).pop();
+  return current ? current[1] : `${year} ${label.toLowerCase()} boundaries`;
+}
+
+/**
+ * Census API geography clause (for= and in=) for a geography type, or for
+ * one geography of it
+ *
+ * @param {string} geoType - Geography type
+ * @param {string} [geoId] - Valid geography ID (see isValidGeoId); all geographies if omitted
+ * @returns {string} URL-encoded query fragment (e.g., "for=county:*&in=state:*", or "for=county:201&in=state:48" for TX-201)
+ */
+function geographyQuery(geoType, geoId) {
+  const { censusName, inState } = getGeographyType(geoType);
+  if (!geoId) {
+    const forClause = `for=${encodeURIComponent(censusName)}:*`;
+    return inState ? `${forClause}&in=state:*` : forClause;
+  }
+
+  const [state, ...rest] = geoId.split('-');
+  const stateFips = STATE_TO_FIPS[state];
+  if (!inState) {
+    return `for=state:${stateFips}`;
+  }
+  // Legislative district IDs carry a chamber prefix ("TX-U-014") the Census code does not
+  const code = rest[rest.length - 1];
+  return `for=${encodeURIComponent(censusName)}:${code}&in=state:${stateFips}`;
+}
+
+/**
+ * Response columns identifying a geography (used to merge batches)
+ *
+ * @param {string} geoType - Geography type
+ * @returns {Array<string>} Column names
+ */
+function geographyFields(geoType) {
+  const { censusName, inState } = getGeographyType(geoType);
+  return inState ? ['state', censusName] : ['state'];
+}
+
+/**
+ * Parse the geography of a Census response row
+ *
+ * @param {Object} row - Census data row
+ * @param {string} geoType - Geography type
+ * @returns {Object} { geoType, state: "TX", geoId: "TX-32", code: "32" }
+ */
+function parseGeography(row, geoType) {
+  const { censusName } = getGeographyType(geoType);
+  const state = fipsToState(row.state);
+
+  if (geoType === 'state') {
+    return { geoType, state, geoId: state, code: row.state };
+  }
+
+  const code = String(row[censusName]).toUpperCase();
+  const prefix = geoType === 'sldu' ? 'U-' : geoType === 'sldl' ? 'L-' : '';
+
+  return {
+    geoType,
+    state,
+    geoId: `${state}-${prefix}${code}`,
+    code
+  };
+}
+
+/**
+ * Check a geography ID against its type's format
+ *
+ * The state prefix must be a state, DC or Puerto Rico. Congressional
+ * districts of DC and Puerto Rico must be "98" and only theirs may be;
+ * any other state may be at-large ("00"), since apportionment changes.
+ *
+ * @param {string} geoType - Geography type
+ * @param {string} geoId - Geography ID (already upper-cased)
+ * @returns {boolean} True if valid
+ */
+function isValidGeoId(geoType, geoId) {
+  const definition = GEOGRAPHY_TYPES[geoType];
+  if (!definition || !definition.idPattern.test(geoId)) {
+    return false;
+  }
+
+  const [state, code] = geoId.split('-');
+  if (!STATE_CODES.has(state)) {
+    return false;
+  }
+  if (geoType === 'cd') {
+    return DELEGATE_STATES.includes(state) === (code === DELEGATE_DISTRICT);
+  }
+  return true;
+}
+
+module.exports = {
+  DATASETS,
+  GEOGRAPHY_TYPES,
+  DELEGATE_STATES,
+  getGeographyType,
+  acsPlan,
+  geographyQuery,
+  geographyFields,
+  parseGeography,
+  isValidGeoId
+};
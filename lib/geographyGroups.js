@@ -0,0 +1,229 @@
+/**
+ * Geography Groups
+ *
+ * Named sets of geographies that campaigns work in instead of districts:
+ * media markets (DMAs), field regions, custom territories. A group lists
+ * its member geographies of one type, each with the share of its
+ * population that falls in the group (1 unless the group only takes part
+ * of it, e.g. a district split between two media markets).
+ *
+ * Groups are stored as definitions only. Their cells are rolled up from
+ * the member geographies' cells of whichever table version is requested,
+ * so a group works across years, universes and plans.
+ */
+
+const { prisma } = require('./db');
+const { iterateCells, compareByFactorOrder } = require('./tableBuilder');
+const { isValidGeoId, GEOGRAPHY_TYPES } = require('./geographies');
+const { getScheme, DEFAULT_SCHEME } = require('./recodeSchemes');
+
+// Group names are used in URLs and query parameters
+const GROUP_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const MAX_MEMBERS = 5000;
+
+/**
+ * Validate a group definition
+ *
+ * - name: lowercase letters, digits, "-" and "_" (e.g., "dallas-ft-worth")
+ * - label: display name (optional)
+ * - geoType: member geography type (default "cd")
+ * - members: geography IDs, or { geoId, weight } with 0 < weight ≤ 1
+ *   (default 1)
+ *
+ * @param {Object} raw - Definition from the request
+ * @returns {Object} { group: { name, label, geoType, members: [{ geoId, weight }] } } (members sorted) or { error: { error, message } }
+ */
+function resolveGroup(raw = {}) {
+  const invalid = (error, message) => ({ error: { error, message } });
+  const name = raw.name === undefined ? '' : String(raw.name).toLowerCase();
+  if (!GROUP_NAME_PATTERN.test(name)) {
+    return invalid('Invalid name', 'name must be lowercase letters, digits, "-" and "_" (e.g., dallas-ft-worth)');
+  }
+
+  const geoType = raw.geoType === undefined ? 'cd' : String(raw.geoType).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(GEOGRAPHY_TYPES, geoType)) {
+    return invalid('Invalid geoType', `geoType must be one of: ${Object.keys(GEOGRAPHY_TYPES).join(', ')}`);
+  }
+
+  if (!Array.isArray(raw.members) || raw.members.length === 0) {
+    return invalid('Invalid members', 'members must be a non-empty array of geography IDs or { geoId, weight }');
+  }
+  if (raw.members.length > MAX_MEMBERS) {
+    return invalid('Too many members', `A group can have at most ${MAX_MEMBERS} members`);
+  }
+
+  const members = [];
+  const seen = new Set();
+  for (const member of raw.members) {
+    const entry = typeof member === 'string' ? { geoId: member } : (member || {});
+    const geoId = String(entry.geoId || '').toUpperCase();
+    const weight = entry.weight === undefined ? 1 : Number(entry.weight);
+
+    if (!isValidGeoId(geoType, geoId)) {
+      return invalid('Invalid members', `"${entry.geoId}" is not a ${GEOGRAPHY_TYPES[geoType].label.toLowerCase()} ID; format should be ${GEOGRAPHY_TYPES[geoType].idFormat}`);
+    }
+    if (!(weight > 0 && weight <= 1)) {
+      return invalid('Invalid members', `${geoId}: weight must be greater than 0 and at most 1 (the share of its population in the group)`);
+    }
+    if (seen.has(geoId)) {
+      return invalid('Invalid members', `${geoId} is listed more than once`);
+    }
+    seen.add(geoId);
+    members.push({ geoId, weight });
+  }
+  members.sort((a, b) => a.geoId.localeCompare(b.geoId));
+
+  return {
+    group: {
+      name,
+      label: raw.label === undefined || raw.label === null ? null : String(raw.label),
+      geoType,
+      members
+    }
+  };
+}
+
+/**
+ * List geography groups
+ *
+ * @param {Object} [filter] - { geoType }
+ * @returns {Promise<Array>} GeographyGroup rows, by name
+ */
+async function listGroups(filter = {}) {
+  return prisma.geographyGroup.findMany({
+    where: filter.geoType ? { geoType: filter.geoType } : {},
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * Get a geography group
+ *
+ * @param {string} name - Group name
+ * @returns {Promise<Object|null>} GeographyGroup or null
+ */
+async function getGroup(name) {
+  return prisma.geographyGroup.findUnique({ where: { name } });
+}
+
+/**
+ * Get several geography groups
+ *
+ * @param {Array<string>} names - Group names
+ * @returns {Promise<Object>} { groups } in the order given, or { missing: [names] } if any do not exist
+ */
+async function getGroups(names) {
+  const rows = await prisma.geographyGroup.findMany({ where: { name: { in: names } } });
+  const byName = new Map(rows.map(row => [row.name, row]));
+  const missing = names.filter(name => !byName.has(name));
+  return missing.length > 0 ? { missing } : { groups: names.map(name => byName.get(name)) };
+}
+
+/**
+ * Create a geography group
+ *
+ * @param {Object} group - From resolveGroup
+ * @returns {Promise<Object>} Created GeographyGroup
+ */
+async function createGroup(group) {
+  return prisma.geographyGroup.create({ data: group });
+}
+
+/**
+ * Replace a geography group's definition
+ *
+ * @param {string} name - Current group name
+ * @param {Object} group - From resolveGroup (may rename the group)
+ * @returns {Promise<Object>} Updated GeographyGroup
+ */
+async function updateGroup(name, group) {
+  return prisma.geographyGroup.update({ where: { name }, data: group });
+}
+
+/**
+ * Delete a geography group
+ *
+ * @param {string} name - Group name
+ * @returns {Promise<Object>} Deleted GeographyGroup
+ */
+async function deleteGroup(name) {
+  return prisma.geographyGroup.delete({ where: { name } });
+}
+
+/**
+ * Roll member geographies' cells up into one group's cells
+ *
+ * Each member cell adds weight × population to the group's cell with the
+ * same levels, and weight² × SE² to its variance (cells treated as
+ * independent). Group cells have geoType "group" and the group's name as
+ * geoId; their state and census region are the members' if they all share
+ * one, otherwise null.
+ *
+ * @param {Object} run - BuildRun of the table version (id, year, dataset, universe, recodeScheme, plan, kind)
+ * @param {Object} group - GeographyGroup
+ * @returns {Promise<Object>} { cells: in the recode scheme's level order, membersFound, missingMembers: [geoIds with no cells] }
+ */
+async function rollUpGroup(run, group) {
+  const { year, dataset, universe, recodeScheme, plan, kind } = run;
+  const { cellDimensions } = getScheme(recodeScheme) || getScheme(DEFAULT_SCHEME);
+  const weights = new Map(group.members.map(({ geoId, weight }) => [geoId, weight]));
+  const cells = new Map();
+  const states = new Set();
+  const regions = new Set();
+  const found = new Set();
+
+  for await (const chunk of iterateCells(run.id, { geoIds: [...weights.keys()] })) {
+    for (const cell of chunk) {
+      const weight = weights.get(cell.geoId);
+      const key = cellDimensions.map(dimension => cell[dimension]).join('|');
+      const entry = cells.get(key) || {
+        levels: Object.fromEntries(cellDimensions.map(dimension => [dimension, cell[dimension]])),
+        population: 0,
+        variance: 0
+      };
+      entry.population += weight * cell.population;
+      entry.variance += weight ** 2 * (cell.standardError || 0) ** 2;
+      cells.set(key, entry);
+
+      found.add(cell.geoId);
+      states.add(cell.state);
+      regions.add(cell.censusRegion);
+    }
+  }
+
+  const only = values => (values.size === 1 ? [...values][0] : null);
+  return {
+    cells: [...cells.values()]
+      .map(({ levels, population, variance }) => ({
+        year,
+        dataset,
+        universe,
+        geoType: 'group',
+        recodeScheme,
+        plan,
+        kind,
+        geoId: group.name,
+        state: only(states),
+        censusRegion: only(regions),
+        ...levels,
+        population,
+        standardError: Math.sqrt(variance)
+      }))
+      .sort(compareByFactorOrder),
+    membersFound: found.size,
+    missingMembers: group.members.map(member => member.geoId).filter(geoId => !found.has(geoId))
+  };
+}
+
+module.exports = {
+  GROUP_NAME_PATTERN,
+  resolveGroup,
+  listGroups,
+  getGroup,
+  getGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  rollUpGroup
+};
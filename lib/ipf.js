@@ -0,0 +1,168 @@
+/**
+ * Iterative Proportional Fitting (Raking)
+ *
+ * Adjusts a seed table of cell weights until its sums over every margin
+ * match the published targets for that margin. Margins may cover only a
+ * subset of cells (e.g. a 25+ education table), and may come from different
+ * ACS tables whose totals disagree slightly, so each margin is harmonized to
+ * the first ("anchor") margin before fitting.
+ */
+
+const DEFAULT_IPF_OPTIONS = {
+  maxIterations: 100,
+  tolerance: 0.01 // Largest allowed |fitted - target|, in persons
+};
+
+/**
+ * Scale weights so that each key's sum equals its target
+ *
+ * @param {Array<number>} weights - Cell weights (modified in place)
+ * @param {Array<string|null>} keys - Margin key for each cell (null = not covered)
+ * @param {Object} targets - { key: target }
+ */
+function fitMargin(weights, keys, targets) {
+  const sums = {};
+  keys.forEach((key, i) => {
+    if (key !== null) {
+      sums[key] = (sums[key] || 0) + weights[i];
+    }
+  });
+
+  keys.forEach((key, i) => {
+    if (key === null) return;
+    const target = targets[key] || 0;
+    const sum = sums[key];
+    weights[i] = sum > 0 ? weights[i] * (target / sum) : 0;
+  });
+}
+
+/**
+ * Rescale a margin's targets so they agree with the anchor-fitted table
+ * within each control group (e.g. per sex × age), leaving only the
+ * margin's internal distribution to be fitted.
+ *
+ * @param {Array<Object>} cells - Cell definitions
+ * @param {Array<number>} weights - Anchor-fitted weights
+ * @param {Array<string|null>} keys - Margin key for each cell
+ * @param {Object} margin - Margin definition
+ * @returns {Object} Harmonized targets
+ */
+function harmonizeTargets(cells, weights, keys, margin) {
+  const controlKey = margin.controlKey || (() => 'all');
+  const keyGroup = {};
+  const fittedByGroup = {};
+
+  cells.forEach((cell, i) => {
+    if (keys[i] === null) return;
+    const group = controlKey(cell);
+    keyGroup[keys[i]] = group;
+    fittedByGroup[group] = (fittedByGroup[group] || 0) + weights[i];
+  });
+
+  const targetByGroup = {};
+  for (const [key, group] of Object.entries(keyGroup)) {
+    targetByGroup[group] = (targetByGroup[group] || 0) + (margin.targets[key] || 0);
+  }
+
+  const harmonized = {};
+  for (const [key, group] of Object.entries(keyGroup)) {
+    const target = margin.targets[key] || 0;
+    harmonized[key] = targetByGroup[group] > 0
+      ? target * (fittedByGroup[group] / targetByGroup[group])
+      : 0;
+  }
+  return harmonized;
+}
+
+/**
+ * Largest absolute and relative deviation of fitted sums from targets
+ *
+ * @param {Array<number>} weights - Cell weights
+ * @param {Array<string|null>} keys - Margin key for each cell
+ * @param {Object} targets - { key: target }
+ * @returns {Object} { maxAbsDeviation, maxRelDeviation }
+ */
+function measureDeviation(weights, keys, targets) {
+  const sums = {};
+  keys.forEach((key, i) => {
+    if (key !== null) {
+      sums[key] = (sums[key] || 0) + weights[i];
+    }
+  });
+
+  let maxAbsDeviation = 0;
+  let maxRelDeviation = 0;
+
+  for (const [key, target] of Object.entries(targets)) {
+    const deviation = Math.abs((sums[key] || 0) - target);
+    maxAbsDeviation = Math.max(maxAbsDeviation, deviation);
+    if (target > 0) {
+      maxRelDeviation = Math.max(maxRelDeviation, deviation / target);
+    }
+  }
+
+  return { maxAbsDeviation, maxRelDeviation };
+}
+
+/**
+ * Rake a seed table to a set of margins
+ *
+ * Each margin is { name, key, targets, controlKey? }:
+ * - key(cell) returns the margin category for a cell, or null if the
+ *   margin does not cover that cell
+ * - targets maps each category to its published count
+ * - controlKey(cell) groups categories for harmonization against the
+ *   anchor (defaults to a single overall total)
+ *
+ * The first margin is the anchor: it is fitted exactly before the others
+ * are harmonized to it.
+ *
+ * @param {Array<Object>} cells - Cell definitions passed to margin key functions
+ * @param {Array<number>} seed - Initial weight for each cell
+ * @param {Array<Object>} margins - Margin definitions (anchor first)
+ * @param {Object} [options] - { maxIterations, tolerance }
+ * @returns {Object} { weights, converged, iterations, margins: { name: deviation } }
+ */
+function rake(cells, seed, margins, options = {}) {
+  const { maxIterations, tolerance } = { ...DEFAULT_IPF_OPTIONS, ...options };
+
+  const weights = seed.slice();
+  const keys = margins.map(margin => cells.map(cell => margin.key(cell)));
+
+  fitMargin(weights, keys[0], margins[0].targets);
+
+  const targets = margins.map((margin, m) =>
+    m === 0 ? margin.targets : harmonizeTargets(cells, weights, keys[m], margin)
+  );
+
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    margins.forEach((margin, m) => fitMargin(weights, keys[m], targets[m]));
+
+    converged = margins.every((margin, m) =>
+      measureDeviation(weights, keys[m], targets[m]).maxAbsDeviation <= tolerance
+    );
+    if (converged) break;
+  }
+
+  // Report distance from the published (unharmonized) targets
+  const deviations = {};
+  margins.forEach((margin, m) => {
+    deviations[margin.name] = measureDeviation(weights, keys[m], margin.targets);
+  });
+
+  return {
+    weights,
+    converged,
+    iterations,
+    margins: deviations
+  };
+}
+
+module.exports = {
+  rake,
+  DEFAULT_IPF_OPTIONS
+};
@@ -0,0 +1,330 @@
+/**
+ * MRP Poststratification
+ *
+ * The last step of MRP: a population-weighted average of cell-level model
+ * predictions over the frame. Predictions are keyed by a tuple of
+ * dimensions (e.g., geoId × age × sex × race × education, or state × the
+ * demographics when the model has no district effects) and may carry
+ * posterior draws, in which case each draw is poststratified separately
+ * and estimates come with credible intervals.
+ */
+
+const { iterateCells, schemeSpecs, AGGREGATE_DIMENSIONS } = require('./tableBuilder');
+const { OPTIONAL_DIMENSIONS } = require('./recodeSchemes');
+
+/**
+ * Dimensions a prediction can be keyed by (cd is an alias for geoId; the
+ * optional dimensions only for tables whose recode scheme adds them)
+ */
+const PREDICTION_DIMENSIONS = [
+  'geoId', 'state', 'censusRegion', 'ageGroup', 'sex', 'raceEth', 'education', ...OPTIONAL_DIMENSIONS
+];
+
+const DEFAULT_POSTSTRATIFY_OPTIONS = {
+  by: ['geoId'], // Dimensions to report estimates by (AGGREGATE_DIMENSIONS keys; [] = overall)
+  interval: 0.9 // Credible interval width when predictions have draws
+};
+
+// Unmatched keys listed in responses
+const MAX_LISTED_KEYS = 50;
+
+/**
+ * Validate and fill in poststratification options
+ *
+ * @param {Object} raw - Options from the request
+ * @param {string} geoType - Geography type of the table ("cd" is only valid for district tables)
+ * @param {Object} [specs] - Level specs of the table's recode scheme (optional dimensions it lacks are invalid)
+ * @returns {Object} { options } or { error: { error, message } }
+ */
+function resolvePoststratifyOptions(raw = {}, geoType, specs = {}) {
+  const options = {
+    by: raw.by === undefined ? DEFAULT_POSTSTRATIFY_OPTIONS.by : [].concat(raw.by),
+    interval: raw.interval === undefined ? DEFAULT_POSTSTRATIFY_OPTIONS.interval : Number(raw.interval)
+  };
+
+  const dimensions = Object.keys(AGGREGATE_DIMENSIONS).filter(d =>
+    (d !== 'cd' || geoType === 'cd') && (!OPTIONAL_DIMENSIONS.includes(d) || specs[d])
+  );
+  if (!options.by.every(d => dimensions.includes(d))) {
+    return {
+      error: { error: 'Invalid by', message: `by must be among: ${dimensions.join(', ')}` }
+    };
+  }
+
+  if (!(options.interval > 0 && options.interval < 1)) {
+    return {
+      error: { error: 'Invalid interval', message: 'interval must be between 0 and 1 (e.g., 0.9)' }
+    };
+  }
+
+  return { options };
+}
+
+/**
+ * Check and index cell-level predictions
+ *
+ * Every prediction must be keyed by the same dimensions and carry either
+ * `prediction` (a number) or `draws` (numbers; the same count for every
+ * cell).
+ *
+ * @param {Array<Object>} predictions - Prediction records
+ * @param {Object} specs - Level specs of the table's recode scheme
+ * @returns {Object} { keyDimensions, drawCount, byKey: Map(key → values) } or { error: { error, message, ... } }
+ */
+function indexPredictions(predictions, specs) {
+  if (!Array.isArray(predictions) || predictions.length === 0) {
+    return {
+      error: { error: 'Invalid predictions', message: 'predictions must be a non-empty array' }
+    };
+  }
+
+  const dimensionsOf = record => PREDICTION_DIMENSIONS.filter(d =>
+    record[d] !== undefined || (d === 'geoId' && record.cd !== undefined)
+  );
+  const keyDimensions = dimensionsOf(predictions[0]);
+  const drawCount = Array.isArray(predictions[0].draws) ? predictions[0].draws.length : null;
+  if (drawCount === 0) {
+    return {
+      error: { error: 'Invalid predictions', message: 'draws must have at least one draw' }
+    };
+  }
+
+  if (keyDimensions.length === 0) {
+    return {
+      error: {
+        error: 'Invalid predictions',
+        message: `Predictions must be keyed by one or more of: ${PREDICTION_DIMENSIONS.join(', ')}`
+      }
+    };
+  }
+
+  const unavailable = keyDimensions.filter(d => OPTIONAL_DIMENSIONS.includes(d) && !specs[d]);
+  if (unavailable.length > 0) {
+    return {
+      error: {
+        error: 'Invalid predictions',
+        message: `The table's recode scheme has no ${unavailable.join(', ')} dimension`
+      }
+    };
+  }
+
+  const byKey = new Map();
+  const errors = [];
+
+  predictions.forEach((record, index) => {
+    const row = index + 1;
+    const problems = [];
+    const values = {};
+
+    if (dimensionsOf(record).join() !== keyDimensions.join()) {
+      errors.push({ row, message: `keyed by ${dimensionsOf(record).join(', ') || 'nothing'}; expected ${keyDimensions.join(', ')}` });
+      return;
+    }
+
+    for (const dimension of keyDimensions) {
+      const raw = dimension === 'geoId' ? (record.geoId ?? record.cd) : record[dimension];
+      const spec = specs[dimension];
+      if (spec) {
+        values[dimension] = spec.levels.find(level => level.toLowerCase() === String(raw).trim().toLowerCase());
+        if (!values[dimension]) {
+          problems.push(`${dimension} "${raw}" is not one of ${spec.levels.join(', ')}`);
+        }
+      } else {
+        values[dimension] = String(raw).trim().toUpperCase();
+      }
+    }
+
+    let draws;
+    if (drawCount !== null) {
+      draws = record.draws;
+      if (!Array.isArray(draws) || draws.length !== drawCount || !draws.every(Number.isFinite)) {
+        problems.push(`draws must be ${drawCount} numbers`);
+      }
+    } else {
+      draws = [record.prediction];
+      if (!Number.isFinite(record.prediction)) {
+        problems.push('prediction must be a number');
+      }
+    }
+
+    const key = keyDimensions.map(dimension => values[dimension]).join('|');
+    if (problems.length === 0 && byKey.has(key)) {
+      problems.push(`duplicate prediction for ${key}`);
+    }
+
+    if (problems.length > 0) {
+      errors.push({ row, message: problems.join('; ') });
+    } else {
+      byKey.set(key, draws);
+    }
+  });
+
+  if (errors.length > 0) {
+    return {
+      error: {
+        error: 'Invalid predictions',
+        message: `${errors.length} of ${predictions.length} predictions could not be used`,
+        predictions: errors.slice(0, MAX_LISTED_KEYS)
+      }
+    };
+  }
+
+  return { keyDimensions, drawCount, byKey };
+}
+
+/**
+ * Quantile of sorted values (linear interpolation, R type 7)
+ *
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Probability
+ * @returns {number} Quantile
+ */
+function quantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Sort estimate groups: geographies alphabetically, demographics in
+ * recode scheme level order
+ *
+ * @param {Array<Object>} groups - Estimate groups
+ * @param {Array<string>} by - Group dimensions
+ * @param {Object} specs - Level specs of the table's recode scheme
+ */
+function sortGroups(groups, by, specs) {
+  const rank = (dimension, value) => {
+    const spec = specs[AGGREGATE_DIMENSIONS[dimension]];
+    return spec ? spec.levels.indexOf(value) : value;
+  };
+  groups.sort((a, b) => {
+    for (const dimension of by) {
+      const ra = rank(dimension, a[dimension]);
+      const rb = rank(dimension, b[dimension]);
+      if (ra < rb) return -1;
+      if (ra > rb) return 1;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Poststratify cell-level predictions over a build run's cells
+ *
+ * Cells without a prediction are left out of the estimates (each estimate
+ * reports the share of its population covered) and listed, as are
+ * predictions that match no cell in the frame.
+ *
+ * @param {Object} run - BuildRun (id, recodeScheme)
+ * @param {Array<Object>} predictions - Prediction records (see indexPredictions)
+ * @param {Object} options - Resolved options (see resolvePoststratifyOptions)
+ * @returns {Promise<Object>} { keyDimensions, drawCount, estimates, missingPredictions, unmatchedPredictions }
+ *   or { error: { error, message, ... } } for unusable predictions
+ */
+async function poststratify(run, predictions, options) {
+  const specs = schemeSpecs(run.recodeScheme);
+  const indexed = indexPredictions(predictions, specs);
+  if (indexed.error) {
+    return indexed;
+  }
+
+  const { keyDimensions, drawCount, byKey } = indexed;
+  const { by, interval } = options;
+  const draws = drawCount || 1;
+  const groups = new Map();
+  const matchedKeys = new Set();
+  const missing = new Map(); // Prediction key → population of cells without a prediction
+
+  for await (const cells of iterateCells(run.id)) {
+    for (const cell of cells) {
+      const groupId = by.map(dimension => cell[AGGREGATE_DIMENSIONS[dimension]]).join('|');
+      let group = groups.get(groupId);
+      if (!group) {
+        group = {
+          values: Object.fromEntries(by.map(dimension => [dimension, cell[AGGREGATE_DIMENSIONS[dimension]]])),
+          population: 0,
+          coveredPopulation: 0,
+          sums: new Float64Array(draws)
+        };
+        groups.set(groupId, group);
+      }
+      group.population += cell.population;
+
+      const key = keyDimensions.map(dimension => cell[dimension]).join('|');
+      const prediction = byKey.get(key);
+      if (!prediction) {
+        missing.set(key, (missing.get(key) || 0) + cell.population);
+        continue;
+      }
+
+      matchedKeys.add(key);
+      group.coveredPopulation += cell.population;
+      for (let d = 0; d < draws; d++) {
+        group.sums[d] += cell.population * prediction[d];
+      }
+    }
+  }
+
+  const tail = (1 - interval) / 2;
+  const estimates = [...groups.values()].map(group => {
+    const { values, population, coveredPopulation, sums } = group;
+    const estimate = {
+      ...values,
+      population,
+      coverage: population > 0 ? coveredPopulation / population : null
+    };
+
+    if (coveredPopulation === 0) {
+      return { ...estimate, estimate: null, sd: null, lower: null, upper: null };
+    }
+
+    const means = Array.from(sums, sum => sum / coveredPopulation);
+    const mean = means.reduce((total, value) => total + value, 0) / draws;
+    if (!drawCount) {
+      return { ...estimate, estimate: mean, sd: null, lower: null, upper: null };
+    }
+
+    const sorted = means.sort((a, b) => a - b);
+    const variance = draws > 1
+      ? sorted.reduce((total, value) => total + (value - mean) ** 2, 0) / (draws - 1)
+      : 0;
+    return {
+      ...estimate,
+      estimate: mean,
+      sd: Math.sqrt(variance),
+      lower: quantile(sorted, tail),
+      upper: quantile(sorted, 1 - tail)
+    };
+  });
+  sortGroups(estimates, by, specs);
+
+  const missingEntries = [...missing.entries()];
+  const unmatchedKeys = [...byKey.keys()].filter(key => !matchedKeys.has(key));
+
+  return {
+    keyDimensions,
+    drawCount,
+    interval: drawCount ? interval : null,
+    estimates,
+    // Frame cells with no prediction (by prediction key)
+    missingPredictions: {
+      count: missingEntries.length,
+      population: missingEntries.reduce((total, [, population]) => total + population, 0),
+      keys: missingEntries.slice(0, MAX_LISTED_KEYS).map(([key]) => key)
+    },
+    // Predictions with no cell in the frame
+    unmatchedPredictions: {
+      count: unmatchedKeys.length,
+      keys: unmatchedKeys.slice(0, MAX_LISTED_KEYS)
+    }
+  };
+}
+
+module.exports = {
+  PREDICTION_DIMENSIONS,
+  DEFAULT_POSTSTRATIFY_OPTIONS,
+  resolvePoststratifyOptions,
+  poststratify
+};
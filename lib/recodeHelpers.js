@@ -2,12 +2,19 @@
  * Census Variable Recoding Helpers
  *
  * CRITICAL: These recode specs MUST match the survey recoding in Module 11
- * exactly, or MRP predictions will be invalid.
+ * exactly, or MRP predictions will be invalid. The CES and ANES codings in
+ * surveyRecode.js map onto these levels; update both together.
+ *
+ * The joint-table recodes below take a compiled recode scheme (see
+ * recodeSchemes.js), which decides the age, race/ethnicity and education
+ * levels (and any optional income, marital status or urbanicity levels)
+ * and the table lines behind each.
  */
 
 /**
  * Demographic category specifications
- * These MUST match ANES/CES survey conventions
+ * These MUST match ANES/CES survey conventions, and are the levels of the
+ * default recode scheme (recode-schemes/default.json)
  */
 const RECODE_SPECS = {
   ageGroup: {
@@ -45,57 +52,202 @@ const RECODE_SPECS = {
 };
 
 /**
- * Recode Census age variables to 6-category age groups
- * Mapping provided by user based on ANES convention
+ * Build a Census estimate variable code from a table and line number
  *
- * @param {Object} row - Census data row with B01001 variables
+ * @param {string} table - Table ID (e.g., "B15001", "C15002H")
+ * @param {number} line - Line number within the table
+ * @returns {string} Variable code (e.g., "B15001_004E")
+ */
+function censusVar(table, line) {
+  return `${table}_${String(line).padStart(3, '0')}E`;
+}
+
+/**
+ * Margin of error variable code for an estimate variable code
+ *
+ * @param {string} code - Estimate variable (e.g., "B01001_007E")
+ * @returns {string} MOE variable (e.g., "B01001_007M")
+ */
+function moeVar(code) {
+  return code.replace(/E$/, 'M');
+}
+
+/**
+ * ACS margins of error are published at the 90% confidence level
+ */
+const MOE_Z = 1.645;
+
+/**
+ * Sum estimates over a (possibly nested) map of level → variable codes
+ *
+ * @param {Object} row - Census data row
+ * @param {Object|Array<string>} variables - { level: [codes] } or [codes]
+ * @returns {Object|number} Same shape as variables, with summed estimates
+ */
+function sumEstimates(row, variables) {
+  if (Array.isArray(variables)) {
+    return variables.reduce((sum, code) => sum + parseInt(row[code] || 0, 10), 0);
+  }
+  const result = {};
+  for (const [level, nested] of Object.entries(variables)) {
+    result[level] = sumEstimates(row, nested);
+  }
+  return result;
+}
+
+/**
+ * Margin of error of a sum of estimates: sqrt(Σ MOE²)
+ *
+ * Census reports negative sentinel MOEs (e.g. -555555555 for controlled
+ * estimates, -222222222 when no MOE can be computed); these count as 0.
+ *
+ * @param {Object} row - Census data row (with ...M variables)
+ * @param {Object|Array<string>} variables - { level: [codes] } or [codes]
+ * @returns {Object|number} Same shape as variables, with combined MOEs
+ */
+function sumMoes(row, variables) {
+  if (Array.isArray(variables)) {
+    return moeSum(variables.map(code => {
+      const moe = parseInt(row[moeVar(code)] || 0, 10);
+      return moe > 0 ? moe : 0;
+    }));
+  }
+  const result = {};
+  for (const [level, nested] of Object.entries(variables)) {
+    result[level] = sumMoes(row, nested);
+  }
+  return result;
+}
+
+/**
+ * Census approximation for the MOE of a sum (or difference) of estimates
+ *
+ * @param {Array<number>} moes - Component MOEs
+ * @returns {number} MOE of the sum
+ */
+function moeSum(moes) {
+  return Math.sqrt(moes.reduce((sum, moe) => sum + moe * moe, 0));
+}
+
+/**
+ * Census approximation for the MOE of a proportion p = X / Y
+ * where X is a subset of Y
+ *
+ * Falls back to the ratio formula when the radicand is negative.
+ *
+ * @param {number} x - Numerator estimate
+ * @param {number} y - Denominator estimate
+ * @param {number} moeX - Numerator MOE
+ * @param {number} moeY - Denominator MOE
+ * @returns {number} MOE of the proportion
+ */
+function moeProportion(x, y, moeX, moeY) {
+  if (y <= 0) return 0;
+  const p = x / y;
+  const radicand = moeX * moeX - p * p * moeY * moeY;
+  return radicand >= 0
+    ? Math.sqrt(radicand) / y
+    : Math.sqrt(moeX * moeX + p * p * moeY * moeY) / y;
+}
+
+/**
+ * Census approximation for the MOE of a product of estimates
+ * MOE(A×B×...) = sqrt(Σ_i (Π_{j≠i} est_j)² × MOE_i²)
+ *
+ * @param {Array<Array<number>>} factors - [[estimate, moe], ...]
+ * @returns {number} MOE of the product
+ */
+function moeProduct(factors) {
+  let sum = 0;
+  factors.forEach(([, moe], i) => {
+    const others = factors.reduce((prod, [est], j) => (j === i ? prod : prod * est), 1);
+    sum += others * others * moe * moe;
+  });
+  return Math.sqrt(sum);
+}
+
+/**
+ * Convert a 90% ACS margin of error to a standard error
+ *
+ * @param {number} moe - Margin of error
+ * @returns {number} Standard error
+ */
+function moeToStandardError(moe) {
+  return moe / MOE_Z;
+}
+
+/**
+ * Female line offset of each sex-split source table (male lines are the
+ * scheme's line numbers; see SOURCE_TABLES in recodeSchemes.js)
+ */
+const FEMALE_LINE_OFFSETS = {
+  B01001: 24,     // Male _007E-_025E, female _031E-_049E
+  B01001R: 15,    // Race iterations: male _007E-_016E, female _022E-_031E
+  B15001: 41,     // Male age groups start at _003E, female at _044E
+  C15002R: 5,     // Race iterations: male _003E-_006E, female _008E-_011E
+  B12002: 93      // Male _003E-_094E, female _096E-_187E
+};
+
+/**
+ * B15001 line of the first (18-24) age group's total; education lines
+ * follow each age group total in the same order
+ */
+const B15001_FIRST_AGE_GROUP = 3;
+
+/**
+ * B15001 age group total lines for ages 25+ (male)
+ */
+const B15001_25_PLUS_AGE_GROUPS = [11, 19, 27, 35];
+
+/**
+ * Line offset of a table's block for one sex
+ *
+ * @param {string} table - Key of FEMALE_LINE_OFFSETS
  * @param {string} sex - "Male" or "Female"
- * @returns {Object} Age group counts { "18-24": count, "25-34": count, ... }
+ * @returns {number} 0 for male lines, the female offset otherwise
  */
-function recodeAge(row, sex) {
-  // Helper to safely parse Census values
-  const getValue = (key) => parseInt(row[key] || 0, 10);
+function sexOffset(table, sex) {
+  return sex === "Male" ? 0 : FEMALE_LINE_OFFSETS[table];
+}
 
-  // Census B01001 codes:
-  // Male: _007E to _025E (18-19 through 85+)
-  // Female: _031E to _049E (18-19 through 85+)
-  const offset = sex === "Male" ? 0 : 24;  // Female codes are +24 from male
+/**
+ * B01001 variables for each age group of a recode scheme
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme (see recodeSchemes.js)
+ * @returns {Object} { "18-24": [codes], "25-34": [codes], ... }
+ */
+function ageVariables(sex, scheme) {
+  const offset = sexOffset('B01001', sex);
+  const result = {};
+  for (const [ageGroup, lines] of Object.entries(scheme.lines.ageGroup.B01001)) {
+    result[ageGroup] = lines.map(n => censusVar('B01001', n + offset));
+  }
+  return result;
+}
 
-  // Age bucket mapping from user's specification:
-  // 18-24: includes 18-19, 20, 21, 22-24
-  // 25-34: includes 25-29, 30-34
-  // 35-44: includes 35-39, 40-44
-  // 45-54: includes 45-49, 50-54
-  // 55-64: includes 55-59, 60-64 (60-61, 62-64)
-  // 65+: includes 65-66, 67-69, 70-74, 75-79, 80-84, 85+
+/**
+ * Recode Census age variables to the scheme's age groups
+ *
+ * @param {Object} row - Census data row with B01001 variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} Age group counts { "18-24": count, "25-34": count, ... }
+ */
+function recodeAge(row, sex, scheme) {
+  return sumEstimates(row, ageVariables(sex, scheme));
+}
 
-  return {
-    "18-24":
-      getValue(`B01001_${String(7 + offset).padStart(3, '0')}E`) +  // 18-19
-      getValue(`B01001_${String(8 + offset).padStart(3, '0')}E`) +  // 20
-      getValue(`B01001_${String(9 + offset).padStart(3, '0')}E`) +  // 21
-      getValue(`B01001_${String(10 + offset).padStart(3, '0')}E`),  // 22-24
-    "25-34":
-      getValue(`B01001_${String(11 + offset).padStart(3, '0')}E`) + // 25-29
-      getValue(`B01001_${String(12 + offset).padStart(3, '0')}E`),  // 30-34
-    "35-44":
-      getValue(`B01001_${String(13 + offset).padStart(3, '0')}E`) + // 35-39
-      getValue(`B01001_${String(14 + offset).padStart(3, '0')}E`),  // 40-44
-    "45-54":
-      getValue(`B01001_${String(15 + offset).padStart(3, '0')}E`) + // 45-49
-      getValue(`B01001_${String(16 + offset).padStart(3, '0')}E`),  // 50-54
-    "55-64":
-      getValue(`B01001_${String(17 + offset).padStart(3, '0')}E`) + // 55-59
-      getValue(`B01001_${String(18 + offset).padStart(3, '0')}E`) + // 60-61
-      getValue(`B01001_${String(19 + offset).padStart(3, '0')}E`),  // 62-64
-    "65+":
-      getValue(`B01001_${String(20 + offset).padStart(3, '0')}E`) + // 65-66
-      getValue(`B01001_${String(21 + offset).padStart(3, '0')}E`) + // 67-69
-      getValue(`B01001_${String(22 + offset).padStart(3, '0')}E`) + // 70-74
-      getValue(`B01001_${String(23 + offset).padStart(3, '0')}E`) + // 75-79
-      getValue(`B01001_${String(24 + offset).padStart(3, '0')}E`) + // 80-84
-      getValue(`B01001_${String(25 + offset).padStart(3, '0')}E`)   // 85+
-  };
+/**
+ * Margins of error for recodeAge
+ *
+ * @param {Object} row - Census data row with B01001 MOE variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} Age group MOEs { "18-24": moe, ... }
+ */
+function recodeAgeMoe(row, sex, scheme) {
+  return sumMoes(row, ageVariables(sex, scheme));
 }
 
 /**
@@ -122,59 +274,848 @@ function recodeRace(row) {
 }
 
 /**
- * Recode Census education variables to 5-category system
- * Based on B15003 (population 25+ years)
+ * B15003 (educational attainment, 25+) lines for each B15001 education
+ * line of the first age group (4 = less than 9th grade ... 10 = graduate
+ * or professional degree)
+ */
+const B15003_LINES = {
+  4: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],  // No schooling through 8th grade
+  5: [13, 14, 15, 16],                      // 9th-12th grade, no diploma
+  6: [17, 18],                              // HS diploma, GED or alternative
+  7: [19, 20],                              // Some college, no degree
+  8: [21],                                  // Associate's degree
+  9: [22],                                  // Bachelor's degree
+  10: [23, 24, 25]                          // Master's, professional, doctorate
+};
+
+/**
+ * B15003 variables for each education level of a recode scheme
+ *
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "Less Than HS": [codes], ... }
+ */
+function attainmentVariables(scheme) {
+  const result = {};
+  for (const [education, lines] of Object.entries(scheme.lines.education.B15001)) {
+    result[education] = lines.flatMap(line => B15003_LINES[line]).map(n => censusVar('B15003', n));
+  }
+  return result;
+}
+
+/**
+ * Recode B15003 (educational attainment, 25+, both sexes) to the scheme's
+ * education levels
+ *
+ * B15003 has no age detail, so it is only used as the fallback for 25+
+ * age groups (see resolveSexAgeEducation); it must not be applied to
+ * 18-24, where degree holders are far rarer.
  *
  * @param {Object} row - Census data row with B15003 variables
+ * @param {Object} scheme - Compiled recode scheme
  * @returns {Object} Education counts { "Less Than HS": count, ... }
  */
-function recodeEducation(row) {
-  const getValue = (key) => parseInt(row[key] || 0, 10);
+function recodeEducation(row, scheme) {
+  return sumEstimates(row, attainmentVariables(scheme));
+}
 
-  return {
-    "Less Than HS":
-      getValue('B15003_002E') +  // No schooling
-      getValue('B15003_003E') +  // Nursery
-      getValue('B15003_004E') +  // Kindergarten
-      getValue('B15003_005E') +  // 1st grade
-      getValue('B15003_006E') +  // 2nd grade
-      getValue('B15003_007E') +  // 3rd grade
-      getValue('B15003_008E') +  // 4th grade
-      getValue('B15003_009E') +  // 5th grade
-      getValue('B15003_010E') +  // 6th grade
-      getValue('B15003_011E') +  // 7th grade
-      getValue('B15003_012E') +  // 8th grade
-      getValue('B15003_013E') +  // 9th grade
-      getValue('B15003_014E') +  // 10th grade
-      getValue('B15003_015E') +  // 11th grade
-      getValue('B15003_016E'),   // 12th grade, no diploma
-
-    "High School":
-      getValue('B15003_017E') +  // HS diploma
-      getValue('B15003_018E'),   // GED or alternative
-
-    "Some College":
-      getValue('B15003_019E') +  // Some college, < 1 year
-      getValue('B15003_020E') +  // Some college, >= 1 year
-      getValue('B15003_021E'),   // Associate's degree
-
-    "BA/BS":
-      getValue('B15003_022E'),   // Bachelor's degree
-
-    "Post-Grad":
-      getValue('B15003_023E') +  // Master's degree
-      getValue('B15003_024E') +  // Professional degree
-      getValue('B15003_025E')    // Doctorate
+/**
+ * Margins of error for recodeEducation
+ *
+ * @param {Object} row - Census data row with B15003 MOE variables
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} Education MOEs { "Less Than HS": moe, ... }
+ */
+function recodeEducationMoe(row, scheme) {
+  return sumMoes(row, attainmentVariables(scheme));
+}
+
+/**
+ * Map a scheme age group to its B15001 age group (e.g., "45-54" and
+ * "55-64" share the B15001 45-64 lines and map to "45-54 + 55-64")
+ *
+ * @param {string} ageGroup - Scheme age group
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {string} B15001 age group
+ */
+function toB15001AgeGroup(ageGroup, scheme) {
+  return scheme.groups.ageGroup.B15001.byLevel[ageGroup];
+}
+
+/**
+ * Map a scheme age group to its B01001 race iteration age group
+ *
+ * @param {string} ageGroup - Scheme age group
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {string} Race iteration age group
+ */
+function toRaceAgeGroup(ageGroup, scheme) {
+  return scheme.groups.ageGroup['B01001A-I'].byLevel[ageGroup];
+}
+
+/**
+ * Map a scheme education level to its C15002 education group
+ *
+ * @param {string} education - Scheme education level
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {string} C15002 education group
+ */
+function toC15002Education(education, scheme) {
+  return scheme.groups.education['C15002A-I'].byLevel[education];
+}
+
+/**
+ * Map a scheme age group to its (combined) B29001 age group
+ *
+ * @param {string} ageGroup - Scheme age group
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {string} B29001 age group
+ */
+function toB29001AgeGroup(ageGroup, scheme) {
+  return scheme.groups.ageGroup.B29001.byLevel[ageGroup];
+}
+
+/**
+ * Map a scheme education level to its B29002 education group
+ *
+ * @param {string} education - Scheme education level
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {string} B29002 education group
+ */
+function toB29002Education(education, scheme) {
+  return scheme.groups.education.B29002.byLevel[education];
+}
+
+/**
+ * B15001 variables for one education level within one age group
+ *
+ * @param {number} ageGroupLine - Male age group total line (e.g., 11 for 25-34)
+ * @param {Array<number>} educationLines - Education lines of the first age group (4-10)
+ * @param {number} offset - Sex offset
+ * @returns {Array<string>} Variable codes
+ */
+function b15001Variables(ageGroupLine, educationLines, offset) {
+  return educationLines.map(line => censusVar('B15001', ageGroupLine + (line - B15001_FIRST_AGE_GROUP) + offset));
+}
+
+/**
+ * B15001 (sex by age by educational attainment, 18+) variables for each
+ * B15001 age group and education level of a scheme
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "18-24": { "Less Than HS": [codes], ... }, ... }
+ */
+function sexAgeEducationVariables(sex, scheme) {
+  const offset = sexOffset('B15001', sex);
+  const result = {};
+
+  for (const [ageGroup, blocks] of Object.entries(scheme.groups.ageGroup.B15001.lines)) {
+    result[ageGroup] = {};
+    for (const [education, lines] of Object.entries(scheme.lines.education.B15001)) {
+      result[ageGroup][education] = blocks.flatMap(block => b15001Variables(block, lines, offset));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * B01001 race iteration (sex by age) variables for each named
+ * race/ethnicity level and race iteration age group of a scheme
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "White": { "18-24": [codes], ... }, ... } (no residual level)
+ */
+function raceSexAgeVariables(sex, scheme) {
+  const offset = sexOffset('B01001R', sex);
+  const result = {};
+
+  for (const [raceEth, suffixes] of Object.entries(scheme.raceIterations)) {
+    result[raceEth] = {};
+    for (const [ageGroup, lines] of Object.entries(scheme.groups.ageGroup['B01001A-I'].lines)) {
+      result[raceEth][ageGroup] = suffixes.flatMap(suffix => lines.map(n => censusVar(`B01001${suffix}`, n + offset)));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * All-races B01001 variables for each race iteration age group
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "18-24": [codes], ... }
+ */
+function raceAgeTotalVariables(sex, scheme) {
+  const byLevel = ageVariables(sex, scheme);
+  const result = {};
+  for (const [ageGroup, levels] of Object.entries(scheme.groups.ageGroup['B01001A-I'].members)) {
+    result[ageGroup] = levels.flatMap(level => byLevel[level]);
+  }
+  return result;
+}
+
+/**
+ * C15002 race iteration (sex by educational attainment, 25+) variables
+ * for each named race/ethnicity level and C15002 education group
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "White": { "Less Than HS": [codes], ..., "BA/BS + Post-Grad": [codes] }, ... }
+ */
+function raceSexEducationVariables(sex, scheme) {
+  const offset = sexOffset('C15002R', sex);
+  const result = {};
+
+  for (const [raceEth, suffixes] of Object.entries(scheme.raceIterations)) {
+    result[raceEth] = {};
+    for (const [education, lines] of Object.entries(scheme.groups.education['C15002A-I'].lines)) {
+      result[raceEth][education] = suffixes.flatMap(suffix => lines.map(n => censusVar(`C15002${suffix}`, n + offset)));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * All-races 25+ variables for each C15002 education group, from B15001
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "Less Than HS": [codes], ..., "BA/BS + Post-Grad": [codes] }
+ */
+function education25PlusVariables(sex, scheme) {
+  const offset = sexOffset('B15001', sex);
+  const result = {};
+  for (const [education, levels] of Object.entries(scheme.groups.education['C15002A-I'].members)) {
+    result[education] = B15001_25_PLUS_AGE_GROUPS.flatMap(block => levels.flatMap(level =>
+      b15001Variables(block, scheme.lines.education.B15001[level], offset)
+    ));
+  }
+  return result;
+}
+
+/**
+ * Add a residual race level (total minus named levels, floored at 0)
+ *
+ * @param {Object} named - { raceEth: { level: count } }
+ * @param {Object} totals - { level: count }
+ * @param {string} residual - Name of the residual level (e.g., "Other")
+ * @returns {Object} named, plus the residual level
+ */
+function withResidualOther(named, totals, residual) {
+  const other = {};
+  for (const [level, total] of Object.entries(totals)) {
+    const sum = Object.values(named).reduce((acc, counts) => acc + counts[level], 0);
+    other[level] = Math.max(0, total - sum);
+  }
+  return { ...named, [residual]: other };
+}
+
+/**
+ * Add the MOE of the residual race level: a difference of estimates, so
+ * the total and every named level contribute sqrt(Σ MOE²)
+ *
+ * @param {Object} namedMoes - { raceEth: { level: moe } }
+ * @param {Object} totalMoes - { level: moe }
+ * @param {string} residual - Name of the residual level
+ * @returns {Object} namedMoes, plus the residual level
+ */
+function withResidualOtherMoe(namedMoes, totalMoes, residual) {
+  const other = {};
+  for (const [level, totalMoe] of Object.entries(totalMoes)) {
+    other[level] = moeSum([totalMoe, ...Object.values(namedMoes).map(moes => moes[level])]);
+  }
+  return { ...namedMoes, [residual]: other };
+}
+
+/**
+ * Recode B15001 (sex by age by educational attainment, 18+)
+ * into education counts for each B15001 age group
+ *
+ * @param {Object} row - Census data row with B15001 variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "18-24": { "Less Than HS": count, ... }, ..., "65+": {...} }
+ */
+function recodeSexAgeEducation(row, sex, scheme) {
+  return sumEstimates(row, sexAgeEducationVariables(sex, scheme));
+}
+
+/**
+ * Margins of error for recodeSexAgeEducation
+ *
+ * @param {Object} row - Census data row with B15001 MOE variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "18-24": { "Less Than HS": moe, ... }, ... }
+ */
+function recodeSexAgeEducationMoe(row, sex, scheme) {
+  return sumMoes(row, sexAgeEducationVariables(sex, scheme));
+}
+
+/**
+ * Education by B15001 age group for one sex, with a fallback for age
+ * groups a geography's B15001 does not cover
+ *
+ * B15001 gives education by sex and age for 18+, so 18-24 gets its own
+ * distribution rather than the 25+ one. Where an age group's B15001
+ * estimates are missing (absent or a negative annotation code) or all
+ * zero although B01001 counts adults in it:
+ * - a 25+ group takes the geography's B15003 distribution (25+, both sexes)
+ * - the 18-24 group takes the other sex's 18-24 B15001 distribution
+ * - a group with neither is left without education targets ("none")
+ *
+ * Fallback counts and MOEs are scaled to the group's B01001 adults.
+ *
+ * @param {Object} row - Census data row with B01001, B15001 and B15003 variables (and MOEs)
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { counts: { "18-24": { "Less Than HS": count, ... }, ... }, moes: (same shape), sources: { "18-24": "B15001" | "B15003" | "B15001 other sex" | "none", ... }, education25Plus: { C15002 education group: count } }
+ */
+function resolveSexAgeEducation(row, sex, scheme) {
+  const total = counts => Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const isEstimate = code => row[code] !== undefined && row[code] !== null && row[code] !== '' && Number(row[code]) >= 0;
+  const hasData = (variables, counts) => Object.values(variables).flat().every(isEstimate) && total(counts) > 0;
+  const scaleTo = (counts, moes, adults) => {
+    const factor = adults / total(counts);
+    const scale = values => Object.fromEntries(Object.entries(values).map(([level, value]) => [level, value * factor]));
+    return { counts: scale(counts), moes: scale(moes) };
+  };
+
+  const table = s => ({
+    variables: sexAgeEducationVariables(s, scheme),
+    counts: recodeSexAgeEducation(row, s, scheme),
+    moes: recodeSexAgeEducationMoe(row, s, scheme)
+  });
+  const own = table(sex);
+
+  const adults = {};
+  for (const [ageGroup, count] of Object.entries(recodeAge(row, sex, scheme))) {
+    const group = toB15001AgeGroup(ageGroup, scheme);
+    adults[group] = (adults[group] || 0) + count;
+  }
+
+  const isUnder25 = group => scheme.groups.ageGroup.B15001.lines[group].includes(B15001_FIRST_AGE_GROUP);
+  const result = { counts: {}, moes: {}, sources: {}, education25Plus: {} };
+  for (const group of Object.keys(own.counts)) {
+    const zeros = Object.fromEntries(Object.keys(own.counts[group]).map(level => [level, 0]));
+
+    if (hasData(own.variables[group], own.counts[group]) || !(adults[group] > 0)) {
+      const valid = hasData(own.variables[group], own.counts[group]);
+      result.counts[group] = valid ? own.counts[group] : zeros;
+      result.moes[group] = valid ? own.moes[group] : zeros;
+      result.sources[group] = 'B15001';
+      continue;
+    }
+
+    let fallback = null;
+    if (!isUnder25(group)) {
+      const variables = attainmentVariables(scheme);
+      const counts = recodeEducation(row, scheme);
+      if (hasData(variables, counts)) {
+        fallback = { source: 'B15003', counts, moes: recodeEducationMoe(row, scheme) };
+      }
+    } else {
+      const other = table(scheme.specs.sex.levels.find(level => level !== sex));
+      if (hasData(other.variables[group], other.counts[group])) {
+        fallback = { source: 'B15001 other sex', counts: other.counts[group], moes: other.moes[group] };
+      }
+    }
+
+    if (fallback) {
+      const scaled = scaleTo(fallback.counts, fallback.moes, adults[group]);
+      result.counts[group] = scaled.counts;
+      result.moes[group] = scaled.moes;
+      result.sources[group] = fallback.source;
+    } else {
+      result.counts[group] = zeros;
+      result.moes[group] = zeros;
+      result.sources[group] = 'none';
+    }
+  }
+
+  for (const group of Object.keys(result.counts).filter(group => !isUnder25(group))) {
+    for (const [level, count] of Object.entries(result.counts[group])) {
+      const education = toC15002Education(level, scheme);
+      result.education25Plus[education] = (result.education25Plus[education] || 0) + count;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * All-races adult counts for each race iteration age group (the
+ * denominators of recodeRaceSexAge)
+ *
+ * @param {Object} row - Census data row with B01001 variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "18-24": count, ... }
+ */
+function recodeRaceAgeTotals(row, sex, scheme) {
+  return sumEstimates(row, raceAgeTotalVariables(sex, scheme));
+}
+
+/**
+ * Margins of error for recodeRaceAgeTotals
+ *
+ * @param {Object} row - Census data row with B01001 MOE variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "18-24": moe, ... }
+ */
+function recodeRaceAgeTotalsMoe(row, sex, scheme) {
+  return sumMoes(row, raceAgeTotalVariables(sex, scheme));
+}
+
+/**
+ * Recode the B01001 race iterations (sex by age) into race iteration age
+ * group counts for each race/ethnicity level
+ *
+ * The residual level is the remainder of the all-races B01001 counts.
+ *
+ * @param {Object} row - Census data row with B01001 and race iteration variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "White": { "18-24": count, ... }, ..., "Other": {...} }
+ */
+function recodeRaceSexAge(row, sex, scheme) {
+  return withResidualOther(
+    sumEstimates(row, raceSexAgeVariables(sex, scheme)),
+    recodeRaceAgeTotals(row, sex, scheme),
+    scheme.residualRace
+  );
+}
+
+/**
+ * Margins of error for recodeRaceSexAge
+ *
+ * @param {Object} row - Census data row with B01001 and race iteration MOE variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "White": { "18-24": moe, ... }, ..., "Other": {...} }
+ */
+function recodeRaceSexAgeMoe(row, sex, scheme) {
+  return withResidualOtherMoe(
+    sumMoes(row, raceSexAgeVariables(sex, scheme)),
+    recodeRaceAgeTotalsMoe(row, sex, scheme),
+    scheme.residualRace
+  );
+}
+
+/**
+ * Recode the C15002 race iterations (sex by educational attainment, 25+)
+ * into C15002 education group counts for each race/ethnicity level
+ *
+ * The residual level is the remainder of the all-races 25+ counts from
+ * B15001, or of the given totals (e.g., resolveSexAgeEducation's
+ * education25Plus where a fallback was used).
+ *
+ * @param {Object} row - Census data row with C15002 race iteration and B15001 variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @param {Object} [totals] - All-races 25+ counts by C15002 education group (default: from B15001)
+ * @returns {Object} { "White": { "Less Than HS": count, ... }, ..., "Other": {...} }
+ */
+function recodeRaceSexEducation(row, sex, scheme, totals = sumEstimates(row, education25PlusVariables(sex, scheme))) {
+  return withResidualOther(
+    sumEstimates(row, raceSexEducationVariables(sex, scheme)),
+    totals,
+    scheme.residualRace
+  );
+}
+
+/**
+ * Margins of error for recodeRaceSexEducation
+ *
+ * @param {Object} row - Census data row with C15002 race iteration and B15001 MOE variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "White": { "Less Than HS": moe, ... }, ..., "Other": {...} }
+ */
+function recodeRaceSexEducationMoe(row, sex, scheme) {
+  return withResidualOtherMoe(
+    sumMoes(row, raceSexEducationVariables(sex, scheme)),
+    sumMoes(row, education25PlusVariables(sex, scheme)),
+    scheme.residualRace
+  );
+}
+
+/**
+ * B05003 (sex by age by nativity and citizenship status) variables for
+ * adult citizens and all adults, all races and each named race level
+ *
+ * Citizens are native-born plus naturalized, 18 and over.
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "All": { citizens: [codes], adults: [codes] }, "White": {...}, ... }
+ */
+function citizenshipVariables(sex, scheme) {
+  // Male 18+ total is _008E, female _019E; then native (+1),
+  // foreign born (+2), naturalized (+3), not a citizen (+4)
+  const base = sex === "Male" ? 8 : 19;
+  const tableVariables = (tables) => ({
+    citizens: tables.flatMap(table => [
+      censusVar(table, base + 1),  // Native
+      censusVar(table, base + 3)   // Foreign born: Naturalized U.S. citizen
+    ]),
+    adults: tables.map(table =>
+      censusVar(table, base)       // 18 years and over
+    )
+  });
+
+  const result = { "All": tableVariables(['B05003']) };
+  for (const [raceEth, suffixes] of Object.entries(scheme.raceIterations)) {
+    result[raceEth] = tableVariables(suffixes.map(suffix => `B05003${suffix}`));
+  }
+  return result;
+}
+
+/**
+ * Recode B05003 and its race iterations into adult citizen and adult
+ * counts for each race/ethnicity level
+ *
+ * The residual level is the remainder of the all-races counts.
+ *
+ * @param {Object} row - Census data row with B05003 variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "White": { citizens, adults }, ..., "Other": {...} }
+ */
+function recodeCitizenship(row, sex, scheme) {
+  const { All: all, ...named } = sumEstimates(row, citizenshipVariables(sex, scheme));
+  return withResidualOther(named, all, scheme.residualRace);
+}
+
+/**
+ * Margins of error for recodeCitizenship
+ *
+ * @param {Object} row - Census data row with B05003 MOE variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "White": { citizens, adults }, ..., "Other": {...} }
+ */
+function recodeCitizenshipMoe(row, sex, scheme) {
+  const { All: all, ...named } = sumMoes(row, citizenshipVariables(sex, scheme));
+  return withResidualOtherMoe(named, all, scheme.residualRace);
+}
+
+/**
+ * Recode B29001 (citizen, voting-age population by age) into the
+ * scheme's B29001 age groups (e.g., "18-24 + 25-34 + 35-44" for 18-44,
+ * since 18-29 and 30-44 straddle the 25-34 group)
+ *
+ * @param {Object} row - Census data row with B29001 variables
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "18-24 + 25-34 + 35-44": count, "45-54 + 55-64": count, "65+": count }
+ */
+function recodeCvapAge(row, scheme) {
+  const result = {};
+  for (const [ageGroup, lines] of Object.entries(scheme.groups.ageGroup.B29001.lines)) {
+    result[ageGroup] = lines.map(n => censusVar('B29001', n));
+  }
+  return sumEstimates(row, result);
+}
+
+/**
+ * Recode B29002 (citizen, voting-age population by educational
+ * attainment) into the scheme's B29002 education groups
+ *
+ * @param {Object} row - Census data row with B29002 variables
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} Education counts { "Less Than HS": count, ... }
+ */
+function recodeCvapEducation(row, scheme) {
+  const result = {};
+  for (const [education, lines] of Object.entries(scheme.groups.education.B29002.lines)) {
+    result[education] = lines.map(n => censusVar('B29002', n));
+  }
+  return sumEstimates(row, result);
+}
+
+/**
+ * Map a scheme age group to its B19037 householder age group
+ *
+ * @param {string} ageGroup - Scheme age group
+ * @param {Object} scheme - Compiled recode scheme with an income dimension
+ * @returns {string} B19037 age group (e.g., "25-34 + 35-44" for 25-44)
+ */
+function toB19037AgeGroup(ageGroup, scheme) {
+  return scheme.groups.ageGroup.B19037.byLevel[ageGroup];
+}
+
+/**
+ * B19037 variables for each householder age group and income level of a
+ * recode scheme
+ *
+ * Each B19037 age group total line is followed by the 16 B19001 income
+ * brackets in the same order, so B19001 line n is line total + n - 1.
+ *
+ * @param {Object} scheme - Compiled recode scheme with an income dimension
+ * @returns {Object} { "18-24": { "Under $30K": [codes], ... }, ... }
+ */
+function ageIncomeVariables(scheme) {
+  const result = {};
+  for (const [ageGroup, totals] of Object.entries(scheme.groups.ageGroup.B19037.lines)) {
+    result[ageGroup] = {};
+    for (const [income, lines] of Object.entries(scheme.lines.income.B19001)) {
+      result[ageGroup][income] = totals.flatMap(total => lines.map(n => censusVar('B19037', total + n - 1)));
+    }
+  }
+  return result;
+}
+
+/**
+ * Recode B19037 (age of householder by household income) into the
+ * scheme's householder age groups and income levels
+ *
+ * B19037 counts households, not adults, so only its distribution within
+ * each age group is used: the builder rakes that age group's adults to
+ * these shares.
+ *
+ * @param {Object} row - Census data row with B19037 variables
+ * @param {Object} scheme - Compiled recode scheme with an income dimension
+ * @returns {Object} Household counts { "18-24": { "Under $30K": count, ... }, ... }
+ */
+function recodeAgeIncome(row, scheme) {
+  return sumEstimates(row, ageIncomeVariables(scheme));
+}
+
+/**
+ * Margins of error for recodeAgeIncome
+ *
+ * @param {Object} row - Census data row with B19037 MOE variables
+ * @param {Object} scheme - Compiled recode scheme with an income dimension
+ * @returns {Object} MOEs { "18-24": { "Under $30K": moe, ... }, ... }
+ */
+function recodeAgeIncomeMoe(row, scheme) {
+  return sumMoes(row, ageIncomeVariables(scheme));
+}
+
+/**
+ * B12002 line offsets, from the never-married age lines (_004E-_017E),
+ * of the age lines of each B12001 marital status line. B12002 breaks
+ * now married down into spouse present, separated and other.
+ */
+const B12002_STATUS_OFFSETS = {
+  3: [0],           // Never married
+  4: [16, 32, 47],  // Spouse present _020E-_033E, separated _036E-_049E, other _051E-_064E
+  9: [62],          // Widowed _066E-_079E
+  10: [77]          // Divorced _081E-_094E
+};
+
+/**
+ * Map a scheme age group to its B12002 age group
+ *
+ * @param {string} ageGroup - Scheme age group
+ * @param {Object} scheme - Compiled recode scheme with a maritalStatus dimension
+ * @returns {string} B12002 age group
+ */
+function toB12002AgeGroup(ageGroup, scheme) {
+  return scheme.groups.ageGroup.B12002.byLevel[ageGroup];
+}
+
+/**
+ * B12002 variables for each age group and marital status level of a
+ * recode scheme
+ *
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme with a maritalStatus dimension
+ * @returns {Object} { "18-24": { "Never Married": [codes], ... }, ... }
+ */
+function sexAgeMaritalStatusVariables(sex, scheme) {
+  const offset = sexOffset('B12002', sex);
+  const result = {};
+  for (const [ageGroup, ageLines] of Object.entries(scheme.groups.ageGroup.B12002.lines)) {
+    result[ageGroup] = {};
+    for (const [status, lines] of Object.entries(scheme.lines.maritalStatus.B12001)) {
+      result[ageGroup][status] = lines
+        .flatMap(n => B12002_STATUS_OFFSETS[n])
+        .flatMap(statusOffset => ageLines.map(n => censusVar('B12002', n + statusOffset + offset)));
+    }
+  }
+  return result;
+}
+
+/**
+ * Recode B12002 (sex by marital status by age) into the scheme's B12002
+ * age groups and marital status levels
+ *
+ * @param {Object} row - Census data row with B12002 variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme with a maritalStatus dimension
+ * @returns {Object} Counts { "18-24": { "Never Married": count, ... }, ... }
+ */
+function recodeSexAgeMaritalStatus(row, sex, scheme) {
+  return sumEstimates(row, sexAgeMaritalStatusVariables(sex, scheme));
+}
+
+/**
+ * Margins of error for recodeSexAgeMaritalStatus
+ *
+ * @param {Object} row - Census data row with B12002 MOE variables
+ * @param {string} sex - "Male" or "Female"
+ * @param {Object} scheme - Compiled recode scheme with a maritalStatus dimension
+ * @returns {Object} MOEs { "18-24": { "Never Married": moe, ... }, ... }
+ */
+function recodeSexAgeMaritalStatusMoe(row, sex, scheme) {
+  return sumMoes(row, sexAgeMaritalStatusVariables(sex, scheme));
+}
+
+/**
+ * 2020 Census P2 (urban and rural) variables for each urbanicity level
+ *
+ * Decennial counts are "N" variables and have no margins of error.
+ *
+ * @param {Object} scheme - Compiled recode scheme with an urbanicity dimension
+ * @returns {Object} { Urban: ["P2_002N"], Rural: ["P2_003N"] }
+ */
+function urbanicityVariables(scheme) {
+  const result = {};
+  for (const [urbanicity, lines] of Object.entries(scheme.lines.urbanicity.P2)) {
+    result[urbanicity] = lines.map(n => `P2_${String(n).padStart(3, '0')}N`);
+  }
+  return result;
+}
+
+/**
+ * Recode 2020 Census urban and rural population (all ages) into the
+ * scheme's urbanicity levels; the builder rakes adults to these shares
+ *
+ * @param {Object} row - Census data row with P2 variables
+ * @param {Object} scheme - Compiled recode scheme with an urbanicity dimension
+ * @returns {Object} Counts { Urban: count, Rural: count }
+ */
+function recodeUrbanicity(row, scheme) {
+  return sumEstimates(row, urbanicityVariables(scheme));
+}
+
+/**
+ * Every ACS estimate variable a scheme's recodes read (both sexes, adult
+ * and CVAP universes); the 2020 Census urbanicity variables are fetched
+ * separately (see urbanicityVariables)
+ *
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Array<string>} Variable codes, without duplicates
+ */
+function schemeVariables(scheme) {
+  const codes = new Set();
+  const collect = (variables) => {
+    if (Array.isArray(variables)) {
+      variables.forEach(code => codes.add(code));
+    } else {
+      Object.values(variables).forEach(collect);
+    }
   };
+
+  for (const sex of RECODE_SPECS.sex.levels) {
+    collect(ageVariables(sex, scheme));
+    collect(sexAgeEducationVariables(sex, scheme));
+    collect(raceSexAgeVariables(sex, scheme));
+    collect(raceSexEducationVariables(sex, scheme));
+    collect(citizenshipVariables(sex, scheme));
+  }
+  collect(Object.values(scheme.groups.ageGroup.B29001.lines).flat().map(n => censusVar('B29001', n)));
+  collect(Object.values(scheme.groups.education.B29002.lines).flat().map(n => censusVar('B29002', n)));
+  if (scheme.specs.income) {
+    collect(ageIncomeVariables(scheme));
+  }
+  if (scheme.specs.maritalStatus) {
+    for (const sex of RECODE_SPECS.sex.levels) {
+      collect(sexAgeMaritalStatusVariables(sex, scheme));
+    }
+  }
+
+  return [...codes];
+}
+
+/**
+ * DC and territories, which frames include, exclude or place in a region
+ * by configuration rather than by RECODE_SPECS alone
+ *
+ * - variable: environment variable holding the setting
+ * - fallback: setting when the variable is unset
+ */
+const TERRITORIES = {
+  DC: { name: 'District of Columbia', variable: 'DC_REGION', fallback: 'include' },
+  PR: { name: 'Puerto Rico', variable: 'PR_REGION', fallback: 'exclude' }
+};
+
+/**
+ * How DC and each territory are handled
+ *
+ * Each setting is "include" (its RECODE_SPECS region: "DC" for DC; Puerto
+ * Rico has none), "exclude" (skipped by builds, with the reason listed)
+ * or a census region to assign it to (e.g., "South"). Defaults come from
+ * the environment:
+ * - DC_REGION (default include)
+ * - PR_REGION (default exclude)
+ *
+ * @param {Object} [overrides] - { DC, PR }
+ * @returns {Object} { DC: setting, PR: setting }
+ * @throws {Error} If a setting is not valid
+ */
+function territorySettings(overrides = {}) {
+  const settings = {};
+  for (const [state, { variable, fallback }] of Object.entries(TERRITORIES)) {
+    settings[state] = process.env[variable] || fallback;
+  }
+  Object.assign(settings, overrides);
+
+  for (const [state, setting] of Object.entries(settings)) {
+    const { name, variable } = TERRITORIES[state];
+    const hasOwnRegion = RECODE_SPECS.censusRegion.levels.some(region => RECODE_SPECS.censusRegion.mapping[region].includes(state));
+    if (setting === 'include' && !hasOwnRegion) {
+      throw new Error(`${variable}: ${name} has no census region of its own; set it to exclude or to one of ${RECODE_SPECS.censusRegion.levels.join(', ')}`);
+    }
+    if (!['include', 'exclude', ...RECODE_SPECS.censusRegion.levels].includes(setting)) {
+      throw new Error(`${variable} must be include, exclude or one of ${RECODE_SPECS.censusRegion.levels.join(', ')} (got "${setting}")`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Why DC or a territory is left out of builds, if it is
+ *
+ * @param {string} stateCode - Two-letter state code (e.g., "PR")
+ * @param {Object} [territories] - From territorySettings (read from the environment if omitted)
+ * @returns {string|null} Reason (e.g., "Puerto Rico is excluded (PR_REGION=exclude)"), or null if not excluded
+ */
+function territoryExclusion(stateCode, territories = territorySettings()) {
+  if (territories[stateCode] !== 'exclude') {
+    return null;
+  }
+  const { name, variable } = TERRITORIES[stateCode];
+  return `${name} is excluded (${variable}=exclude)`;
 }
 
 /**
  * Map state code to Census region
  *
+ * DC and territories follow territorySettings.
+ *
  * @param {string} stateCode - Two-letter state code (e.g., "TX")
+ * @param {Object} [territories] - From territorySettings (read from the environment if omitted)
  * @returns {string} Census region ("Northeast", "Midwest", "South", "West", "DC")
+ * @throws {Error} If the state is unknown or excluded (see territoryExclusion)
  */
-function getRegion(stateCode) {
+function getRegion(stateCode, territories = territorySettings()) {
+  const setting = territories[stateCode];
+  const excluded = territoryExclusion(stateCode, territories);
+  if (excluded) {
+    throw new Error(excluded);
+  }
+  if (setting && setting !== 'include') {
+    return setting;
+  }
+
   for (const [region, states] of Object.entries(RECODE_SPECS.censusRegion.mapping)) {
     if (states.includes(stateCode)) {
       return region;
@@ -184,8 +1125,8 @@ function getRegion(stateCode) {
 }
 
 /**
- * State FIPS code to two-letter abbreviation mapping
- * (Subset - add more as needed)
+ * State FIPS code to two-letter abbreviation mapping: the 50 states, DC
+ * and Puerto Rico (the only territory the ACS covers)
  */
 const FIPS_TO_STATE = {
   '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA',
@@ -238,10 +1179,50 @@ function parseDistrict(row) {
 
 module.exports = {
   RECODE_SPECS,
+  censusVar,
   recodeAge,
+  recodeAgeMoe,
   recodeRace,
   recodeEducation,
+  recodeEducationMoe,
+  resolveSexAgeEducation,
+  recodeSexAgeEducation,
+  recodeSexAgeEducationMoe,
+  recodeRaceSexAge,
+  recodeRaceSexAgeMoe,
+  recodeRaceSexEducation,
+  recodeRaceSexEducationMoe,
+  recodeCitizenship,
+  recodeCitizenshipMoe,
+  recodeCvapAge,
+  recodeCvapEducation,
+  recodeRaceAgeTotals,
+  recodeRaceAgeTotalsMoe,
+  recodeAgeIncome,
+  recodeAgeIncomeMoe,
+  recodeSexAgeMaritalStatus,
+  recodeSexAgeMaritalStatusMoe,
+  recodeUrbanicity,
+  urbanicityVariables,
+  schemeVariables,
+  moeSum,
+  moeProportion,
+  moeProduct,
+  moeToStandardError,
+  moeVar,
+  MOE_Z,
+  toB15001AgeGroup,
+  toB19037AgeGroup,
+  toB12002AgeGroup,
+  toRaceAgeGroup,
+  toC15002Education,
+  toB29001AgeGroup,
+  toB29002Education,
+  TERRITORIES,
+  territorySettings,
+  territoryExclusion,
   getRegion,
+  FIPS_TO_STATE,
   fipsToState,
   parseDistrict
 };
@@ -0,0 +1,612 @@
+/**
+ * Recode Schemes
+ *
+ * A recode scheme names the levels of the age, race/ethnicity and
+ * education dimensions and maps each level onto the lines of the ACS
+ * tables the frame is fitted to. Schemes are declarative JSON files in
+ * recode-schemes/ (or RECODE_SCHEMES_DIR), so a coarser or finer coding
+ * (e.g., 4 education levels, 5-year age bands, AIAN split out of Other)
+ * needs no code change. Sex and census region are fixed (RECODE_SPECS).
+ *
+ * A scheme may also add optional dimensions (household income, marital
+ * status, urbanicity; see OPTIONAL_DIMENSIONS), each mapped onto the lines
+ * of its own source table. They multiply the cells per geography.
+ *
+ * Scheme file layout:
+ *
+ *   {
+ *     "name": "education4",             // must match the file name
+ *     "description": "...",
+ *     "dimensions": {
+ *       "ageGroup":  { "levels": { "18-24": { "B01001": [7, 8, 9, 10], "B01001A-I": [7, 8], "B15001": [3], "B29001": [2, 3] }, ... } },
+ *       "raceEth":   { "levels": { "White": { "iterations": ["H"] }, ..., "Other": { "residual": true } } },
+ *       "education": { "levels": { "Less Than HS": { "B15001": [4, 5], "C15002A-I": [3], "B29002": [2, 3] }, ... } },
+ *       "income":    { "levels": { "Under $30K": { "B19001": [2, 3, 4, 5, 6] }, ... } }   // optional
+ *     }
+ *   }
+ *
+ * Line numbers are those of the male block of each table (see
+ * SOURCE_TABLES); the female lines follow from the table layout. Every
+ * line of every table must be used by the scheme exactly once. Where a
+ * table is coarser than the scheme (e.g., B15001 publishes 45-64 as one
+ * group), levels list the same lines and are fitted to that table as one
+ * group, so lines may be shared only as identical sets, never partially.
+ * The anchor tables (B01001 for age, the B15001 education lines) must
+ * give every level lines of its own. Every other table's groups must
+ * cover exactly the ages or education levels of their anchor lines. An
+ * optional dimension has one source table, which is its anchor, and is
+ * raked jointly with age through an age table of its own (B19037 for
+ * income, B12002 for marital status); age levels list that table's lines
+ * only in schemes with the dimension.
+ *
+ * Schemes are validated when loaded; an invalid scheme stops the server
+ * from starting rather than producing a silently wrong frame.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RECODE_SPECS } = require('./recodeHelpers');
+
+const DEFAULT_SCHEME = 'default';
+
+/**
+ * Directory scheme files are read from
+ */
+const SCHEMES_DIR = process.env.RECODE_SCHEMES_DIR || path.join(__dirname, '..', 'recode-schemes');
+
+/**
+ * Open-ended upper age (85+, 65+) for coverage checks
+ */
+const MAX_AGE = 100;
+
+/**
+ * Dimensions a scheme defines (sex and censusRegion come from RECODE_SPECS)
+ */
+const SCHEME_DIMENSIONS = ['ageGroup', 'raceEth', 'education'];
+
+/**
+ * Dimensions a scheme may add, in cell order
+ */
+const OPTIONAL_DIMENSIONS = ['income', 'maritalStatus', 'urbanicity'];
+
+/**
+ * Top of the open-ended income bracket ($200,000 or more), in $1,000s
+ */
+const MAX_INCOME = 1000;
+
+/**
+ * Lines of the source tables for the age and education dimensions
+ *
+ * Each line covers a range of ages (years) or education steps (1 = less
+ * than 9th grade ... 7 = graduate degree, the B15001 order).
+ */
+const SOURCE_TABLES = {
+  ageGroup: {
+    B01001: {
+      anchor: true,
+      description: 'Sex by age; male lines 7-25 (female lines are +24)',
+      lines: {
+        7: [18, 19], 8: [20, 20], 9: [21, 21], 10: [22, 24], 11: [25, 29], 12: [30, 34],
+        13: [35, 39], 14: [40, 44], 15: [45, 49], 16: [50, 54], 17: [55, 59], 18: [60, 61],
+        19: [62, 64], 20: [65, 66], 21: [67, 69], 22: [70, 74], 23: [75, 79], 24: [80, 84],
+        25: [85, MAX_AGE]
+      }
+    },
+    'B01001A-I': {
+      description: 'Sex by age, race iterations; male lines 7-16 (female lines are +15)',
+      lines: {
+        7: [18, 19], 8: [20, 24], 9: [25, 29], 10: [30, 34], 11: [35, 44],
+        12: [45, 54], 13: [55, 64], 14: [65, 74], 15: [75, 84], 16: [85, MAX_AGE]
+      }
+    },
+    B15001: {
+      description: 'Sex by age by educational attainment; male age group total lines (female lines are +41)',
+      lines: { 3: [18, 24], 11: [25, 34], 19: [35, 44], 27: [45, 64], 35: [65, MAX_AGE] }
+    },
+    B29001: {
+      description: 'Citizen, voting-age population by age',
+      lines: { 2: [18, 29], 3: [30, 44], 4: [45, 64], 5: [65, MAX_AGE] }
+    },
+    B19037: {
+      requiredBy: 'income',
+      description: 'Age of householder by household income; age group total lines (householders under 25 are taken as 18-24)',
+      lines: { 2: [18, 24], 19: [25, 44], 36: [45, 64], 53: [65, MAX_AGE] }
+    },
+    B12002: {
+      requiredBy: 'maritalStatus',
+      description: 'Sex by marital status by age (15+); adult lines 5-17 of the male never-married block (other statuses and females follow the table layout)',
+      lines: {
+        5: [18, 19], 6: [20, 24], 7: [25, 29], 8: [30, 34], 9: [35, 39], 10: [40, 44], 11: [45, 49],
+        12: [50, 54], 13: [55, 59], 14: [60, 64], 15: [65, 74], 16: [75, 84], 17: [85, MAX_AGE]
+      }
+    }
+  },
+  education: {
+    B15001: {
+      anchor: true,
+      description: 'Sex by age by educational attainment; education lines of the male 18-24 group (the same steps are used in every age group)',
+      lines: { 4: [1, 1], 5: [2, 2], 6: [3, 3], 7: [4, 4], 8: [5, 5], 9: [6, 6], 10: [7, 7] }
+    },
+    'C15002A-I': {
+      description: 'Sex by educational attainment, race iterations, 25+; male lines 3-6 (female lines are +5)',
+      lines: { 3: [1, 2], 4: [3, 3], 5: [4, 5], 6: [6, 7] }
+    },
+    B29002: {
+      description: 'Citizen, voting-age population by educational attainment',
+      lines: { 2: [1, 1], 3: [2, 2], 4: [3, 3], 5: [4, 4], 6: [5, 5], 7: [6, 6], 8: [7, 7] }
+    }
+  },
+  income: {
+    B19001: {
+      anchor: true,
+      description: 'Household income in the past 12 months; lines 2-17 (income brackets, in $1,000s; fetched from the same brackets of each B19037 age group)',
+      lines: {
+        2: [0, 9], 3: [10, 14], 4: [15, 19], 5: [20, 24], 6: [25, 29], 7: [30, 34], 8: [35, 39],
+        9: [40, 44], 10: [45, 49], 11: [50, 59], 12: [60, 74], 13: [75, 99], 14: [100, 124],
+        15: [125, 149], 16: [150, 199], 17: [200, MAX_INCOME]
+      }
+    }
+  },
+  maritalStatus: {
+    B12001: {
+      anchor: true,
+      description: 'Sex by marital status (15+); male lines 3 (never married), 4 (now married, including separated), 9 (widowed), 10 (divorced); fetched by age from B12002',
+      lines: { 3: [1, 1], 4: [2, 2], 9: [3, 3], 10: [4, 4] }
+    }
+  },
+  urbanicity: {
+    P2: {
+      anchor: true,
+      description: '2020 Census urban and rural population (DHC); lines 2 (urban) and 3 (rural)',
+      lines: { 2: [1, 1], 3: [2, 2] }
+    }
+  }
+};
+
+/**
+ * Race iterations a raceEth level can be built from
+ *
+ * White alone (A) includes Hispanics, so it cannot be combined with I and
+ * is not offered. C/E/F/G include their Hispanic shares; the residual
+ * level is the all-races total minus every named level.
+ */
+const RACE_ITERATIONS = {
+  B: 'Black or African American alone',
+  C: 'American Indian and Alaska Native alone',
+  D: 'Asian alone',
+  E: 'Native Hawaiian and Other Pacific Islander alone',
+  F: 'Some other race alone',
+  G: 'Two or more races',
+  H: 'White alone, not Hispanic or Latino',
+  I: 'Hispanic or Latino'
+};
+
+/**
+ * Ages from which the race by education tables (C15002) are published
+ */
+const C15002_MIN_AGE = 25;
+
+/**
+ * Source tables of a dimension for a scheme: tables required by an
+ * optional dimension (e.g., B19037 for income) only when the scheme has it
+ *
+ * @param {string} dimension - "ageGroup", "education" or an optional dimension
+ * @param {Array<string>} extraDimensions - The scheme's optional dimensions
+ * @returns {Object} { table: { anchor, requiredBy, description, lines } }
+ */
+function sourceTables(dimension, extraDimensions) {
+  return Object.fromEntries(Object.entries(SOURCE_TABLES[dimension])
+    .filter(([, table]) => !table.requiredBy || extraDimensions.includes(table.requiredBy)));
+}
+
+/**
+ * Set of integers covered by a list of catalog lines
+ *
+ * @param {Object} catalog - { line: [from, to] }
+ * @param {Array<number>} lines - Line numbers
+ * @returns {Set<number>} Covered values
+ */
+function coveredValues(catalog, lines) {
+  const values = new Set();
+  for (const line of lines) {
+    const [from, to] = catalog[line];
+    for (let value = from; value <= to; value++) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Whether two sets hold the same values
+ *
+ * @param {Set} a - Set
+ * @param {Set} b - Set
+ * @returns {boolean} True if equal
+ */
+function sameSet(a, b) {
+  return a.size === b.size && [...a].every(value => b.has(value));
+}
+
+/**
+ * Group a dimension's levels by the lines they use in one table
+ *
+ * Levels sharing lines form one group, labelled by their names joined
+ * with " + " (a level with lines of its own keeps its name).
+ *
+ * @param {Object} levelLines - { level: [lines] } in level order
+ * @returns {Object} { byLevel: { level: label }, members: { label: [levels] }, lines: { label: [lines] } }
+ */
+function groupLevels(levelLines) {
+  const bySignature = new Map();
+  for (const [level, lines] of Object.entries(levelLines)) {
+    const signature = lines.join(',');
+    if (!bySignature.has(signature)) bySignature.set(signature, { levels: [], lines });
+    bySignature.get(signature).levels.push(level);
+  }
+
+  const groups = { byLevel: {}, members: {}, lines: {} };
+  for (const { levels, lines } of bySignature.values()) {
+    const label = levels.join(' + ');
+    groups.members[label] = levels;
+    groups.lines[label] = lines;
+    for (const level of levels) groups.byLevel[level] = label;
+  }
+  return groups;
+}
+
+/**
+ * Problems with the line mapping of an age or education dimension
+ *
+ * @param {string} dimension - "ageGroup" or "education"
+ * @param {Object} levels - Scheme levels { level: { table: [lines] } }
+ * @param {Array<string>} extraDimensions - The scheme's optional dimensions
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function tableMappingProblems(dimension, levels, extraDimensions) {
+  const problems = [];
+  const tables = sourceTables(dimension, extraDimensions);
+  const [anchorTable] = Object.keys(tables).filter(table => tables[table].anchor);
+
+  for (const [level, mapping] of Object.entries(levels)) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      problems.push(`${dimension} level "${level}" must map each of ${Object.keys(tables).join(', ')} to line numbers`);
+      continue;
+    }
+    for (const table of Object.keys(mapping)) {
+      if (SOURCE_TABLES[dimension][table] && !tables[table]) {
+        problems.push(`${dimension} level "${level}" uses ${table}, which is only read for schemes with ${SOURCE_TABLES[dimension][table].requiredBy}`);
+      } else if (!tables[table]) {
+        problems.push(`${dimension} level "${level}" uses unknown table ${table} (expected ${Object.keys(tables).join(', ')})`);
+      }
+    }
+    for (const [table, { lines: catalog }] of Object.entries(tables)) {
+      const lines = mapping[table];
+      if (!Array.isArray(lines) || lines.length === 0) {
+        problems.push(`${dimension} level "${level}" has no ${table} lines`);
+      } else if (!lines.every(line => catalog[line])) {
+        problems.push(`${dimension} level "${level}": ${table} lines must be among ${Object.keys(catalog).join(', ')}`);
+      } else if (new Set(lines).size !== lines.length) {
+        problems.push(`${dimension} level "${level}" lists a ${table} line twice`);
+      }
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  // Every line used, and lines shared only as identical sets
+  for (const [table, { lines: catalog, anchor }] of Object.entries(tables)) {
+    const owner = new Map();
+    for (const [level, mapping] of Object.entries(levels)) {
+      const signature = [...mapping[table]].sort((a, b) => a - b).join(',');
+      for (const line of mapping[table]) {
+        const previous = owner.get(line);
+        if (previous && (anchor || previous.signature !== signature)) {
+          problems.push(
+            anchor
+              ? `${table} line ${line} is used by both "${previous.level}" and "${level}"`
+              : `${table} line ${line} is shared by "${previous.level}" and "${level}", which must then list the same ${table} lines`
+          );
+        } else if (!previous) {
+          owner.set(line, { level, signature });
+        }
+      }
+    }
+    const unused = Object.keys(catalog).filter(line => !owner.has(Number(line)));
+    if (unused.length > 0) {
+      problems.push(`${dimension} does not use ${table} line${unused.length > 1 ? 's' : ''} ${unused.join(', ')}`);
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  // Each group covers exactly the ages / education steps of its levels
+  const anchorValues = Object.fromEntries(Object.entries(levels).map(([level, mapping]) => [
+    level, coveredValues(tables[anchorTable].lines, mapping[anchorTable])
+  ]));
+  for (const [table, { lines: catalog, anchor }] of Object.entries(tables)) {
+    if (anchor) continue;
+    const groups = groupLevels(Object.fromEntries(
+      Object.entries(levels).map(([level, mapping]) => [level, [...mapping[table]].sort((a, b) => a - b)])
+    ));
+    for (const [label, members] of Object.entries(groups.members)) {
+      const expected = new Set(members.flatMap(level => [...anchorValues[level]]));
+      if (!sameSet(expected, coveredValues(catalog, groups.lines[label]))) {
+        problems.push(`${table} lines ${groups.lines[label].join(', ')} do not cover the same ${dimension === 'ageGroup' ? 'ages' : 'education levels'} as ${anchorTable} for "${label}"`);
+      }
+    }
+  }
+
+  if (dimension === 'ageGroup') {
+    for (const [level, values] of Object.entries(anchorValues)) {
+      const ages = [...values];
+      if (ages.some(age => age < C15002_MIN_AGE) && ages.some(age => age >= C15002_MIN_AGE)) {
+        problems.push(`ageGroup level "${level}" straddles age ${C15002_MIN_AGE}, where the race by education tables (C15002) start`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Problems with the race iterations of the raceEth dimension
+ *
+ * @param {Object} levels - Scheme levels { level: { iterations } | { residual: true } }
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function raceMappingProblems(levels) {
+  const problems = [];
+  const used = new Map();
+  const residuals = [];
+
+  for (const [level, mapping] of Object.entries(levels)) {
+    if (mapping && mapping.residual === true && mapping.iterations === undefined) {
+      residuals.push(level);
+      continue;
+    }
+    const iterations = mapping && mapping.iterations;
+    if (!Array.isArray(iterations) || iterations.length === 0) {
+      problems.push(`raceEth level "${level}" must list race iterations (${Object.keys(RACE_ITERATIONS).join(', ')}) or be { "residual": true }`);
+      continue;
+    }
+    for (const suffix of iterations) {
+      if (!RACE_ITERATIONS[suffix]) {
+        problems.push(`raceEth level "${level}" uses unknown race iteration "${suffix}" (expected ${Object.keys(RACE_ITERATIONS).join(', ')})`);
+      } else if (used.has(suffix)) {
+        problems.push(`Race iteration ${suffix} is used by both "${used.get(suffix)}" and "${level}"`);
+      } else {
+        used.set(suffix, level);
+      }
+    }
+  }
+
+  if (residuals.length !== 1) {
+    problems.push(`raceEth must have exactly one residual level (found ${residuals.length})`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a scheme definition
+ *
+ * @param {Object} definition - Parsed scheme file
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+function validateScheme(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['Scheme must be a JSON object'];
+  }
+
+  const problems = [];
+  if (typeof definition.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.name)) {
+    problems.push('name must be letters, digits, "-" or "_"');
+  }
+
+  const dimensions = definition.dimensions || {};
+  for (const dimension of Object.keys(dimensions)) {
+    if (!SCHEME_DIMENSIONS.includes(dimension) && !OPTIONAL_DIMENSIONS.includes(dimension)) {
+      problems.push(`Unknown dimension ${dimension} (schemes define ${SCHEME_DIMENSIONS.join(', ')} and optionally ${OPTIONAL_DIMENSIONS.join(', ')})`);
+    }
+  }
+
+  const extraDimensions = OPTIONAL_DIMENSIONS.filter(dimension => dimensions[dimension] !== undefined);
+  for (const dimension of [...SCHEME_DIMENSIONS, ...extraDimensions]) {
+    const levels = dimensions[dimension] && dimensions[dimension].levels;
+    if (!levels || typeof levels !== 'object' || Object.keys(levels).length === 0) {
+      problems.push(`dimensions.${dimension}.levels must name at least one level`);
+    } else if (Object.keys(levels).some(level => level.includes('|') || level.trim() !== level || level === '')) {
+      problems.push(`${dimension} level names must be non-empty, without surrounding spaces or "|"`);
+    } else if (dimension === 'raceEth') {
+      problems.push(...raceMappingProblems(levels));
+    } else {
+      problems.push(...tableMappingProblems(dimension, levels, extraDimensions));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Compile a validated scheme definition for the recode functions
+ *
+ * specs has an entry for each optional dimension the scheme adds (listed
+ * in extraDimensions); cellDimensions are the demographic columns of its
+ * cells, in cell order.
+ *
+ * @param {Object} definition - Valid scheme definition
+ * @returns {Object} { name, description, hash, definition, specs, extraDimensions, cellDimensions, cellsPerGeography, lines, groups, raceIterations, residualRace, ages25Plus }
+ */
+function compileScheme(definition) {
+  const { dimensions } = definition;
+  const extraDimensions = OPTIONAL_DIMENSIONS.filter(dimension => dimensions[dimension] !== undefined);
+  const specs = {
+    ageGroup: null,
+    sex: RECODE_SPECS.sex,
+    raceEth: null,
+    education: null,
+    censusRegion: RECODE_SPECS.censusRegion
+  };
+  for (const dimension of [...SCHEME_DIMENSIONS, ...extraDimensions]) {
+    specs[dimension] = {
+      levels: Object.keys(dimensions[dimension].levels),
+      description: dimensions[dimension].description || ''
+    };
+  }
+  const cellDimensions = ['ageGroup', 'sex', 'raceEth', 'education', ...extraDimensions];
+
+  const lines = {};
+  const groups = {};
+  for (const dimension of ['ageGroup', 'education', ...extraDimensions]) {
+    lines[dimension] = {};
+    groups[dimension] = {};
+    for (const table of Object.keys(sourceTables(dimension, extraDimensions))) {
+      lines[dimension][table] = Object.fromEntries(Object.entries(dimensions[dimension].levels).map(
+        ([level, mapping]) => [level, [...mapping[table]].sort((a, b) => a - b)]
+      ));
+      groups[dimension][table] = groupLevels(lines[dimension][table]);
+    }
+  }
+
+  const raceIterations = {};
+  let residualRace = null;
+  for (const [level, mapping] of Object.entries(dimensions.raceEth.levels)) {
+    if (mapping.residual) {
+      residualRace = level;
+    } else {
+      raceIterations[level] = mapping.iterations;
+    }
+  }
+
+  const ageCatalog = SOURCE_TABLES.ageGroup.B01001.lines;
+  const ages25Plus = Object.fromEntries(Object.entries(lines.ageGroup.B01001).map(
+    ([level, ageLines]) => [level, ageLines.every(line => ageCatalog[line][0] >= C15002_MIN_AGE)]
+  ));
+
+  return {
+    name: definition.name,
+    description: definition.description || '',
+    hash: crypto.createHash('sha256').update(JSON.stringify(definition)).digest('hex'),
+    definition,
+    specs,
+    extraDimensions,
+    cellDimensions,
+    // One census region per geography
+    cellsPerGeography: cellDimensions.reduce((product, dimension) => product * specs[dimension].levels.length, 1),
+    lines,
+    groups,
+    raceIterations,
+    residualRace,
+    ages25Plus
+  };
+}
+
+/**
+ * Read, validate and compile every scheme in a directory
+ *
+ * The default scheme must exist and keep the RECODE_SPECS levels, which
+ * the survey recodes (surveyRecode.js) are written against.
+ *
+ * @param {string} [dir] - Scheme directory (default SCHEMES_DIR)
+ * @returns {Map<string, Object>} Compiled schemes by name
+ * @throws {Error} Listing every problem found
+ */
+function loadSchemes(dir = SCHEMES_DIR) {
+  const schemes = new Map();
+  const problems = [];
+
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort() : [];
+  for (const file of files) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: ${error.message}`);
+      continue;
+    }
+
+    const schemeProblems = validateScheme(definition);
+    if (schemeProblems.length === 0 && definition.name !== path.basename(file, '.json')) {
+      schemeProblems.push(`name "${definition.name}" does not match the file name`);
+    }
+    if (schemeProblems.length > 0) {
+      problems.push(...schemeProblems.map(problem => `${file}: ${problem}`));
+      continue;
+    }
+
+    schemes.set(definition.name, compileScheme(definition));
+  }
+
+  const defaultScheme = schemes.get(DEFAULT_SCHEME);
+  if (!defaultScheme && !problems.some(problem => problem.startsWith(`${DEFAULT_SCHEME}.json:`))) {
+    problems.push(`${DEFAULT_SCHEME}.json is missing from ${dir}`);
+  } else if (defaultScheme) {
+    for (const dimension of SCHEME_DIMENSIONS) {
+      if (defaultScheme.specs[dimension].levels.join('|') !== RECODE_SPECS[dimension].levels.join('|')) {
+        problems.push(`${DEFAULT_SCHEME}.json: ${dimension} levels must be the RECODE_SPECS levels (${RECODE_SPECS[dimension].levels.join(', ')})`);
+      }
+    }
+    if (defaultScheme.extraDimensions.length > 0) {
+      problems.push(`${DEFAULT_SCHEME}.json: the default scheme cannot add ${defaultScheme.extraDimensions.join(', ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid recode schemes in ${dir}:\n  ${problems.join('\n  ')}`);
+  }
+
+  return schemes;
+}
+
+let loaded = null;
+
+/**
+ * Compiled schemes, loaded on first use
+ *
+ * @returns {Map<string, Object>} Schemes by name
+ */
+function schemes() {
+  if (!loaded) {
+    loaded = loadSchemes();
+  }
+  return loaded;
+}
+
+/**
+ * Get a compiled scheme by name
+ *
+ * @param {string} [name] - Scheme name (default "default")
+ * @returns {Object|null} Compiled scheme, or null if there is no such scheme
+ */
+function getScheme(name = DEFAULT_SCHEME) {
+  return schemes().get(name) || null;
+}
+
+/**
+ * Summaries of the available schemes
+ *
+ * @returns {Array<Object>} [{ name, description, hash, levels: { dimension: [levels] }, cellsPerGeography }]
+ */
+function listSchemes() {
+  return [...schemes().values()].map(scheme => ({
+    name: scheme.name,
+    description: scheme.description,
+    hash: scheme.hash,
+    levels: Object.fromEntries(
+      [...SCHEME_DIMENSIONS, ...scheme.extraDimensions].map(dimension => [dimension, scheme.specs[dimension].levels])
+    ),
+    cellsPerGeography: scheme.cellsPerGeography
+  }));
+}
+
+module.exports = {
+  DEFAULT_SCHEME,
+  SCHEMES_DIR,
+  SCHEME_DIMENSIONS,
+  OPTIONAL_DIMENSIONS,
+  SOURCE_TABLES,
+  RACE_ITERATIONS,
+  validateScheme,
+  compileScheme,
+  loadSchemes,
+  getScheme,
+  listSchemes
+};
@@ -0,0 +1,170 @@
+/**
+ * Poststrat Frame Simulation
+ *
+ * Produces simulated versions of a poststrat table for uncertainty
+ * propagation. Each draw samples every ACS estimate from its published
+ * margin of error, then re-runs the same recode and allocation pipeline
+ * used by the builder. Draws are reproducible from a seed, and each
+ * geography's stream depends only on (seed, geography ID), so its draws
+ * are identical whether requested alone or as part of a full year.
+ */
+
+const { allocateDistrictCells } = require('./tableBuilder');
+const { getScheme, DEFAULT_SCHEME } = require('./recodeSchemes');
+const { getRegion, moeToStandardError, moeVar } = require('./recodeHelpers');
+const { parseGeography } = require('./geographies');
+const { roundCells } = require('./smallCells');
+
+/**
+ * Hash a string to a 32-bit unsigned integer (FNV-1a)
+ *
+ * @param {string} str - Input string
+ * @returns {number} 32-bit hash
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Seeded uniform random number generator (mulberry32)
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ *
+ * @param {Function} rng - Uniform random number generator
+ * @returns {number} N(0, 1) draw
+ */
+function normalDraw(rng) {
+  const u1 = 1 - rng(); // (0, 1]
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Sample a Census row: every estimate with a positive MOE is replaced by
+ * a draw from N(estimate, (MOE / 1.645)²), rounded and truncated at 0
+ *
+ * Variables are visited in sorted order so draws do not depend on the
+ * column order of the Census response.
+ *
+ * @param {Object} row - Census data row (with ...M variables)
+ * @param {Function} rng - Uniform random number generator
+ * @returns {Object} New row with sampled estimates
+ */
+function perturbRow(row, rng) {
+  const sampled = { ...row };
+  const estimateKeys = Object.keys(row)
+    .filter(key => /_\d{3}E$/.test(key) && row[moeVar(key)] !== undefined)
+    .sort();
+
+  for (const key of estimateKeys) {
+    const estimate = parseInt(row[key] || 0, 10);
+    const moe = parseInt(row[moeVar(key)] || 0, 10);
+    if (estimate < 0 || moe <= 0) continue;
+
+    const draw = estimate + normalDraw(rng) * moeToStandardError(moe);
+    sampled[key] = String(Math.max(0, Math.round(draw)));
+  }
+
+  return sampled;
+}
+
+/**
+ * Simulate poststrat frames for a set of geographies
+ *
+ * Cells are returned on the full dimension grid (including zero cells) so
+ * every geography has the same shape across draws. Populations are
+ * unrounded, like stored frames, unless options.rounding is "controlled"
+ * (see roundCells; the point estimate and each draw are rounded
+ * separately). Each draw re-rakes the geography, so the loop yields to the
+ * event loop between geographies.
+ *
+ * @param {number} year - ACS year
+ * @param {Array} censusData - Array of geography-level Census data (with MOEs)
+ * @param {Object} options - { draws, seed, ipf, universe, geoType, recodeScheme, rounding }
+ * @returns {Promise<Object>} { seed, draws, rounding, geographies, skipped, cells: [{ ..., population, draws: [] }] }
+ */
+async function simulateDraws(year, censusData, options) {
+  const { draws, seed, ipf = {}, universe = 'adult', geoType = 'cd', recodeScheme = DEFAULT_SCHEME, rounding = 'none' } = options;
+  const scheme = getScheme(recodeScheme);
+  const cells = [];
+  const geographies = [];
+  const skipped = [];
+
+  for (const row of censusData) {
+    await new Promise(resolve => setImmediate(resolve));
+
+    let state, geoId, censusRegion;
+    try {
+      ({ state, geoId } = parseGeography(row, geoType));
+      censusRegion = getRegion(state);
+    } catch (error) {
+      skipped.push({ name: row.NAME, reason: error.message });
+      continue;
+    }
+
+    const point = roundCells(allocateDistrictCells(row, { ipf, universe, scheme }).cells, rounding);
+    const districtCells = point.map(cell => ({
+      year,
+      universe,
+      geoType,
+      recodeScheme,
+      geoId,
+      state,
+      ...Object.fromEntries(scheme.cellDimensions.map(dimension => [dimension, cell[dimension]])),
+      censusRegion,
+      population: cell.population,
+      draws: []
+    }));
+
+    const rng = createRng(hashString(`${seed}:${geoId}`));
+    for (let d = 0; d < draws; d++) {
+      const simulated = roundCells(allocateDistrictCells(perturbRow(row, rng), { ipf, universe, scheme }).cells, rounding);
+      simulated.forEach((cell, i) => {
+        districtCells[i].draws.push(cell.population);
+      });
+    }
+
+    cells.push(...districtCells);
+    geographies.push(geoId);
+  }
+
+  return {
+    year,
+    universe,
+    seed,
+    draws,
+    rounding,
+    geoType,
+    recodeScheme,
+    geographies,
+    skipped,
+    cells
+  };
+}
+
+module.exports = {
+  simulateDraws,
+  perturbRow,
+  createRng,
+  hashString
+};
@@ -0,0 +1,204 @@
+/**
+ * Small Cells
+ *
+ * Cell populations are stored unrounded: on a fine grid many cells hold a
+ * fraction of a person, and rounding them to 0 would drop them and leave
+ * holes in the frame. Around that:
+ * - smoothing (optional): shrinks a small geography's cell shares toward
+ *   its state's or census region's, steadying cells whose raked estimates
+ *   rest on a handful of ACS respondents
+ * - zero cells: dropped by default, or kept so every geography has the
+ *   full dimension grid
+ * - controlled rounding: whole-number populations that keep each
+ *   geography's total, for consumers that need integers
+ */
+
+/**
+ * What smoothing shrinks a geography's cell shares toward
+ */
+const SMOOTHING_LEVELS = {
+  none: 'No smoothing (raked shares as estimated)',
+  state: 'Shares of all geographies in the same state',
+  region: 'Shares of all geographies in the same census region'
+};
+
+/**
+ * How populations are returned to consumers
+ */
+const ROUNDING_MODES = {
+  none: 'Unrounded populations, as stored',
+  controlled: 'Whole people, rounded so each geography keeps its (rounded) total'
+};
+
+/**
+ * Small-cell settings for a build
+ *
+ * Defaults come from the environment:
+ * - SMOOTHING: none (default), state or region
+ * - SMOOTHING_STRENGTH: people the prior shares count as (default 5000);
+ *   a geography of N people keeps N / (N + strength) of its own shares
+ * - ZERO_CELLS: drop (default) or keep
+ *
+ * @param {Object} [overrides] - { smoothing, smoothingStrength, zeroCells }
+ * @returns {Object} { smoothing, smoothingStrength, zeroCells }
+ * @throws {Error} If a setting is not valid
+ */
+function smallCellSettings(overrides = {}) {
+  const settings = {
+    smoothing: process.env.SMOOTHING || 'none',
+    smoothingStrength: process.env.SMOOTHING_STRENGTH !== undefined ? Number(process.env.SMOOTHING_STRENGTH) : 5000,
+    zeroCells: process.env.ZERO_CELLS || 'drop',
+    ...overrides
+  };
+
+  if (!Object.prototype.hasOwnProperty.call(SMOOTHING_LEVELS, settings.smoothing)) {
+    throw new Error(`SMOOTHING must be one of ${Object.keys(SMOOTHING_LEVELS).join(', ')} (got "${settings.smoothing}")`);
+  }
+  if (!(settings.smoothingStrength > 0) || !Number.isFinite(settings.smoothingStrength)) {
+    throw new Error(`SMOOTHING_STRENGTH must be a positive number of people (got "${settings.smoothingStrength}")`);
+  }
+  if (!['drop', 'keep'].includes(settings.zeroCells)) {
+    throw new Error(`ZERO_CELLS must be drop or keep (got "${settings.zeroCells}")`);
+  }
+
+  return settings;
+}
+
+/**
+ * Shrink each geography's cell shares toward its state's or region's
+ *
+ * The prior shares are those of all the geographies in the group (the
+ * geography itself included). A geography of N people gets
+ * w = strength / (N + strength) of the prior: each cell becomes
+ * N × ((1 − w) × own share + w × prior share), so its total is unchanged
+ * and large geographies barely move. Standard errors are left as raked.
+ *
+ * @param {Array<Object>} geographies - [{ geoId, state, censusRegion, cells }], cells on the full grid
+ * @param {Object} settings - From smallCellSettings
+ * @param {Function} cellKey - Cell → key of its dimension levels
+ * @returns {Object} { geographies: same shape with smoothed cells, summary: { geographiesSmoothed, meanWeight, maxWeight: { geoId, population, weight } } }
+ */
+function smoothGeographies(geographies, settings, cellKey) {
+  const { smoothing, smoothingStrength } = settings;
+  if (smoothing === 'none') {
+    return { geographies, summary: null };
+  }
+
+  const groupOf = geography => (smoothing === 'state' ? geography.state : geography.censusRegion);
+  const total = cells => cells.reduce((sum, cell) => sum + cell.population, 0);
+
+  // Group → { population, cells: Map(cell key → population) }
+  const priors = new Map();
+  for (const geography of geographies) {
+    const group = groupOf(geography);
+    const prior = priors.get(group) || { population: 0, cells: new Map() };
+    for (const cell of geography.cells) {
+      const key = cellKey(cell);
+      prior.cells.set(key, (prior.cells.get(key) || 0) + cell.population);
+      prior.population += cell.population;
+    }
+    priors.set(group, prior);
+  }
+
+  let weightSum = 0;
+  let maxWeight = null;
+  const smoothed = geographies.map(geography => {
+    const population = total(geography.cells);
+    const prior = priors.get(groupOf(geography));
+    if (population <= 0 || prior.population <= 0) {
+      return geography;
+    }
+
+    const weight = smoothingStrength / (population + smoothingStrength);
+    weightSum += weight;
+    if (!maxWeight || weight > maxWeight.weight) {
+      maxWeight = { geoId: geography.geoId, population, weight };
+    }
+
+    return {
+      ...geography,
+      cells: geography.cells.map(cell => ({
+        ...cell,
+        population: population * ((1 - weight) * cell.population / population + weight * (prior.cells.get(cellKey(cell)) || 0) / prior.population)
+      }))
+    };
+  });
+
+  const count = geographies.filter(geography => total(geography.cells) > 0).length;
+  return {
+    geographies: smoothed,
+    summary: {
+      geographiesSmoothed: count,
+      meanWeight: count > 0 ? weightSum / count : null,
+      maxWeight
+    }
+  };
+}
+
+/**
+ * Round values to whole numbers whose sum is the rounded sum of the values
+ *
+ * Largest remainder: every value is rounded down, then the units still
+ * needed go to the values with the largest fractional parts (earlier
+ * values first on ties). No value moves by a whole unit or more.
+ *
+ * @param {Array<number>} values - Non-negative values
+ * @returns {Array<number>} Whole numbers, in the same order
+ */
+function controlledRound(values) {
+  const floors = values.map(value => Math.floor(value));
+  const target = Math.round(values.reduce((sum, value) => sum + value, 0));
+  let remaining = target - floors.reduce((sum, value) => sum + value, 0);
+
+  const order = values
+    .map((value, i) => ({ i, remainder: value - floors[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (const { i } of order) {
+    if (remaining <= 0) break;
+    floors[i]++;
+    remaining--;
+  }
+
+  return floors;
+}
+
+/**
+ * Apply a rounding mode to cells
+ *
+ * Controlled rounding works geography by geography, so each geography's
+ * cells sum to its rounded total; cells that round to 0 are kept.
+ *
+ * @param {Array<Object>} cells - Cells with population
+ * @param {string} rounding - Key of ROUNDING_MODES
+ * @returns {Array<Object>} Cells (copies when rounded), in the same order
+ */
+function roundCells(cells, rounding) {
+  if (rounding !== 'controlled') {
+    return cells;
+  }
+
+  const byGeography = new Map();
+  cells.forEach((cell, i) => {
+    const indexes = byGeography.get(cell.geoId) || [];
+    indexes.push(i);
+    byGeography.set(cell.geoId, indexes);
+  });
+
+  const rounded = [...cells];
+  for (const indexes of byGeography.values()) {
+    const populations = controlledRound(indexes.map(i => cells[i].population));
+    indexes.forEach((i, k) => {
+      rounded[i] = { ...cells[i], population: populations[k] };
+    });
+  }
+  return rounded;
+}
+
+module.exports = {
+  SMOOTHING_LEVELS,
+  ROUNDING_MODES,
+  smallCellSettings,
+  smoothGeographies,
+  controlledRound,
+  roundCells
+};
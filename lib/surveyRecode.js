@@ -0,0 +1,285 @@
+/**
+ * Survey Recoding
+ *
+ * The survey side of the recodes in recodeHelpers.js: maps raw CES and
+ * ANES variable codings onto the same RECODE_SPECS levels the frame uses,
+ * so respondents and cells line up exactly at the modeling stage. Values
+ * that do not map cleanly (refusals, non-binary gender, ages under 18,
+ * unknown codes) are rejected rather than guessed.
+ *
+ * Each coding lists, per dimension, the survey columns it reads and a
+ * recode function. Column names can be overridden per request since they
+ * drift between survey years.
+ */
+
+const { RECODE_SPECS, fipsToState } = require('./recodeHelpers');
+
+/**
+ * Recode a value through a code table
+ *
+ * Accepts the numeric code or its label (case-insensitive), since exports
+ * from Stata/SPSS may carry either. Rows with a null level are known codes
+ * that have no RECODE_SPECS level.
+ *
+ * @param {Array<Array>} rows - [[code, label, level|null], ...]
+ * @returns {Function} value → { value } or { error }
+ */
+function codeTable(rows) {
+  return (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return { error: 'missing' };
+    }
+    if (Number(value) < 0) {
+      return { error: 'missing-data code (e.g., refused or don\'t know)' };
+    }
+    const text = String(value).trim().toLowerCase();
+    const row = rows.find(([code, label]) => String(code) === text || label.toLowerCase() === text);
+    if (!row) {
+      return { error: 'not a recognized code' };
+    }
+    if (row[2] === null) {
+      return { error: `"${row[1]}" has no RECODE_SPECS level` };
+    }
+    return { value: row[2] };
+  };
+}
+
+/**
+ * 6-category age group for an age in years (same cut points as ageVariables)
+ *
+ * @param {number} age - Age in years
+ * @returns {Object} { value } or { error }
+ */
+function ageGroupFromAge(age) {
+  if (!Number.isFinite(age)) return { error: 'not a number' };
+  if (age < 18) return { error: `age ${age} is under 18 (outside the frame)` };
+  if (age <= 24) return { value: '18-24' };
+  if (age <= 34) return { value: '25-34' };
+  if (age <= 44) return { value: '35-44' };
+  if (age <= 54) return { value: '45-54' };
+  if (age <= 64) return { value: '55-64' };
+  return { value: '65+' };
+}
+
+/**
+ * Numeric survey value; blank and negative (missing-data) codes are errors
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null if missing
+ */
+function numericValue(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Survey codings
+ *
+ * CES (Cooperative Election Study) common content, 2018 onward:
+ * - birthyr: birth year (age = surveyYear - birthyr)
+ * - gender4 (2022+) or gender: 1 Man/Male, 2 Woman/Female
+ * - educ: 1 No HS ... 6 Post-grad (2-year degrees are Some College, as in
+ *   the Census C15002 recode)
+ * - race + hispanic: Hispanic origin prioritized; Middle Eastern is White,
+ *   as in Census race tabulations
+ * - inputstate: state FIPS
+ *
+ * ANES time series (2020 variable names):
+ * - V201507x: age (80 = 80 or older)
+ * - V201600: sex
+ * - V201511x: education summary
+ * - V201549x: race/ethnicity summary (code 4 combines Asian with Native
+ *   Hawaiian / Pacific Islander, which the frame counts as Other, so it is
+ *   rejected)
+ */
+const SURVEY_CODINGS = {
+  ces: {
+    label: 'Cooperative Election Study (CES/CCES)',
+    idColumn: 'caseid',
+    needsSurveyYear: true,
+    dimensions: {
+      ageGroup: {
+        columns: ['birthyr'],
+        recode: ({ birthyr }, { surveyYear }) => {
+          const year = numericValue(birthyr);
+          if (year === null) return { error: 'missing' };
+          return ageGroupFromAge(surveyYear - year);
+        }
+      },
+      sex: {
+        columns: ['gender4', 'gender'], // gender4 replaced gender in 2022
+        recode: ({ gender4, gender }) => codeTable([
+          [1, 'Man', 'Male'],
+          [2, 'Woman', 'Female'],
+          [3, 'Non-binary', null],
+          [4, 'Other', null],
+          ['Male', 'Male', 'Male'],
+          ['Female', 'Female', 'Female']
+        ])(gender4 !== undefined ? gender4 : gender)
+      },
+      education: {
+        columns: ['educ'],
+        recode: ({ educ }) => codeTable([
+          [1, 'No HS', 'Less Than HS'],
+          [2, 'High school graduate', 'High School'],
+          [3, 'Some college', 'Some College'],
+          [4, '2-year', 'Some College'],
+          [5, '4-year', 'BA/BS'],
+          [6, 'Post-grad', 'Post-Grad']
+        ])(educ)
+      },
+      raceEth: {
+        columns: ['race', 'hispanic'],
+        recode: ({ race, hispanic }) => {
+          const origin = hispanic === undefined || String(hispanic).trim() === ''
+            ? { value: null }
+            : codeTable([[1, 'Yes', true], [2, 'No', false]])(hispanic);
+          if (origin.error) return { error: `hispanic ${origin.error}` };
+
+          const result = codeTable([
+            [1, 'White', 'White'],
+            [2, 'Black', 'Black'],
+            [3, 'Hispanic', 'Hispanic'],
+            [4, 'Asian', 'Asian'],
+            [5, 'Native American', 'Other'],
+            [6, 'Two or more races', 'Other'],
+            [7, 'Other', 'Other'],
+            [8, 'Middle Eastern', 'White']
+          ])(race);
+          if (result.error) return result;
+          return origin.value ? { value: 'Hispanic' } : result;
+        }
+      }
+    },
+    geography: {
+      columns: ['inputstate'],
+      recode: ({ inputstate }) => {
+        const fips = numericValue(inputstate);
+        if (fips === null) return { value: undefined };
+        try {
+          return { value: { state: fipsToState(String(fips).padStart(2, '0')) } };
+        } catch (error) {
+          return { error: error.message };
+        }
+      }
+    }
+  },
+
+  anes: {
+    label: 'American National Election Studies time series',
+    idColumn: 'V200001',
+    needsSurveyYear: false,
+    dimensions: {
+      ageGroup: {
+        columns: ['V201507x'],
+        recode: ({ V201507x }) => {
+          const age = numericValue(V201507x);
+          if (age === null) return { error: 'missing' };
+          return ageGroupFromAge(age);
+        }
+      },
+      sex: {
+        columns: ['V201600'],
+        recode: ({ V201600 }) => codeTable([
+          [1, 'Male', 'Male'],
+          [2, 'Female', 'Female']
+        ])(V201600)
+      },
+      education: {
+        columns: ['V201511x'],
+        recode: ({ V201511x }) => codeTable([
+          [1, 'Less than high school credential', 'Less Than HS'],
+          [2, 'High school credential', 'High School'],
+          [3, "Some post-high school, no bachelor's degree", 'Some College'],
+          [4, "Bachelor's degree", 'BA/BS'],
+          [5, 'Graduate degree', 'Post-Grad']
+        ])(V201511x)
+      },
+      raceEth: {
+        columns: ['V201549x'],
+        recode: ({ V201549x }) => codeTable([
+          [1, 'White, non-Hispanic', 'White'],
+          [2, 'Black, non-Hispanic', 'Black'],
+          [3, 'Hispanic', 'Hispanic'],
+          [4, 'Asian or Native Hawaiian/other Pacific Islander, non-Hispanic alone', null],
+          [5, 'Native American/Alaska Native or other race, non-Hispanic alone', 'Other'],
+          [6, 'Multiple races, non-Hispanic', 'Other']
+        ])(V201549x)
+      }
+    },
+    geography: null
+  }
+};
+
+/**
+ * Recode raw survey records onto RECODE_SPECS levels
+ *
+ * @param {Array<Object>} records - Raw survey rows
+ * @param {Object} options - { source: "ces"|"anes", surveyYear, columns: { standard name: actual column } }
+ * @returns {Object} { recoded: [{ id, ageGroup, sex, raceEth, education, state? }],
+ *   rejected: [{ row, id, errors: [{ dimension, column, value, message }] }] }
+ */
+function recodeSurvey(records, options) {
+  const { source, surveyYear, columns = {} } = options;
+  const coding = SURVEY_CODINGS[source];
+  const column = name => columns[name] || name;
+  const recoded = [];
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const idValue = record[column(coding.idColumn)];
+    const id = idValue !== undefined && idValue !== '' ? idValue : row;
+    const respondent = { id };
+    const errors = [];
+
+    const steps = Object.entries(coding.dimensions);
+    if (coding.geography) steps.push(['geography', coding.geography]);
+
+    for (const [dimension, spec] of steps) {
+      const values = {};
+      for (const name of spec.columns) {
+        values[name] = record[column(name)];
+      }
+
+      const result = spec.recode(values, { surveyYear });
+      if (result.error) {
+        const present = spec.columns.filter(name => values[name] !== undefined);
+        errors.push({
+          dimension,
+          column: (present.length > 0 ? present : spec.columns).map(column).join(', '),
+          value: present.length > 0 ? present.map(name => values[name]).join(', ') : null,
+          message: result.error
+        });
+      } else if (dimension === 'geography') {
+        Object.assign(respondent, result.value);
+      } else {
+        respondent[dimension] = result.value;
+      }
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ row, id, errors });
+    } else {
+      recoded.push(respondent);
+    }
+  });
+
+  // Every recoded level is a RECODE_SPECS level by construction
+  for (const respondent of recoded) {
+    for (const dimension of Object.keys(coding.dimensions)) {
+      if (!RECODE_SPECS[dimension].levels.includes(respondent[dimension])) {
+        throw new Error(`Survey coding ${source} produced "${respondent[dimension]}", not a ${dimension} level`);
+      }
+    }
+  }
+
+  return { recoded, rejected };
+}
+
+module.exports = {
+  SURVEY_CODINGS,
+  ageGroupFromAge,
+  recodeSurvey
+};
@@ -2,158 +2,928 @@
  * Poststratification Table Builder
  *
  * Cross-tabulates Census ACS data into demographic cells for MRP modeling.
+ * Cells are fitted to the joint ACS tables by iterative proportional
+ * fitting (see ipf.js) rather than assuming independence.
  * Each cell represents a unique combination of:
  * - Age group (6 categories)
  * - Sex (2 categories)
  * - Race/ethnicity (5 categories)
  * - Education (5 categories)
  * - Census region (5 categories derived from state)
- * - Congressional district
+ * - Geography (congressional district by default; see geographies.js)
+ * The age, race and education categories above are those of the default
+ * recode scheme; a build can use any scheme in recode-schemes/ (see
+ * recodeSchemes.js), including schemes that add household income,
+ * marital status or urbanicity as further dimensions.
+ *
+ * Each build is stored as a new table version (see buildRuns.js); readers
+ * always see the current version.
  */
 
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('./db');
+const { rake, DEFAULT_IPF_OPTIONS } = require('./ipf');
 const {
   recodeAge,
-  recodeRace,
-  recodeEducation,
-  getRegion,
-  parseDistrict,
-  RECODE_SPECS
+  recodeAgeMoe,
+  resolveSexAgeEducation,
+  recodeRaceSexAge,
+  recodeRaceSexAgeMoe,
+  recodeRaceAgeTotals,
+  recodeRaceAgeTotalsMoe,
+  recodeRaceSexEducation,
+  recodeCitizenship,
+  recodeCitizenshipMoe,
+  recodeCvapAge,
+  recodeCvapEducation,
+  recodeAgeIncome,
+  recodeAgeIncomeMoe,
+  recodeSexAgeMaritalStatus,
+  recodeSexAgeMaritalStatusMoe,
+  recodeUrbanicity,
+  moeSum,
+  moeProportion,
+  moeProduct,
+  moeToStandardError,
+  MOE_Z,
+  toB15001AgeGroup,
+  toB19037AgeGroup,
+  toB12002AgeGroup,
+  toRaceAgeGroup,
+  toC15002Education,
+  toB29001AgeGroup,
+  toB29002Education,
+  territorySettings,
+  territoryExclusion,
+  getRegion
 } = require('./recodeHelpers');
+const { getScheme, DEFAULT_SCHEME } = require('./recodeSchemes');
+const { parseGeography } = require('./geographies');
+const {
+  createBuildRun,
+  completeBuildRun,
+  failBuildRun,
+  getCurrentBuildRun
+} = require('./buildRuns');
+const { validationTolerances, validateGeography, createValidationReport } = require('./validation');
+const { smallCellSettings, smoothGeographies } = require('./smallCells');
+
+/**
+ * Population universes a frame can be built for
+ * Both can be stored side by side for the same year.
+ */
+const UNIVERSES = {
+  adult: 'All adults 18+ (B01001)',
+  cvap: 'Citizen voting-age population (B05003, B29001, B29002)'
+};
+
+/**
+ * Kinds of frame a table can be
+ * A year can have one of each; derived kinds are built by derivedFrames.js.
+ */
+const FRAME_KINDS = {
+  acs: 'ACS estimates for the year',
+  pooled: 'Weighted average of several years\' frames',
+  interpolated: 'Interpolated between two years\' frames',
+  projected: 'Extrapolated beyond two years\' frames'
+};
+
+/**
+ * Defaults identifying a stored table besides its year
+ */
+const DEFAULT_TABLE = {
+  universe: 'adult',
+  dataset: 'acs1',
+  geoType: 'cd',
+  recodeScheme: DEFAULT_SCHEME,
+  plan: 'acs', // District plan the ACS published; others come from crosswalks.js
+  kind: 'acs' // Frame kind (see FRAME_KINDS)
+};
+
+/**
+ * Identify one stored table
+ *
+ * @param {number} year - ACS year
+ * @param {Object} [table] - { universe, dataset, geoType, recodeScheme, plan, kind } (defaults: adult, acs1, cd, default, acs, acs)
+ * @returns {Object} { year, universe, dataset, geoType, recodeScheme, plan, kind }
+ */
+function tableKey(year, table = {}) {
+  const { universe, dataset, geoType, recodeScheme, plan, kind } = { ...DEFAULT_TABLE, ...table };
+  return { year, universe, dataset, geoType, recodeScheme, plan, kind };
+}
+
+/**
+ * Level specs of the scheme a table or cell was recoded with
+ *
+ * Falls back to the default scheme if the scheme file has since been
+ * removed, so stored tables stay readable.
+ *
+ * @param {string} [name] - Recode scheme name
+ * @returns {Object} RECODE_SPECS-shaped { dimension: { levels, description } }
+ */
+function schemeSpecs(name) {
+  return (getScheme(name) || getScheme(DEFAULT_SCHEME)).specs;
+}
+
+/**
+ * Prisma filter for the cells of a table's current version
+ *
+ * @param {number} year - ACS year
+ * @param {Object} [table] - { universe, dataset, geoType, recodeScheme, plan, kind }
+ * @returns {Promise<Object|null>} Prisma where clause, or null if the table has not been built
+ */
+async function currentCellsWhere(year, table = {}) {
+  const run = await getCurrentBuildRun(year, tableKey(year, table));
+  return run ? { buildRunId: run.id } : null;
+}
+
+/**
+ * Every age × sex × race × education combination (× the scheme's optional
+ * dimensions), in scheme level order
+ *
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Array<Object>} [{ ageGroup, sex, raceEth, education, ...optional dimensions }, ...]
+ */
+function cellGrid(scheme) {
+  const { specs } = scheme;
+  let grid = [];
+  for (const ageGroup of specs.ageGroup.levels) {
+    for (const sex of specs.sex.levels) {
+      for (const raceEth of specs.raceEth.levels) {
+        for (const education of specs.education.levels) {
+          grid.push({ ageGroup, sex, raceEth, education });
+        }
+      }
+    }
+  }
+  for (const dimension of scheme.extraDimensions) {
+    grid = grid.flatMap(cell => specs[dimension].levels.map(level => ({ ...cell, [dimension]: level })));
+  }
+  return grid;
+}
+
+/**
+ * Scale counts to the same distribution over a different total
+ *
+ * @param {Object} counts - { level: count }
+ * @param {number} total - New total
+ * @returns {Object} { level: share × total } (all 0 if counts sum to 0)
+ */
+function scaleToTotal(counts, total) {
+  const sum = Object.values(counts).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(counts).map(([level, count]) => [level, sum > 0 ? (count / sum) * total : 0]));
+}
+
+/**
+ * Education by sex and B15001 age group for one district
+ *
+ * B15001 where the district has it, so 18-24 is raked to its own
+ * education distribution; see resolveSexAgeEducation for the fallback
+ * when an age group's estimates are missing.
+ *
+ * @param {Object} row - Census data row
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { "Female": { counts, moes, sources, education25Plus }, "Male": {...} }
+ */
+function educationByAge(row, scheme) {
+  const result = {};
+  for (const sex of scheme.specs.sex.levels) {
+    result[sex] = resolveSexAgeEducation(row, sex, scheme);
+  }
+  return result;
+}
+
+/**
+ * Raking margins for one district, built from the joint ACS tables
+ *
+ * 1. sexAge (B01001): anchor, all adults
+ * 2. sexAgeEducation (B15001): education by sex and age, 18+
+ * 3. raceSexAge (B01001 race iterations): race by sex and age, 18+
+ * 4. raceSexEducation (C15002 race iterations): race by sex and education, 25+ only
+ *
+ * and, for schemes with optional dimensions:
+ *
+ * 5. ageIncome (B19037): household income by age of householder
+ * 6. sexAgeMaritalStatus (B12002): marital status by sex and age
+ * 7. urbanicity (2020 Census P2): urban and rural population, all ages
+ *
+ * B19037 counts households, so each householder age group's income
+ * distribution is applied to the adults of that age group; urbanicity's
+ * targets are its shares of the anchor's adults. Their association with
+ * race and education (and urbanicity's with age) is whatever the other
+ * margins imply.
+ *
+ * Where a table is coarser than the scheme, margins are keyed by the
+ * scheme's groups for that table (e.g., B15001 45-64).
+ *
+ * An age group whose education comes from a fallback (see educationByAge)
+ * also sets that sex's 25+ totals for raceSexEducation. An age group with
+ * no education source at all is left out of sexAgeEducation, and a 25+
+ * one leaves its sex out of raceSexEducation, whose C15002 counts still
+ * include it.
+ *
+ * @param {Object} row - Census data row
+ * @param {Object} scheme - Compiled recode scheme
+ * @param {Object} [education] - From educationByAge (computed if omitted)
+ * @returns {Array<Object>} Margin definitions for rake()
+ */
+function buildMargins(row, scheme, education = educationByAge(row, scheme)) {
+  const sexAge = {};
+  const sexAgeEducation = {};
+  const raceSexAge = {};
+  const raceSexEducation = {};
+
+  for (const sex of scheme.specs.sex.levels) {
+    for (const [ageGroup, count] of Object.entries(recodeAge(row, sex, scheme))) {
+      sexAge[`${sex}|${ageGroup}`] = count;
+    }
+    for (const [ageGroup, eduCounts] of Object.entries(education[sex].counts)) {
+      for (const [level, count] of Object.entries(eduCounts)) {
+        sexAgeEducation[`${sex}|${ageGroup}|${level}`] = count;
+      }
+    }
+    for (const [raceEth, ageCounts] of Object.entries(recodeRaceSexAge(row, sex, scheme))) {
+      for (const [ageGroup, count] of Object.entries(ageCounts)) {
+        raceSexAge[`${raceEth}|${sex}|${ageGroup}`] = count;
+      }
+    }
+    const usesFallback = Object.values(education[sex].sources).some(source => source !== 'B15001');
+    const raceEducation = usesFallback
+      ? recodeRaceSexEducation(row, sex, scheme, education[sex].education25Plus)
+      : recodeRaceSexEducation(row, sex, scheme);
+    for (const [raceEth, eduCounts] of Object.entries(raceEducation)) {
+      for (const [level, count] of Object.entries(eduCounts)) {
+        raceSexEducation[`${raceEth}|${sex}|${level}`] = count;
+      }
+    }
+  }
+
+  const hasEducation = (c) => education[c.sex].sources[toB15001AgeGroup(c.ageGroup, scheme)] !== 'none';
+  const hasRaceEducation = {};
+  for (const sex of scheme.specs.sex.levels) {
+    hasRaceEducation[sex] = scheme.specs.ageGroup.levels
+      .filter(ageGroup => scheme.ages25Plus[ageGroup])
+      .every(ageGroup => hasEducation({ sex, ageGroup }));
+  }
+
+  const margins = [
+    {
+      name: 'sexAge',
+      key: (c) => `${c.sex}|${c.ageGroup}`,
+      targets: sexAge
+    },
+    {
+      name: 'sexAgeEducation',
+      key: (c) => !hasEducation(c)
+        ? null
+        : `${c.sex}|${toB15001AgeGroup(c.ageGroup, scheme)}|${c.education}`,
+      targets: sexAgeEducation,
+      controlKey: (c) => `${c.sex}|${toB15001AgeGroup(c.ageGroup, scheme)}`
+    },
+    {
+      name: 'raceSexAge',
+      key: (c) => `${c.raceEth}|${c.sex}|${toRaceAgeGroup(c.ageGroup, scheme)}`,
+      targets: raceSexAge,
+      controlKey: (c) => `${c.sex}|${toRaceAgeGroup(c.ageGroup, scheme)}`
+    },
+    {
+      name: 'raceSexEducation',
+      key: (c) => !scheme.ages25Plus[c.ageGroup] || !hasRaceEducation[c.sex]
+        ? null
+        : `${c.raceEth}|${c.sex}|${toC15002Education(c.education, scheme)}`,
+      targets: raceSexEducation,
+      controlKey: (c) => c.sex
+    }
+  ];
+
+  const adults = Object.values(sexAge).reduce((a, b) => a + b, 0);
+
+  if (scheme.specs.income) {
+    const ageIncome = {};
+    const hasHouseholds = {};
+    for (const [ageGroup, incomeCounts] of Object.entries(recodeAgeIncome(row, scheme))) {
+      for (const [income, count] of Object.entries(incomeCounts)) {
+        ageIncome[`${ageGroup}|${income}`] = count;
+      }
+      hasHouseholds[ageGroup] = Object.values(incomeCounts).some(count => count > 0);
+    }
+    margins.push({
+      name: 'ageIncome',
+      // An age group with no sampled householders keeps the other margins' income mix
+      key: (c) => !hasHouseholds[toB19037AgeGroup(c.ageGroup, scheme)]
+        ? null
+        : `${toB19037AgeGroup(c.ageGroup, scheme)}|${c.income}`,
+      targets: ageIncome,
+      controlKey: (c) => toB19037AgeGroup(c.ageGroup, scheme)
+    });
+  }
+
+  if (scheme.specs.maritalStatus) {
+    const sexAgeMaritalStatus = {};
+    const hasStatus = {};
+    for (const sex of scheme.specs.sex.levels) {
+      for (const [ageGroup, statusCounts] of Object.entries(recodeSexAgeMaritalStatus(row, sex, scheme))) {
+        for (const [status, count] of Object.entries(statusCounts)) {
+          sexAgeMaritalStatus[`${sex}|${ageGroup}|${status}`] = count;
+        }
+        hasStatus[`${sex}|${ageGroup}`] = Object.values(statusCounts).some(count => count > 0);
+      }
+    }
+    margins.push({
+      name: 'sexAgeMaritalStatus',
+      key: (c) => !hasStatus[`${c.sex}|${toB12002AgeGroup(c.ageGroup, scheme)}`]
+        ? null
+        : `${c.sex}|${toB12002AgeGroup(c.ageGroup, scheme)}|${c.maritalStatus}`,
+      targets: sexAgeMaritalStatus,
+      controlKey: (c) => `${c.sex}|${toB12002AgeGroup(c.ageGroup, scheme)}`
+    });
+  }
+
+  if (scheme.specs.urbanicity) {
+    margins.push({
+      name: 'urbanicity',
+      key: (c) => c.urbanicity,
+      targets: scaleToTotal(recodeUrbanicity(row, scheme), adults)
+    });
+  }
+
+  return margins;
+}
+
+/**
+ * Raking margins for one district's citizen voting-age population
+ *
+ * The adult table is used as the seed, so its age × sex × race ×
+ * education structure is kept and only citizenship rates are fitted:
+ *
+ * 1. citizenSex (B05003): anchor, adult citizens by sex
+ * 2. citizenRaceSex (B05003 race iterations): adult citizens by race and sex
+ * 3. cvapAge (B29001): CVAP by age (18-44, 45-64, 65+ for the default scheme)
+ * 4. cvapEducation (B29002): CVAP by education
+ *
+ * @param {Object} row - Census data row
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Array<Object>} Margin definitions for rake()
+ */
+function buildCvapMargins(row, scheme) {
+  const citizenSex = {};
+  const citizenRaceSex = {};
+
+  for (const sex of scheme.specs.sex.levels) {
+    const citizenship = recodeCitizenship(row, sex, scheme);
+    citizenSex[sex] = 0;
+    for (const [raceEth, counts] of Object.entries(citizenship)) {
+      citizenRaceSex[`${raceEth}|${sex}`] = counts.citizens;
+      citizenSex[sex] += counts.citizens;
+    }
+  }
+
+  return [
+    {
+      name: 'citizenSex',
+      key: (c) => c.sex,
+      targets: citizenSex
+    },
+    {
+      name: 'citizenRaceSex',
+      key: (c) => `${c.raceEth}|${c.sex}`,
+      targets: citizenRaceSex,
+      controlKey: (c) => c.sex
+    },
+    {
+      name: 'cvapAge',
+      key: (c) => toB29001AgeGroup(c.ageGroup, scheme),
+      targets: recodeCvapAge(row, scheme)
+    },
+    {
+      name: 'cvapEducation',
+      key: (c) => toB29002Education(c.education, scheme),
+      targets: recodeCvapEducation(row, scheme)
+    }
+  ];
+}
+
+/**
+ * Level shares of a scheme's optional dimensions, with their MOEs
+ *
+ * Income shares are within householder age group and marital status
+ * shares within sex and age group. Urbanicity comes from a decennial
+ * census count, so its shares have no sampling error.
+ *
+ * @param {Object} row - Census data row (with ...M variables)
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Array<Function>} One per optional dimension: cell → [share, share MOE]
+ */
+function optionalDimensionShares(row, scheme) {
+  const sharesOf = (counts, moes) => {
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    const totalMoe = moeSum(Object.values(moes));
+    return Object.fromEntries(Object.entries(counts).map(([level, count]) => [
+      level,
+      [total > 0 ? count / total : 0, moeProportion(count, total, moes[level], totalMoe)]
+    ]));
+  };
+
+  const factors = [];
+  if (scheme.specs.income) {
+    const counts = recodeAgeIncome(row, scheme);
+    const moes = recodeAgeIncomeMoe(row, scheme);
+    const byAge = Object.fromEntries(Object.keys(counts).map(ageGroup => [ageGroup, sharesOf(counts[ageGroup], moes[ageGroup])]));
+    factors.push((c) => byAge[toB19037AgeGroup(c.ageGroup, scheme)][c.income]);
+  }
+  if (scheme.specs.maritalStatus) {
+    const bySexAge = {};
+    for (const sex of scheme.specs.sex.levels) {
+      const counts = recodeSexAgeMaritalStatus(row, sex, scheme);
+      const moes = recodeSexAgeMaritalStatusMoe(row, sex, scheme);
+      bySexAge[sex] = Object.fromEntries(Object.keys(counts).map(ageGroup => [ageGroup, sharesOf(counts[ageGroup], moes[ageGroup])]));
+    }
+    factors.push((c) => bySexAge[c.sex][toB12002AgeGroup(c.ageGroup, scheme)][c.maritalStatus]);
+  }
+  if (scheme.specs.urbanicity) {
+    const counts = recodeUrbanicity(row, scheme);
+    const shares = sharesOf(counts, Object.fromEntries(Object.keys(counts).map(level => [level, 0])));
+    factors.push((c) => shares[c.urbanicity]);
+  }
+  return factors;
+}
+
+/**
+ * Approximate standard error for each fitted cell
+ *
+ * A cell is treated as N(sex, age) × P(education | sex, age) ×
+ * P(race | sex, age), using B01001, B15001 and the B01001 race
+ * iterations (the proportions are taken within the scheme's groups for
+ * B15001 and the race iterations where those are coarser), times the
+ * share of each optional dimension's level (see
+ * optionalDimensionShares). MOEs are
+ * combined with the Census Bureau's approximations for sums, proportions
+ * and products, then scaled to the fitted cell size and converted from
+ * 90% MOEs to standard errors.
+ *
+ * @param {Object} row - Census data row (with ...M variables)
+ * @param {Array<Object>} grid - Cell definitions
+ * @param {Array<number>} fitted - Fitted cell populations
+ * @param {Object} scheme - Compiled recode scheme
+ * @param {Object} [education] - From educationByAge (computed if omitted)
+ * @returns {Array<number>} Standard error for each cell
+ */
+function cellStandardErrors(row, grid, fitted, scheme, education = educationByAge(row, scheme)) {
+  const bySex = {};
+  for (const sex of scheme.specs.sex.levels) {
+    const sae = education[sex].counts;
+    const saeMoe = education[sex].moes;
+    const ageTotals = {};
+    const ageTotalMoes = {};
+    for (const ageGroup of Object.keys(sae)) {
+      ageTotals[ageGroup] = Object.values(sae[ageGroup]).reduce((a, b) => a + b, 0);
+      ageTotalMoes[ageGroup] = moeSum(Object.values(saeMoe[ageGroup]));
+    }
+    bySex[sex] = {
+      age: recodeAge(row, sex, scheme),
+      ageMoe: recodeAgeMoe(row, sex, scheme),
+      sae,
+      saeMoe,
+      ageTotals,
+      ageTotalMoes,
+      educationSources: education[sex].sources,
+      raceAgeTotals: recodeRaceAgeTotals(row, sex, scheme),
+      raceAgeTotalMoes: recodeRaceAgeTotalsMoe(row, sex, scheme),
+      rsa: recodeRaceSexAge(row, sex, scheme),
+      rsaMoe: recodeRaceSexAgeMoe(row, sex, scheme)
+    };
+  }
+  const optionalShares = optionalDimensionShares(row, scheme);
+
+  return grid.map((cell, i) => {
+    const t = bySex[cell.sex];
+    const b15Age = toB15001AgeGroup(cell.ageGroup, scheme);
+    const raceAge = toRaceAgeGroup(cell.ageGroup, scheme);
+
+    const n = t.age[cell.ageGroup];
+    const nMoe = t.ageMoe[cell.ageGroup];
+
+    // No education source: education is spread evenly, with no ACS error to add
+    const eduCount = t.sae[b15Age][cell.education];
+    const eduTotal = t.ageTotals[b15Age];
+    const pEdu = t.educationSources[b15Age] === 'none' ? 1 : (eduTotal > 0 ? eduCount / eduTotal : 0);
+    const pEduMoe = t.educationSources[b15Age] === 'none'
+      ? 0
+      : moeProportion(eduCount, eduTotal, t.saeMoe[b15Age][cell.education], t.ageTotalMoes[b15Age]);
+
+    const raceCount = t.rsa[cell.raceEth][raceAge];
+    const raceTotal = t.raceAgeTotals[raceAge];
+    const pRace = raceTotal > 0 ? raceCount / raceTotal : 0;
+    const pRaceMoe = moeProportion(raceCount, raceTotal, t.rsaMoe[cell.raceEth][raceAge], t.raceAgeTotalMoes[raceAge]);
+
+    const factors = [[n, nMoe], [pEdu, pEduMoe], [pRace, pRaceMoe], ...optionalShares.map(share => share(cell))];
+    const approx = factors.reduce((product, [estimate]) => product * estimate, 1);
+    const moe = moeProduct(factors);
+    const scale = approx > 0 ? fitted[i] / approx : 1;
+
+    return moeToStandardError(moe) * scale;
+  });
+}
+
+/**
+ * Approximate standard error for each CVAP cell
+ *
+ * A CVAP cell is treated as adult cell × P(citizen | race, sex), with the
+ * citizenship proportion's MOE from B05003 and its race iterations.
+ *
+ * @param {Object} row - Census data row (with ...M variables)
+ * @param {Array<Object>} grid - Cell definitions
+ * @param {Array<number>} adults - Fitted adult cell populations
+ * @param {Array<number>} adultErrors - Adult cell standard errors
+ * @param {Array<number>} fitted - Fitted CVAP cell populations
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Array<number>} Standard error for each cell
+ */
+function cvapStandardErrors(row, grid, adults, adultErrors, fitted, scheme) {
+  const bySex = {};
+  for (const sex of scheme.specs.sex.levels) {
+    bySex[sex] = {
+      counts: recodeCitizenship(row, sex, scheme),
+      moes: recodeCitizenshipMoe(row, sex, scheme)
+    };
+  }
+
+  return grid.map((cell, i) => {
+    const counts = bySex[cell.sex].counts[cell.raceEth];
+    const moes = bySex[cell.sex].moes[cell.raceEth];
+    const pCitizen = counts.adults > 0 ? counts.citizens / counts.adults : 0;
+    const pCitizenMoe = moeProportion(counts.citizens, counts.adults, moes.citizens, moes.adults);
+    const adultMoe = adultErrors[i] * MOE_Z;
+
+    const approx = adults[i] * pCitizen;
+    const moe = moeProduct([[adults[i], adultMoe], [pCitizen, pCitizenMoe]]);
+    const scale = approx > 0 ? fitted[i] / approx : 1;
+
+    return moeToStandardError(moe) * scale;
+  });
+}
+
+/**
+ * Allocate one district's population across demographic cells
+ *
+ * Starts from a uniform seed and rakes it to every joint margin, so
+ * age, race and education are no longer assumed independent. For the
+ * CVAP universe the fitted adult table is then raked to the citizenship
+ * margins.
+ *
+ * @param {Object} row - Census data row
+ * @param {Object} [options] - { ipf: { maxIterations, tolerance }, universe: "adult" | "cvap", scheme: compiled recode scheme (default scheme if omitted) }
+ * @returns {Object} { cells: [{ ageGroup, sex, raceEth, education, population, standardError }], fit, educationSources: { sex: { B15001 age group: source } } }
+ */
+function allocateDistrictCells(row, options = {}) {
+  const { ipf = {}, universe = 'adult', scheme = getScheme(DEFAULT_SCHEME) } = options;
+
+  const grid = cellGrid(scheme);
+  const seed = grid.map(() => 1);
+  const education = educationByAge(row, scheme);
+  const adultFit = rake(grid, seed, buildMargins(row, scheme, education), ipf);
+  const adultErrors = cellStandardErrors(row, grid, adultFit.weights, scheme, education);
+
+  let fit = adultFit;
+  let standardErrors = adultErrors;
+  let margins = adultFit.margins;
+
+  if (universe === 'cvap') {
+    fit = rake(grid, adultFit.weights, buildCvapMargins(row, scheme), ipf);
+    standardErrors = cvapStandardErrors(row, grid, adultFit.weights, adultErrors, fit.weights, scheme);
+    margins = { ...adultFit.margins, ...fit.margins };
+  }
+
+  return {
+    cells: grid.map((cell, i) => ({
+      ...cell,
+      population: fit.weights[i],
+      standardError: standardErrors[i]
+    })),
+    fit: {
+      converged: adultFit.converged && fit.converged,
+      iterations: universe === 'cvap' ? adultFit.iterations + fit.iterations : fit.iterations,
+      margins
+    },
+    educationSources: Object.fromEntries(Object.entries(education).map(([sex, { sources }]) => [sex, sources]))
+  };
+}
 
-const prisma = new PrismaClient();
+/**
+ * Fold one district's fit into the build-wide convergence summary
+ *
+ * @param {Object} summary - Running summary (modified in place)
+ * @param {string} geoId - Geography ID (e.g., "TX-32")
+ * @param {Object} fit - Fit result from allocateDistrictCells
+ */
+function recordFit(summary, geoId, fit) {
+  if (fit.converged) {
+    summary.districtsConverged++;
+  } else {
+    summary.districtsNotConverged.push(geoId);
+  }
+  summary.maxIterationsUsed = Math.max(summary.maxIterationsUsed, fit.iterations);
+
+  for (const [name, deviation] of Object.entries(fit.margins)) {
+    const worst = summary.margins[name] || { maxAbsDeviation: 0, maxRelDeviation: 0, worstDistrict: null };
+    if (deviation.maxAbsDeviation > worst.maxAbsDeviation) {
+      worst.maxAbsDeviation = deviation.maxAbsDeviation;
+      worst.worstDistrict = geoId;
+    }
+    worst.maxRelDeviation = Math.max(worst.maxRelDeviation, deviation.maxRelDeviation);
+    summary.margins[name] = worst;
+  }
+}
 
 /**
  * Build poststratification table from Census ACS data
  *
+ * Long-running callers can pass onProgress({ phase, current, total }),
+ * called per geography while recoding and per batch while storing, and an
+ * AbortSignal checked between geographies and between stored batches.
+ *
+ * Cells are written to a new build run that becomes the table's current
+ * version only after every batch is stored. If storing fails or is
+ * cancelled, the run's cells are deleted and the previous version stays
+ * current.
+ *
+ * Every geography is validated against its ACS control totals (see
+ * validation.js). A build whose report exceeds the tolerances fails before
+ * storing; its run is kept, as failed, with the report.
+ *
+ * Geographies whose education by age did not come entirely from B15001
+ * are listed in the statistics' educationFallbacks, with the source used
+ * for each affected sex and age group.
+ *
+ * DC and Puerto Rico are included, excluded or assigned a census region
+ * per territorySettings (options.territories overrides the environment).
+ * Every geography left out of the table, excluded or failed, is listed in
+ * the statistics' skippedGeographies with the reason.
+ *
+ * Populations are stored unrounded. Smoothing toward state or region
+ * shares and keeping zero cells follow smallCellSettings
+ * (options.smallCells overrides the environment). Geographies are only
+ * held until the end of recoding when smoothing is on. Validation checks
+ * the adult totals of the cells as stored and the race and education
+ * totals of the raked frame (see validateGeography).
+ *
+ * options.variableCheck, the check of the Census variable codes against
+ * the year's metadata (see variableMetadata.js), is recorded in the
+ * statistics as variables.
+ *
  * @param {number} year - ACS year (e.g., 2023, 2022)
- * @param {Array} censusData - Array of district-level Census data
+ * @param {Array} censusData - Array of geography-level Census data
+ * @param {Object} [options] - { ipf: { maxIterations, tolerance }, validation: tolerance overrides, territories: { DC, PR }, smallCells: { smoothing, smoothingStrength, zeroCells }, variableCheck, universe, dataset, geoType, recodeScheme, onProgress, signal, jobId }
  * @returns {Promise<Object>} Build statistics
  */
-async function buildPoststratTable(year, censusData) {
-  console.log(`Building poststrat table for ${year}...`);
+async function buildPoststratTable(year, censusData, options = {}) {
+  const { universe, dataset, geoType, recodeScheme } = { ...DEFAULT_TABLE, ...options };
+  const { onProgress, signal } = options;
+  const scheme = getScheme(recodeScheme);
+  if (!scheme) {
+    throw new Error(`Unknown recode scheme: ${recodeScheme}`);
+  }
+  console.log(`Building ${universe} ${dataset} poststrat table for ${year} (${geoType}, ${recodeScheme} recode scheme)...`);
 
-  const cells = [];
+  const ipfOptions = { ...DEFAULT_IPF_OPTIONS, ...options.ipf };
+  const territories = territorySettings(options.territories);
+  const smallCells = smallCellSettings(options.smallCells);
+  const validation = createValidationReport(validationTolerances(options.validation));
+  const cellKey = cell => scheme.cellDimensions.map(dimension => cell[dimension]).join('|');
+  const educationFallbacks = [];
   let skippedDistricts = 0;
 
-  for (const row of censusData) {
+  // Geographies waiting for smoothing, which needs their state's or region's shares
+  const unsmoothed = [];
+  const cells = [];
+  let zeroCells = 0;
+
+  /**
+   * Drop (or zero) a geography's empty cells, validate what is stored and
+   * add it to the table
+   *
+   * @param {Object} row - Census data row
+   * @param {string} geoId - Geography ID
+   * @param {Array<Object>} fitted - Raked cells
+   * @param {Array<Object>} final - Cells after any smoothing
+   */
+  const storeGeography = (row, geoId, fitted, final) => {
+    const stored = [];
+    for (const cell of final) {
+      if (cell.population > 0) {
+        stored.push(cell);
+      } else {
+        zeroCells++;
+        if (smallCells.zeroCells === 'keep') {
+          stored.push({ ...cell, population: 0 });
+        }
+      }
+    }
+    validation.add(validateGeography(row, { geoId, fitted, stored }, { universe, scheme }));
+    for (const cell of stored) {
+      cells.push(cell);
+    }
+  };
+
+  const convergence = {
+    ...ipfOptions,
+    districtsConverged: 0,
+    districtsNotConverged: [],
+    maxIterationsUsed: 0,
+    margins: {}
+  };
+
+  for (const [index, row] of censusData.entries()) {
+    // Raking is synchronous: yield between geographies so cancellation,
+    // progress writes and other requests are served during a long build
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    if (onProgress) {
+      onProgress({ phase: 'recoding', current: index + 1, total: censusData.length });
+    }
+
+    let geoId = null;
     try {
-      // Parse district info
-      const { state, cd } = parseDistrict(row);
-
-      // Get census region from state
-      const censusRegion = getRegion(state);
-
-      // Recode demographics
-      const raceCounts = recodeRace(row);
-      const educationCounts = recodeEducation(row);
-
-      // Process each sex
-      for (const sex of ['Female', 'Male']) {
-        const ageCounts = recodeAge(row, sex);
-
-        // Cross-tabulate: age × race × education
-        for (const [ageGroup, ageCount] of Object.entries(ageCounts)) {
-          for (const [raceEth, raceCount] of Object.entries(raceCounts)) {
-            for (const [education, eduCount] of Object.entries(educationCounts)) {
-
-              // Calculate population for this cell
-              // Proportional allocation: (age%) × (race%) × (edu%)
-              const totalAge = Object.values(ageCounts).reduce((a, b) => a + b, 0);
-              const totalRace = Object.values(raceCounts).reduce((a, b) => a + b, 0);
-              const totalEdu = Object.values(educationCounts).reduce((a, b) => a + b, 0);
-
-              if (totalAge === 0 || totalRace === 0 || totalEdu === 0) {
-                continue; // Skip if no population data
-              }
-
-              // Proportional allocation
-              const ageProp = ageCount / totalAge;
-              const raceProp = raceCount / totalRace;
-              const eduProp = eduCount / totalEdu;
-
-              // Estimated cell population
-              const population = Math.round(totalAge * ageProp * raceProp * eduProp);
-
-              // Only store cells with population > 0
-              if (population > 0) {
-                cells.push({
-                  year,
-                  state,
-                  cd,
-                  ageGroup,
-                  sex,
-                  raceEth,
-                  education,
-                  censusRegion,
-                  population
-                });
-              }
-            }
+      // Parse geography info
+      const parsed = parseGeography(row, geoType);
+      const { state } = parsed;
+      geoId = parsed.geoId;
+
+      const excluded = territoryExclusion(state, territories);
+      if (excluded) {
+        validation.addSkipped(row.NAME, excluded, geoId);
+        skippedDistricts++;
+        continue;
+      }
+      const censusRegion = getRegion(state, territories);
+
+      // Rake age × sex × race × education (× optional dimensions) to the joint ACS margins
+      const allocation = allocateDistrictCells(row, { ipf: ipfOptions, universe, scheme });
+      recordFit(convergence, geoId, allocation.fit);
+
+      const fallbackGroups = {};
+      for (const [sex, sources] of Object.entries(allocation.educationSources)) {
+        for (const [ageGroup, source] of Object.entries(sources)) {
+          if (source !== 'B15001') {
+            fallbackGroups[`${sex}|${ageGroup}`] = source;
           }
         }
       }
+      if (Object.keys(fallbackGroups).length > 0) {
+        educationFallbacks.push({ geoId, groups: fallbackGroups });
+      }
 
-      if (cells.length % 10000 === 0) {
-        console.log(`Processed ${cells.length} cells so far...`);
+      // The full grid, unrounded; zero cells are dropped after any smoothing
+      const grid = allocation.cells.map(cell => ({
+        year,
+        dataset,
+        universe,
+        geoType,
+        recodeScheme,
+        geoId,
+        state,
+        ageGroup: cell.ageGroup,
+        sex: cell.sex,
+        raceEth: cell.raceEth,
+        education: cell.education,
+        ...Object.fromEntries(scheme.extraDimensions.map(dimension => [dimension, cell[dimension]])),
+        censusRegion,
+        population: cell.population,
+        standardError: cell.standardError
+      }));
+      if (smallCells.smoothing === 'none') {
+        storeGeography(row, geoId, allocation.cells, grid);
+      } else {
+        unsmoothed.push({ geoId, state, censusRegion, cells: grid, row, fitted: allocation.cells });
       }
 
     } catch (error) {
       console.error(`Error processing district ${row.NAME}:`, error.message);
+      validation.addSkipped(row.NAME, error.message, geoId);
       skippedDistricts++;
     }
   }
 
+  const smoothed = smoothGeographies(unsmoothed, smallCells, cellKey);
+  for (const { row, geoId, fitted, cells: final } of smoothed.geographies) {
+    storeGeography(row, geoId, fitted, final);
+  }
+
   console.log(`Generated ${cells.length} cells from ${censusData.length - skippedDistricts} districts`);
+  if (convergence.districtsNotConverged.length > 0) {
+    console.warn(`IPF did not converge for ${convergence.districtsNotConverged.length} districts`);
+  }
 
-  // Store cells in database (batch upsert for efficiency)
-  console.log('Storing cells in database...');
+  const report = validation.finish();
+  const run = await createBuildRun(year, { universe, dataset, geoType, recodeScheme, plan: DEFAULT_TABLE.plan, kind: DEFAULT_TABLE.kind }, { jobId: options.jobId });
+
+  if (!report.passed) {
+    const reason = `Validation failed: ${report.failures.join('; ')}`;
+    await failBuildRun(run.id, reason, report);
+    console.warn(`Build run ${run.id}: ${reason}`);
+    throw new Error(`${reason} (see GET /api/build-runs/${run.id}/validation)`);
+  }
 
+  // Store cells in a new table version
+  console.log('Storing cells in database...');
   const batchSize = 5000;
   let storedCount = 0;
 
-  for (let i = 0; i < cells.length; i += batchSize) {
-    const batch = cells.slice(i, i + batchSize);
+  try {
+    for (let i = 0; i < cells.length; i += batchSize) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+
+      const batch = cells.slice(i, i + batchSize).map(cell => ({ ...cell, buildRunId: run.id }));
 
-    // Use createMany with skipDuplicates to avoid conflicts
-    await prisma.poststratCell.createMany({
-      data: batch,
-      skipDuplicates: true
-    });
+      await prisma.poststratCell.createMany({ data: batch });
+
+      storedCount += batch.length;
+      console.log(`Stored ${storedCount}/${cells.length} cells...`);
 
-    storedCount += batch.length;
-    console.log(`Stored ${storedCount}/${cells.length} cells...`);
+      if (onProgress) {
+        onProgress({ phase: 'storing', current: storedCount, total: cells.length });
+      }
+    }
+  } catch (error) {
+    const reason = signal && signal.aborted ? 'Cancelled' : error.message;
+    await failBuildRun(run.id, reason).catch(cleanupError => {
+      console.error(`Failed to discard build run ${run.id}:`, cleanupError.message);
+    });
+    throw error;
   }
 
-  return {
+  const stats = {
     success: true,
     year,
+    universe,
+    dataset,
+    geoType,
+    recodeScheme,
+    buildRunId: run.id,
+    recodeSpecHash: run.recodeSpecHash,
+    sourceDataset: run.sourceDataset,
     districtsProcessed: censusData.length - skippedDistricts,
     districtsSkipped: skippedDistricts,
+    skippedGeographies: report.skipped,
+    territories,
+    smallCells: {
+      ...smallCells,
+      // Cells with no population, stored or dropped per zeroCells
+      zeroCellCount: zeroCells,
+      ...(smoothed.summary ? { smoothed: smoothed.summary } : {})
+    },
     cellsGenerated: cells.length,
     cellsStored: storedCount,
+    ...(options.variableCheck ? { variables: options.variableCheck } : {}),
+    convergence,
+    educationFallbacks,
+    validation: {
+      passed: report.passed,
+      deviation: report.totals.deviation,
+      roundingLoss: report.rounding.loss,
+      inputProblems: report.inputProblems.length
+    },
     dimensions: {
-      ageGroups: RECODE_SPECS.ageGroup.levels.length,
-      sexes: RECODE_SPECS.sex.levels.length,
-      raceEth: RECODE_SPECS.raceEth.levels.length,
-      education: RECODE_SPECS.education.levels.length,
-      censusRegions: RECODE_SPECS.censusRegion.levels.length
+      ageGroups: scheme.specs.ageGroup.levels.length,
+      sexes: scheme.specs.sex.levels.length,
+      raceEth: scheme.specs.raceEth.levels.length,
+      education: scheme.specs.education.levels.length,
+      ...Object.fromEntries(scheme.extraDimensions.map(dimension => [dimension, scheme.specs[dimension].levels.length])),
+      censusRegions: scheme.specs.censusRegion.levels.length,
+      cellsPerGeography: scheme.cellsPerGeography
     }
   };
+
+  // Atomically make this version current
+  await completeBuildRun(run, { cellCount: storedCount, stats, validation: report });
+  console.log(`Build run ${run.id} is now the current ${universe} ${dataset} table for ${year} (${geoType}, ${recodeScheme} recode scheme)`);
+
+  return stats;
 }
 
 /**
  * Get poststrat table for a specific year
  *
  * @param {number} year - ACS year
+ * @param {Object} [table] - { universe, dataset, geoType, recodeScheme, plan, kind }
  * @returns {Promise<Array>} Array of cells
  */
-async function getPoststratTable(year) {
+async function getPoststratTable(year, table = {}) {
+  const where = await currentCellsWhere(year, table);
+  if (!where) {
+    return [];
+  }
+
   return await prisma.poststratCell.findMany({
-    where: { year },
+    where,
     orderBy: [
       { state: 'asc' },
-      { cd: 'asc' },
+      { geoId: 'asc' },
       { ageGroup: 'asc' },
       { sex: 'asc' },
       { raceEth: 'asc' },
@@ -163,15 +933,80 @@ async function getPoststratTable(year) {
 }
 
 /**
- * Get cells for a specific congressional district
+ * Compare two cells of one table by its recode scheme's level order (not
+ * alphabetically)
+ *
+ * @param {Object} a - Cell
+ * @param {Object} b - Cell
+ * @returns {number} Sort order
+ */
+function compareByFactorOrder(a, b) {
+  const scheme = getScheme(a.recodeScheme) || getScheme(DEFAULT_SCHEME);
+  const specs = scheme.specs;
+  for (const dimension of scheme.cellDimensions) {
+    const levels = specs[dimension].levels;
+    const diff = levels.indexOf(a[dimension]) - levels.indexOf(b[dimension]);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Iterate over the cells of a build run, a few geographies at a time
+ *
+ * Yields arrays of cells ordered by geography ID, then by the recode scheme
+ * level order of age, sex, race, education and any optional dimensions, so a full table can be
+ * streamed without loading every row.
+ *
+ * @param {string} buildRunId - BuildRun ID
+ * @param {Object} [filters] - { states, regions, geoIds } (arrays; all optional)
+ * @param {Object} [options] - { geographiesPerChunk: 50 }
+ * @yields {Array<Object>} Cells for the next chunk of geographies
+ */
+async function* iterateCells(buildRunId, filters = {}, options = {}) {
+  const { geographiesPerChunk = 50 } = options;
+  const where = { buildRunId };
+  if (filters.states) where.state = { in: filters.states };
+  if (filters.regions) where.censusRegion = { in: filters.regions };
+  if (filters.geoIds) where.geoId = { in: filters.geoIds };
+
+  const geographies = await prisma.poststratCell.findMany({
+    where,
+    select: { geoId: true },
+    distinct: ['geoId']
+  });
+  // Sorted here rather than in SQL so the order does not depend on collation
+  const geoIds = geographies.map(g => g.geoId).sort();
+
+  for (let i = 0; i < geoIds.length; i += geographiesPerChunk) {
+    const chunk = geoIds.slice(i, i + geographiesPerChunk);
+    const cells = await prisma.poststratCell.findMany({
+      where: { ...where, geoId: { in: chunk } }
+    });
+
+    const position = new Map(chunk.map((geoId, index) => [geoId, index]));
+    cells.sort((a, b) => position.get(a.geoId) - position.get(b.geoId) || compareByFactorOrder(a, b));
+    yield cells;
+  }
+}
+
+/**
+ * Get cells for a specific geography
  *
  * @param {number} year - ACS year
- * @param {string} cd - Congressional district (e.g., "TX-32")
- * @returns {Promise<Array>} Array of cells for the district
+ * @param {string} geoType - Geography type (e.g., "county")
+ * @param {string} geoId - Geography ID (e.g., "TX-201")
+ * @param {Object} [table] - { universe, dataset, recodeScheme, plan, kind }
+ * @returns {Promise<Array>} Array of cells for the geography
  */
-async function getCellsByDistrict(year, cd) {
+async function getCellsByGeography(year, geoType, geoId, table = {}) {
+  const where = await currentCellsWhere(year, { ...table, geoType });
+  if (!where) {
+    return [];
+  }
+
   return await prisma.poststratCell.findMany({
-    where: { year, cd },
+    where: { ...where, geoId },
     orderBy: [
       { ageGroup: 'asc' },
       { sex: 'asc' },
@@ -181,52 +1016,320 @@ async function getCellsByDistrict(year, cd) {
   });
 }
 
+/**
+ * Get cells for a specific congressional district
+ *
+ * @param {number} year - ACS year
+ * @param {string} cd - Congressional district (e.g., "TX-32")
+ * @param {Object} [table] - { universe, dataset, recodeScheme, plan, kind }
+ * @returns {Promise<Array>} Array of cells for the district
+ */
+async function getCellsByDistrict(year, cd, table = {}) {
+  return getCellsByGeography(year, 'cd', cd, table);
+}
+
+/**
+ * Education by age of one geography's cells, or a geography group's
+ * rolled-up cells, with the ACS source of each sex and B15001 age group's
+ * education targets
+ *
+ * Sources are "B15001" unless the current build recorded a fallback for
+ * the geography (see educationFallbacks in the build statistics). For a
+ * group, a source its members do not share is "mixed", and the members'
+ * fallbacks are listed in memberFallbacks.
+ *
+ * @param {number} year - ACS year
+ * @param {string} geoType - Geography type (of a group's members)
+ * @param {string|Array<string>} geoIds - Geography ID, or a group's member IDs
+ * @param {Array} cells - The geography's cells (from getCellsByGeography or rollUpGroup)
+ * @param {Object} [table] - { universe, dataset, recodeScheme, plan, kind }
+ * @returns {Promise<Object>} { byAge: { ageGroup: { education: share } }, sources: { "Sex|B15001 age group": source }, memberFallbacks (groups only): [{ geoId, groups }] }
+ */
+async function getEducationByAge(year, geoType, geoIds, cells, table = {}) {
+  const key = tableKey(year, { ...table, geoType });
+  const scheme = getScheme(key.recodeScheme) || getScheme(DEFAULT_SCHEME);
+  const run = await getCurrentBuildRun(year, key);
+  const members = new Set([].concat(geoIds));
+  const fallbacks = ((run && run.stats && run.stats.educationFallbacks) || []).filter(entry => members.has(entry.geoId));
+
+  const sources = {};
+  for (const sex of scheme.specs.sex.levels) {
+    for (const ageGroup of Object.keys(scheme.groups.ageGroup.B15001.lines)) {
+      const sourceKey = `${sex}|${ageGroup}`;
+      const used = new Set(fallbacks.map(entry => entry.groups[sourceKey] || 'B15001'));
+      if (fallbacks.length < members.size) {
+        used.add('B15001');
+      }
+      sources[sourceKey] = used.size === 1 ? [...used][0] : 'mixed';
+    }
+  }
+
+  const byAge = {};
+  for (const ageGroup of scheme.specs.ageGroup.levels) {
+    const inGroup = cells.filter(cell => cell.ageGroup === ageGroup);
+    const total = inGroup.reduce((sum, cell) => sum + cell.population, 0);
+    if (total === 0) {
+      continue;
+    }
+    byAge[ageGroup] = {};
+    for (const education of scheme.specs.education.levels) {
+      const count = inGroup
+        .filter(cell => cell.education === education)
+        .reduce((sum, cell) => sum + cell.population, 0);
+      byAge[ageGroup][education] = count / total;
+    }
+  }
+
+  return Array.isArray(geoIds)
+    ? { byAge, sources, memberFallbacks: fallbacks }
+    : { byAge, sources };
+}
+
 /**
  * Get summary statistics for a poststrat table
  *
  * @param {number} year - ACS year
+ * @param {Object} [table] - { universe, dataset, geoType, recodeScheme, plan, kind }
  * @returns {Promise<Object>} Statistics
  */
-async function getTableStats(year) {
-  const totalCells = await prisma.poststratCell.count({ where: { year } });
+async function getTableStats(year, table = {}) {
+  const key = tableKey(year, table);
+  const run = await getCurrentBuildRun(year, key);
+
+  if (!run) {
+    return { ...key, buildRunId: null, totalCells: 0 };
+  }
+
+  const where = { buildRunId: run.id };
+  const totalCells = await prisma.poststratCell.count({ where });
 
   const districts = await prisma.poststratCell.findMany({
-    where: { year },
-    select: { cd: true },
-    distinct: ['cd']
+    where,
+    select: { geoId: true },
+    distinct: ['geoId']
   });
 
   const totalPopulation = await prisma.poststratCell.aggregate({
-    where: { year },
-    _sum: { population: true }
+    where,
+    _sum: { population: true },
+    _avg: { standardError: true }
   });
 
+  // Cell SEs combine like a sum of estimates: sqrt(Σ SE²)
+  const [{ variance }] = await prisma.$queryRaw`
+    SELECT COALESCE(SUM(POWER("standardError", 2)), 0)::float AS variance
+    FROM poststrat_cells
+    WHERE "buildRunId" = ${run.id}
+  `;
+
   return {
-    year,
+    ...key,
+    buildRunId: run.id,
+    builtAt: run.completedAt,
+    ...(run.lineage ? { lineage: run.lineage } : {}),
     totalCells,
     districtsCount: districts.length,
     totalPopulation: totalPopulation._sum.population || 0,
+    totalPopulationSE: Math.sqrt(variance),
+    averageCellSE: totalPopulation._avg.standardError || 0,
     averageCellsPerDistrict: Math.round(totalCells / districts.length)
   };
 }
 
+/**
+ * Dimensions cells can be grouped and filtered by, and their columns
+ * ("cd" is the geography ID of a congressional district table; income,
+ * maritalStatus and urbanicity only exist in schemes that add them)
+ */
+const AGGREGATE_DIMENSIONS = {
+  state: 'state',
+  cd: 'geoId',
+  geoId: 'geoId',
+  censusRegion: 'censusRegion',
+  ageGroup: 'ageGroup',
+  sex: 'sex',
+  raceEth: 'raceEth',
+  education: 'education',
+  income: 'income',
+  maritalStatus: 'maritalStatus',
+  urbanicity: 'urbanicity'
+};
+
+/**
+ * Sum population over groups of cells of a table's current version
+ *
+ * Sums and counts are computed by the database (GROUP BY). Each group's
+ * share is its population over the population of its shareWithin group
+ * (e.g. groupBy raceEth, education with shareWithin raceEth gives the
+ * education distribution within each race), or over the filtered total
+ * if shareWithin is empty.
+ *
+ * With geography groups (see geographyGroups.js), only the groups' members
+ * are counted, each as weight × population in every group it belongs to,
+ * and "group" can be used in groupBy and shareWithin. The database sums by
+ * member; the members are rolled into groups here.
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan, kind }
+ * @param {Object} query - { groupBy: [dimension], shareWithin: [dimension], filters: { dimension: [values] }, groups: [GeographyGroup] (optional) }
+ * @returns {Promise<Object|null>} { buildRunId, totalPopulation, groups: [{ ...dimensions, population, cellCount, share }] }, or null if the table has not been built
+ */
+async function aggregateCells(year, table, query) {
+  const { groupBy = [], shareWithin = [], filters = {}, groups: geographyGroups } = query;
+  const run = await getCurrentBuildRun(year, tableKey(year, table));
+
+  if (!run) {
+    return null;
+  }
+
+  const where = { buildRunId: run.id };
+  for (const [dimension, values] of Object.entries(filters)) {
+    where[AGGREGATE_DIMENSIONS[dimension]] = { in: values };
+  }
+
+  // Member geoId → [{ name, weight }] of the groups it belongs to
+  const membership = new Map();
+  if (geographyGroups) {
+    for (const group of geographyGroups) {
+      for (const { geoId, weight } of group.members) {
+        membership.set(geoId, [...(membership.get(geoId) || []), { name: group.name, weight }]);
+      }
+    }
+    const geoIds = [...membership.keys()];
+    where.geoId = { in: where.geoId ? geoIds.filter(geoId => where.geoId.in.includes(geoId)) : geoIds };
+  }
+
+  const column = dimension => (dimension === 'group' ? 'group' : AGGREGATE_DIMENSIONS[dimension]);
+  const columns = dimensions => [...new Set(dimensions.filter(d => d !== 'group').map(column))];
+  const groupKey = (row, dimensions) => dimensions.map(dimension => row[column(dimension)]).join('|');
+
+  // Sum member rows (grouped by geoId too) into geography groups
+  const rollUp = (rows, dimensions) => {
+    const rolled = new Map();
+    for (const row of rows) {
+      for (const { name, weight } of membership.get(row.geoId)) {
+        const member = { ...row, group: name };
+        const key = groupKey(member, dimensions);
+        const entry = rolled.get(key) || {
+          ...Object.fromEntries(dimensions.map(dimension => [column(dimension), member[column(dimension)]])),
+          _sum: { population: 0 },
+          _count: { _all: 0 }
+        };
+        entry._sum.population += weight * (row._sum.population || 0);
+        entry._count._all += row._count._all;
+        rolled.set(key, entry);
+      }
+    }
+    return [...rolled.values()];
+  };
+
+  const sumBy = async (dimensions) => {
+    if (geographyGroups) {
+      const rows = await prisma.poststratCell.groupBy({
+        by: [...new Set([...columns(dimensions), 'geoId'])],
+        where,
+        _sum: { population: true },
+        _count: { _all: true }
+      });
+      return rollUp(rows, dimensions);
+    }
+
+    if (dimensions.length === 0) {
+      const total = await prisma.poststratCell.aggregate({
+        where,
+        _sum: { population: true },
+        _count: { _all: true }
+      });
+      return [{ _sum: total._sum, _count: total._count }];
+    }
+
+    return prisma.poststratCell.groupBy({
+      by: columns(dimensions),
+      where,
+      _sum: { population: true },
+      _count: { _all: true }
+    });
+  };
+
+  const [rows, parents] = await Promise.all([sumBy(groupBy), sumBy(shareWithin)]);
+
+  const parentPopulation = new Map(
+    parents.map(parent => [groupKey(parent, shareWithin), parent._sum.population || 0])
+  );
+  const totalPopulation = [...parentPopulation.values()].reduce((sum, value) => sum + value, 0);
+
+  const groups = rows.map(row => {
+    const group = {};
+    for (const dimension of groupBy) {
+      group[dimension] = row[column(dimension)];
+    }
+
+    const population = row._sum.population || 0;
+    const parent = parentPopulation.get(groupKey(row, shareWithin)) || 0;
+
+    return {
+      ...group,
+      population,
+      cellCount: row._count._all,
+      share: parent > 0 ? population / parent : null
+    };
+  });
+
+  // Categorical dimensions in scheme level order, geographies alphabetically
+  const specs = schemeSpecs(run.recodeScheme);
+  const rank = (dimension, value) => {
+    const spec = specs[AGGREGATE_DIMENSIONS[dimension]];
+    return spec ? spec.levels.indexOf(value) : value;
+  };
+  groups.sort((a, b) => {
+    for (const dimension of groupBy) {
+      const ra = rank(dimension, a[dimension]);
+      const rb = rank(dimension, b[dimension]);
+      if (ra < rb) return -1;
+      if (ra > rb) return 1;
+    }
+    return 0;
+  });
+
+  return {
+    buildRunId: run.id,
+    totalPopulation,
+    groups
+  };
+}
+
 /**
  * Delete poststrat table for a specific year
  *
+ * Removes every version of every table for the year.
+ *
  * @param {number} year - ACS year
  * @returns {Promise<number>} Number of cells deleted
  */
 async function deleteTable(year) {
-  const result = await prisma.poststratCell.deleteMany({
-    where: { year }
-  });
+  const [result] = await prisma.$transaction([
+    prisma.poststratCell.deleteMany({ where: { year } }),
+    prisma.currentTable.deleteMany({ where: { year } }),
+    prisma.buildRun.deleteMany({ where: { year } })
+  ]);
   return result.count;
 }
 
 module.exports = {
+  UNIVERSES,
+  FRAME_KINDS,
+  DEFAULT_TABLE,
+  schemeSpecs,
   buildPoststratTable,
+  allocateDistrictCells,
   getPoststratTable,
+  iterateCells,
+  compareByFactorOrder,
+  getCellsByGeography,
   getCellsByDistrict,
+  getEducationByAge,
+  AGGREGATE_DIMENSIONS,
+  aggregateCells,
   getTableStats,
   deleteTable
 };
@@ -0,0 +1,316 @@
+/**
+ * Build Validation
+ *
+ * Reconciles a built frame against the ACS control totals it was raked
+ * to, so drift between tables (e.g., B15001 education against B01001 age)
+ * and the population lost with dropped cells are measured instead of
+ * assumed away. Each geography's stored cells are summed and compared
+ * with its ACS adults, and its raked cells with its race and education
+ * totals (see validateGeography); the report also lists geographies with
+ * missing or zero inputs and the rounding loss (stored against raked
+ * population; cells are stored unrounded, so only dropped cells and, for
+ * tables stored before that, rounding add to it).
+ * A build whose report exceeds the tolerances fails.
+ */
+
+const {
+  recodeAge,
+  recodeRaceSexAge,
+  resolveSexAgeEducation,
+  recodeCitizenship,
+  recodeCvapAge,
+  recodeCvapEducation,
+  toB29002Education,
+  toB15001AgeGroup,
+  schemeVariables,
+  urbanicityVariables
+} = require('./recodeHelpers');
+
+// Geographies and level deviations listed in full in a report
+const MAX_LISTED = 20;
+
+/**
+ * Validation tolerances
+ *
+ * Defaults come from the environment:
+ * - VALIDATION_MAX_TOTAL_DEVIATION: largest |frame − ACS| / ACS adults
+ *   for a geography's total (default 0.005)
+ * - VALIDATION_MAX_LEVEL_DEVIATION: largest |frame − ACS| for one race or
+ *   education level, as a share of the geography's ACS adults (default 0.02)
+ * - VALIDATION_MAX_ROUNDING_LOSS: largest |stored − fitted| / fitted
+ *   population over the whole build (default 0.001)
+ * - VALIDATION_MAX_INPUT_PROBLEMS: largest share of geographies with
+ *   missing or zero inputs (default 0.05)
+ *
+ * @param {Object} [overrides] - { maxTotalDeviation, maxLevelDeviation, maxRoundingLoss, maxInputProblems }
+ * @returns {Object} Tolerances
+ */
+function validationTolerances(overrides = {}) {
+  const fromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+  };
+
+  return {
+    maxTotalDeviation: fromEnv('VALIDATION_MAX_TOTAL_DEVIATION', 0.005),
+    maxLevelDeviation: fromEnv('VALIDATION_MAX_LEVEL_DEVIATION', 0.02),
+    maxRoundingLoss: fromEnv('VALIDATION_MAX_ROUNDING_LOSS', 0.001),
+    maxInputProblems: fromEnv('VALIDATION_MAX_INPUT_PROBLEMS', 0.05),
+    ...overrides
+  };
+}
+
+/**
+ * ACS control totals of one geography for a universe
+ *
+ * Adults: B01001 18+ (CVAP: B29001). Race: the B01001 race iterations,
+ * with the residual level (CVAP: B05003 citizens). Education: B15001 18+
+ * by scheme level, with resolveSexAgeEducation's fallback for age groups
+ * B15001 lacks (CVAP: B29002, by the scheme's B29002 groups). Age groups
+ * with no education source are listed in noEducation and left out.
+ *
+ * @param {Object} row - Census data row
+ * @param {string} universe - "adult" or "cvap"
+ * @param {Object} scheme - Compiled recode scheme
+ * @returns {Object} { adults, raceEth: { level: count }, education: { level: count }, noEducation: ["Sex|B15001 age group"] }
+ */
+function controlTotals(row, universe, scheme) {
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const raceEth = {};
+  const education = {};
+  let adults = 0;
+
+  if (universe === 'cvap') {
+    adults = sum(Object.values(recodeCvapAge(row, scheme)));
+    for (const sex of scheme.specs.sex.levels) {
+      for (const [level, counts] of Object.entries(recodeCitizenship(row, sex, scheme))) {
+        raceEth[level] = (raceEth[level] || 0) + counts.citizens;
+      }
+    }
+    Object.assign(education, recodeCvapEducation(row, scheme));
+    return { adults, raceEth, education, noEducation: [] };
+  }
+
+  const noEducation = [];
+  for (const sex of scheme.specs.sex.levels) {
+    adults += sum(Object.values(recodeAge(row, sex, scheme)));
+    for (const [level, byAge] of Object.entries(recodeRaceSexAge(row, sex, scheme))) {
+      raceEth[level] = (raceEth[level] || 0) + sum(Object.values(byAge));
+    }
+    const resolved = resolveSexAgeEducation(row, sex, scheme);
+    for (const [ageGroup, byEducation] of Object.entries(resolved.counts)) {
+      if (resolved.sources[ageGroup] === 'none') {
+        noEducation.push(`${sex}|${ageGroup}`);
+        continue;
+      }
+      for (const [level, count] of Object.entries(byEducation)) {
+        education[level] = (education[level] || 0) + count;
+      }
+    }
+  }
+
+  return { adults, raceEth, education, noEducation };
+}
+
+/**
+ * Missing and zero inputs of one geography
+ *
+ * Missing: a variable the recodes read is absent, empty or a negative
+ * Census annotation code. Zero: no total population or no adults. The
+ * B03002 total (race) should equal the B01001 total (age); a mismatch
+ * means the row's tables do not describe the same population.
+ *
+ * @param {Object} row - Census data row
+ * @param {Object} scheme - Compiled recode scheme
+ * @param {number} adults - ACS adults (see controlTotals)
+ * @returns {Array<string>} Problems (empty if none)
+ */
+function inputProblems(row, scheme, adults) {
+  const problems = [];
+  const codes = [
+    'B01001_001E',
+    'B03002_001E',
+    ...schemeVariables(scheme),
+    ...(scheme.specs.urbanicity ? Object.values(urbanicityVariables(scheme)).flat() : [])
+  ];
+  const missing = codes.filter(code => {
+    const value = row[code];
+    return value === undefined || value === null || value === '' || !(Number(value) >= 0);
+  });
+  if (missing.length > 0) {
+    problems.push(`missing ${missing.length} variable${missing.length > 1 ? 's' : ''} (${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', …' : ''})`);
+  }
+
+  const totalPopulation = parseInt(row.B01001_001E || 0, 10);
+  const raceTotal = parseInt(row.B03002_001E || 0, 10);
+  if (totalPopulation <= 0) {
+    problems.push('zero total population (B01001_001E)');
+  } else if (raceTotal !== totalPopulation) {
+    problems.push(`B03002 total (${raceTotal}) differs from B01001 total (${totalPopulation})`);
+  }
+  if (adults <= 0) {
+    problems.push('zero adults');
+  }
+
+  return problems;
+}
+
+/**
+ * Validate one geography's frame against its ACS control totals
+ *
+ * Two stages are checked. The adult total and the dropped population are
+ * measured on the cells as stored, after smoothing and dropping zero
+ * cells. Race and education levels are measured on the raked frame, since
+ * smoothing moves a geography's composition toward its state's or
+ * region's by design.
+ *
+ * @param {Object} row - Census data row
+ * @param {Object} frame - { geoId, fitted: raked cells from allocateDistrictCells, stored: cells as stored }
+ * @param {Object} options - { universe, scheme }
+ * @returns {Object} Geography entry for the report (see createValidationReport)
+ */
+function validateGeography(row, frame, options) {
+  const { geoId, fitted, stored } = frame;
+  const { universe, scheme } = options;
+  const controls = controlTotals(row, universe, scheme);
+
+  const frameTotals = { raceEth: {}, education: {} };
+  const educationKey = universe === 'cvap'
+    ? cell => toB29002Education(cell.education, scheme)
+    : cell => cell.education;
+  for (const cell of fitted) {
+    frameTotals.raceEth[cell.raceEth] = (frameTotals.raceEth[cell.raceEth] || 0) + cell.population;
+    if (controls.noEducation.includes(`${cell.sex}|${toB15001AgeGroup(cell.ageGroup, scheme)}`)) {
+      continue;
+    }
+    const education = educationKey(cell);
+    frameTotals.education[education] = (frameTotals.education[education] || 0) + cell.population;
+  }
+
+  const sum = cells => cells.reduce((total, cell) => total + cell.population, 0);
+  const fittedPopulation = sum(fitted);
+  const storedAdults = sum(stored);
+  const relative = (difference) => (controls.adults > 0 ? difference / controls.adults : null);
+
+  const levels = [];
+  for (const dimension of ['raceEth', 'education']) {
+    for (const [level, acs] of Object.entries(controls[dimension])) {
+      const difference = (frameTotals[dimension][level] || 0) - acs;
+      levels.push({ dimension, level, acs, frame: frameTotals[dimension][level] || 0, difference, deviation: relative(difference) });
+    }
+  }
+
+  return {
+    geoId,
+    acsAdults: controls.adults,
+    frameAdults: storedAdults,
+    totalDeviation: relative(storedAdults - controls.adults),
+    levels,
+    fittedPopulation,
+    droppedCells: fitted.length - stored.length,
+    inputProblems: inputProblems(row, scheme, controls.adults)
+  };
+}
+
+/**
+ * Create a build's validation report
+ *
+ * @param {Object} tolerances - See validationTolerances
+ * @returns {Object} { add(entry), addSkipped(name, reason, geoId), finish() }
+ */
+function createValidationReport(tolerances) {
+  const geographies = [];
+  const skipped = [];
+
+  /**
+   * Summarize and check against the tolerances
+   *
+   * @returns {Object} { passed, failures, tolerances, totals, rounding, inputProblems, largestTotalDeviations, largestLevelDeviations, geographies, skipped }
+   */
+  const finish = () => {
+    const abs = value => Math.abs(value || 0);
+    const percent = share => `${Number((share * 100).toPrecision(3))}%`;
+    const byDeviation = (a, b) => abs(b.deviation) - abs(a.deviation);
+
+    const acsAdults = geographies.reduce((total, g) => total + g.acsAdults, 0);
+    const frameAdults = geographies.reduce((total, g) => total + g.frameAdults, 0);
+    const fittedPopulation = geographies.reduce((total, g) => total + g.fittedPopulation, 0);
+    const roundingLoss = fittedPopulation > 0 ? (frameAdults - fittedPopulation) / fittedPopulation : 0;
+
+    const withProblems = geographies.filter(g => g.inputProblems.length > 0);
+    const inputProblemShare = geographies.length > 0 ? withProblems.length / geographies.length : 0;
+
+    const overTotal = geographies.filter(g => abs(g.totalDeviation) > tolerances.maxTotalDeviation);
+    const levelDeviations = geographies.flatMap(g => g.levels.map(level => ({ geoId: g.geoId, ...level })));
+    const overLevel = levelDeviations.filter(level => abs(level.deviation) > tolerances.maxLevelDeviation);
+
+    const failures = [];
+    if (geographies.length === 0) {
+      failures.push('No geographies were built');
+    }
+    if (overTotal.length > 0) {
+      failures.push(`${overTotal.length} geograph${overTotal.length > 1 ? 'ies' : 'y'} differ from ACS adults by more than ${percent(tolerances.maxTotalDeviation)}`);
+    }
+    if (overLevel.length > 0) {
+      failures.push(`${overLevel.length} race/education level total${overLevel.length > 1 ? 's' : ''} differ from ACS by more than ${percent(tolerances.maxLevelDeviation)} of adults`);
+    }
+    if (abs(roundingLoss) > tolerances.maxRoundingLoss) {
+      failures.push(`Rounding changed the population by ${percent(roundingLoss)} (tolerance ${percent(tolerances.maxRoundingLoss)})`);
+    }
+    if (inputProblemShare > tolerances.maxInputProblems) {
+      failures.push(`${withProblems.length} of ${geographies.length} geographies have missing or zero inputs (tolerance ${percent(tolerances.maxInputProblems)})`);
+    }
+
+    return {
+      passed: failures.length === 0,
+      failures,
+      tolerances,
+      totals: {
+        geographies: geographies.length,
+        acsAdults,
+        frameAdults,
+        difference: frameAdults - acsAdults,
+        deviation: acsAdults > 0 ? (frameAdults - acsAdults) / acsAdults : null
+      },
+      rounding: {
+        fittedPopulation,
+        storedPopulation: frameAdults,
+        loss: frameAdults - fittedPopulation,
+        relativeLoss: roundingLoss,
+        droppedCells: geographies.reduce((total, g) => total + g.droppedCells, 0)
+      },
+      inputProblems: withProblems.map(g => ({ geoId: g.geoId, problems: g.inputProblems })),
+      largestTotalDeviations: [...geographies]
+        .sort((a, b) => abs(b.totalDeviation) - abs(a.totalDeviation))
+        .slice(0, MAX_LISTED)
+        .map(({ geoId, acsAdults: acs, frameAdults: frame, totalDeviation }) => ({ geoId, acs, frame, deviation: totalDeviation })),
+      largestLevelDeviations: levelDeviations.sort(byDeviation).slice(0, MAX_LISTED),
+      geographies: geographies.map(g => {
+        const worst = [...g.levels].sort(byDeviation)[0];
+        return {
+          geoId: g.geoId,
+          acsAdults: g.acsAdults,
+          frameAdults: g.frameAdults,
+          totalDeviation: g.totalDeviation,
+          maxLevelDeviation: worst ? worst.deviation : null,
+          worstLevel: worst ? `${worst.dimension}: ${worst.level}` : null,
+          roundingLoss: g.frameAdults - g.fittedPopulation
+        };
+      }),
+      skipped
+    };
+  };
+
+  return {
+    add: (entry) => { geographies.push(entry); }, // From validateGeography
+    addSkipped: (name, reason, geoId = null) => { skipped.push({ name, geoId, reason }); },
+    finish
+  };
+}
+
+module.exports = {
+  validationTolerances,
+  controlTotals,
+  validateGeography,
+  createValidationReport
+};
@@ -0,0 +1,287 @@
+/**
+ * Census Variable Metadata
+ *
+ * The recodes address ACS estimates by table line (e.g., B01001_007E is
+ * males 18 and 19), assuming each line means the same thing every year.
+ * The ACS occasionally renumbers or relabels lines, which would silently
+ * put people in the wrong cells. Before a build, every variable code a
+ * recode scheme reads is looked up in the year's variables.json: it must
+ * exist, and its label must match the line's expected label. Mismatches
+ * are reported in the build statistics; GET /api/variables/:year serves
+ * the resolved data dictionary.
+ */
+
+const { fetchVariableMetadata, schemeCensusVariables } = require('./censusClient');
+const { DATASETS } = require('./geographies');
+
+/**
+ * Expected labels by line, for tables addressed by line
+ *
+ * @param {Array<string>} labels - Labels of lines 1, 2, ... in order
+ * @returns {Object} { line: label }
+ */
+function lineLabels(labels) {
+  return Object.fromEntries(labels.map((label, i) => [i + 1, label]));
+}
+
+/**
+ * Labels of a sex-by-... table: Total, Male, the male lines, Female, the
+ * female lines
+ *
+ * @param {Array<string>} lines - Labels of each sex's lines, without the sex
+ * @returns {Object} { line: label }
+ */
+function sexLineLabels(lines) {
+  const bySex = sex => [sex, ...lines.map(line => `${sex}!!${line}`)];
+  return lineLabels(['Total', ...bySex('Male'), ...bySex('Female')]);
+}
+
+const SINGLE_YEAR_AGES = [
+  'Under 5 years', '5 to 9 years', '10 to 14 years', '15 to 17 years',
+  '18 and 19 years', '20 years', '21 years', '22 to 24 years',
+  '25 to 29 years', '30 to 34 years', '35 to 39 years', '40 to 44 years',
+  '45 to 49 years', '50 to 54 years', '55 to 59 years', '60 and 61 years',
+  '62 to 64 years', '65 and 66 years', '67 to 69 years', '70 to 74 years',
+  '75 to 79 years', '80 to 84 years', '85 years and over'
+];
+
+const RACE_ITERATION_AGES = [
+  'Under 5 years', '5 to 9 years', '10 to 14 years', '15 to 17 years',
+  '18 and 19 years', '20 to 24 years', '25 to 29 years', '30 to 34 years',
+  '35 to 44 years', '45 to 54 years', '55 to 64 years', '65 to 74 years',
+  '75 to 84 years', '85 years and over'
+];
+
+// B15001 within each age group, and B29002
+const EDUCATION_7 = [
+  'Less than 9th grade',
+  '9th to 12th grade, no diploma',
+  'High school graduate (includes equivalency)',
+  'Some college, no degree',
+  "Associate's degree",
+  "Bachelor's degree",
+  'Graduate or professional degree'
+];
+
+// B19001, and each B19037 age group
+const INCOME_BRACKETS = [
+  'Less than $10,000', '$10,000 to $14,999', '$15,000 to $19,999',
+  '$20,000 to $24,999', '$25,000 to $29,999', '$30,000 to $34,999',
+  '$35,000 to $39,999', '$40,000 to $44,999', '$45,000 to $49,999',
+  '$50,000 to $59,999', '$60,000 to $74,999', '$75,000 to $99,999',
+  '$100,000 to $124,999', '$125,000 to $149,999', '$150,000 to $199,999',
+  '$200,000 or more'
+];
+
+// B12002, within each marital status
+const MARITAL_STATUS_AGES = [
+  '15 to 17 years', '18 and 19 years', '20 to 24 years', '25 to 29 years',
+  '30 to 34 years', '35 to 39 years', '40 to 44 years', '45 to 49 years',
+  '50 to 54 years', '55 to 59 years', '60 to 64 years', '65 to 74 years',
+  '75 to 84 years', '85 years and over'
+];
+
+const NATIVITY = [
+  'Native',
+  'Foreign born',
+  'Foreign born!!Naturalized U.S. citizen',
+  'Foreign born!!Not a U.S. citizen'
+];
+
+/**
+ * Expected label of each line of the tables the recodes read, after
+ * "Estimate!!Total" (see normalizeLabel). Race iterations ("A-I", as in
+ * the recode scheme files) share their table's line structure.
+ */
+const EXPECTED_LABELS = {
+  B01001: sexLineLabels(SINGLE_YEAR_AGES),
+  'B01001A-I': sexLineLabels(RACE_ITERATION_AGES),
+  B03002: {
+    1: 'Total',
+    2: 'Not Hispanic or Latino',
+    3: 'Not Hispanic or Latino!!White alone',
+    4: 'Not Hispanic or Latino!!Black or African American alone',
+    5: 'Not Hispanic or Latino!!American Indian and Alaska Native alone',
+    6: 'Not Hispanic or Latino!!Asian alone',
+    7: 'Not Hispanic or Latino!!Native Hawaiian and Other Pacific Islander alone',
+    8: 'Not Hispanic or Latino!!Some other race alone',
+    9: 'Not Hispanic or Latino!!Two or more races',
+    12: 'Hispanic or Latino'
+  },
+  B15003: lineLabels([
+    'Total', 'No schooling completed', 'Nursery school', 'Kindergarten',
+    '1st grade', '2nd grade', '3rd grade', '4th grade', '5th grade',
+    '6th grade', '7th grade', '8th grade', '9th grade', '10th grade',
+    '11th grade', '12th grade, no diploma', 'Regular high school diploma',
+    'GED or alternative credential', 'Some college, less than 1 year',
+    'Some college, 1 or more years, no degree', "Associate's degree",
+    "Bachelor's degree", "Master's degree", 'Professional school degree',
+    'Doctorate degree'
+  ]),
+  B15001: sexLineLabels(
+    ['18 to 24 years', '25 to 34 years', '35 to 44 years', '45 to 64 years', '65 years and over']
+      .flatMap(age => [age, ...EDUCATION_7.map(education => `${age}!!${education}`)])
+  ),
+  'C15002A-I': sexLineLabels([
+    'Less than high school diploma',
+    'High school graduate (includes equivalency)',
+    "Some college or associate's degree",
+    "Bachelor's degree or higher"
+  ]),
+  B05003: sexLineLabels(
+    ['Under 18 years', '18 years and over'].flatMap(age => [age, ...NATIVITY.map(line => `${age}!!${line}`)])
+  ),
+  B29001: lineLabels(['Total', '18 to 29 years', '30 to 44 years', '45 to 64 years', '65 years and over']),
+  B29002: lineLabels(['Total', ...EDUCATION_7]),
+  B19037: lineLabels([
+    'Total',
+    ...['Householder under 25 years', 'Householder 25 to 44 years', 'Householder 45 to 64 years', 'Householder 65 years and over']
+      .flatMap(age => [age, ...INCOME_BRACKETS.map(bracket => `${age}!!${bracket}`)])
+  ]),
+  B12002: sexLineLabels([
+    'Never married',
+    'Now married',
+    'Now married!!Married, spouse present',
+    'Now married!!Married, spouse absent',
+    'Now married!!Married, spouse absent!!Separated',
+    'Now married!!Married, spouse absent!!Other',
+    'Widowed',
+    'Divorced'
+  ].flatMap(status => (status === 'Now married' || status.endsWith('spouse absent')
+    ? [status]
+    : [status, ...MARITAL_STATUS_AGES.map(age => `${status}!!${age}`)])))
+};
+EXPECTED_LABELS['B05003A-I'] = EXPECTED_LABELS.B05003;
+
+/**
+ * Normalize a Census variable label for comparison
+ *
+ * Drops the leading "Estimate" and "Total" segments and the colons the
+ * Census Bureau has added after parent segments since 2019, and ignores
+ * case and curly apostrophes.
+ *
+ * @param {string} label - e.g. "Estimate!!Total:!!Male:!!18 and 19 years"
+ * @returns {string} e.g. "male!!18 and 19 years" ("total" for the total line)
+ */
+function normalizeLabel(label) {
+  const parts = String(label)
+    .split('!!')
+    .map(part => part.trim().replace(/:$/, '').replace(/’/g, "'").toLowerCase())
+    .filter(Boolean);
+  if (parts[0] === 'estimate') parts.shift();
+  if (parts[0] === 'total' && parts.length > 1) parts.shift();
+  return parts.join('!!');
+}
+
+/**
+ * Expected label of an estimate variable
+ *
+ * @param {string} code - e.g. "B01001B_007E"
+ * @returns {Object} { table, expected } (expected is null for lines the recodes do not describe)
+ */
+function expectedLabel(code) {
+  const match = /^([BC]\d{5})([A-I]?)_(\d{3})E$/.exec(code);
+  if (!match) {
+    return { table: code.split('_')[0], expected: null };
+  }
+
+  const [, base, iteration, line] = match;
+  const labels = EXPECTED_LABELS[iteration ? `${base}A-I` : base];
+  return {
+    table: base + iteration,
+    expected: (labels && labels[Number(line)]) || null
+  };
+}
+
+/**
+ * Resolve variable codes against a year's variable metadata
+ *
+ * Each code is "ok" (label as expected), "mismatch", "missing" (not in
+ * the metadata) or "unchecked" (present, but no expected label is known).
+ *
+ * @param {Array<string>} codes - Estimate variable codes
+ * @param {Object} metadata - variables.json "variables" ({ code: { label, concept } })
+ * @returns {Object} { dictionary: [{ code, table, concept, label, expected, status }], summary: { checked, matched, unchecked, mismatched: [{ code, expected, label }], missing: [codes] } }
+ */
+function resolveDataDictionary(codes, metadata) {
+  const dictionary = codes.map(code => {
+    const { table, expected } = expectedLabel(code);
+    const variable = metadata[code];
+
+    let status = 'ok';
+    if (!variable) {
+      status = 'missing';
+    } else if (!expected) {
+      status = 'unchecked';
+    } else if (normalizeLabel(variable.label) !== normalizeLabel(expected)) {
+      status = 'mismatch';
+    }
+
+    return {
+      code,
+      table,
+      concept: variable ? variable.concept : null,
+      label: variable ? variable.label : null,
+      expected,
+      status
+    };
+  });
+
+  const withStatus = status => dictionary.filter(entry => entry.status === status);
+  return {
+    dictionary,
+    summary: {
+      checked: dictionary.length,
+      matched: withStatus('ok').length,
+      unchecked: withStatus('unchecked').length,
+      mismatched: withStatus('mismatch').map(({ code, expected, label }) => ({ code, expected, label })),
+      missing: withStatus('missing').map(entry => entry.code)
+    }
+  };
+}
+
+/**
+ * Check the ACS variables a recode scheme reads against a year's
+ * variables.json
+ *
+ * Metadata comes from the Census response cache or fixtures when present
+ * (see cacheSettings). If it cannot be loaded (e.g., offline with no
+ * cached copy) the check is reported as unavailable rather than failing.
+ *
+ * @param {number} year - ACS year
+ * @param {Object} scheme - Compiled recode scheme
+ * @param {Object} [options] - { dataset: "acs1" | "acs5", cache, signal, and the retry settings of fetchACS }
+ * @returns {Promise<Object>} { dictionary, summary: { status: "checked" | "unavailable", source, error, ...counts (see resolveDataDictionary) } }
+ */
+async function checkSchemeVariables(year, scheme, options = {}) {
+  const { dataset = 'acs1', signal } = options;
+  const codes = schemeCensusVariables(scheme);
+  const source = `${year}/${DATASETS[dataset].path}/variables.json`;
+
+  let metadata;
+  try {
+    metadata = await fetchVariableMetadata(year, { ...options, dataset });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    return {
+      dictionary: [],
+      summary: { status: 'unavailable', source, error: error.message, checked: 0 }
+    };
+  }
+
+  const { dictionary, summary } = resolveDataDictionary(codes, metadata);
+  return {
+    dictionary,
+    summary: { status: 'checked', source, ...summary }
+  };
+}
+
+module.exports = {
+  EXPECTED_LABELS,
+  normalizeLabel,
+  expectedLabel,
+  resolveDataDictionary,
+  checkSchemeVariables
+};
@@ -0,0 +1,516 @@
+/**
+ * Survey Weighting
+ *
+ * Weights survey respondents (already coded to the table's recode scheme
+ * levels) to a stored poststrat table, either by raking to population margins (see
+ * ipf.js) or by full-cell poststratification. Weighting can be done
+ * nationally or within census regions, states or the table's geographies,
+ * with optional trimming (relative to the mean weight) and an absolute cap.
+ */
+
+const { rake, DEFAULT_IPF_OPTIONS } = require('./ipf');
+const { getRegion } = require('./recodeHelpers');
+const { aggregateCells, schemeSpecs } = require('./tableBuilder');
+const { OPTIONAL_DIMENSIONS } = require('./recodeSchemes');
+
+/**
+ * Demographic dimensions respondents can be weighted on (plus the optional
+ * dimensions of the table's recode scheme)
+ */
+const WEIGHTING_DIMENSIONS = ['ageGroup', 'sex', 'raceEth', 'education'];
+
+/**
+ * Geography levels: the aggregate dimension weights are computed within
+ * (null = one national set of targets)
+ */
+const WEIGHTING_LEVELS = {
+  national: null,
+  censusRegion: 'censusRegion',
+  state: 'state',
+  geography: 'geoId'
+};
+
+const DEFAULT_WEIGHTING_OPTIONS = {
+  method: 'raking', // "raking" or "poststrat"
+  level: 'national',
+  margins: WEIGHTING_DIMENSIONS.map(dimension => [dimension]), // Raking margins
+  cells: WEIGHTING_DIMENSIONS, // Poststrat cell dimensions
+  trim: null, // { lower, upper } as multiples of the mean weight
+  cap: null, // Largest final weight (in the output scale)
+  scale: 'sample', // "sample" (mean weight 1) or "population" (weights sum to population)
+  maxTrimIterations: 10,
+  ipf: {}
+};
+
+/**
+ * Validate and fill in weighting options
+ *
+ * @param {Object} raw - Options from the request
+ * @param {Object} [specs] - Level specs of the table's recode scheme (its optional dimensions can be weighted on)
+ * @returns {Object} { options } or { error: { error, message } }
+ */
+function resolveWeightingOptions(raw = {}, specs = {}) {
+  const options = { ...DEFAULT_WEIGHTING_OPTIONS };
+  for (const [key, value] of Object.entries(raw)) {
+    if (value !== undefined && value !== null && key in DEFAULT_WEIGHTING_OPTIONS) {
+      options[key] = value;
+    }
+  }
+
+  const invalid = (error, message) => ({ error: { error, message } });
+
+  if (!['raking', 'poststrat'].includes(options.method)) {
+    return invalid('Invalid method', 'method must be "raking" or "poststrat"');
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(WEIGHTING_LEVELS, options.level)) {
+    return invalid('Invalid level', `level must be one of: ${Object.keys(WEIGHTING_LEVELS).join(', ')}`);
+  }
+
+  const dimensions = [...WEIGHTING_DIMENSIONS, ...OPTIONAL_DIMENSIONS.filter(d => specs[d])];
+  const isDimensionList = list =>
+    Array.isArray(list) && list.length > 0 && list.every(d => dimensions.includes(d));
+
+  if (!Array.isArray(options.margins) || options.margins.length === 0 || !options.margins.every(isDimensionList)) {
+    return invalid('Invalid margins', `margins must be a list of dimension lists from: ${dimensions.join(', ')} (e.g., [["sex", "ageGroup"], ["education"]])`);
+  }
+
+  if (!isDimensionList(options.cells)) {
+    return invalid('Invalid cells', `cells must be a list of dimensions from: ${dimensions.join(', ')}`);
+  }
+
+  if (options.trim) {
+    const { lower = 0, upper = Infinity } = options.trim;
+    if (!(lower >= 0 && lower <= 1 && upper >= 1)) {
+      return invalid('Invalid trim', 'trim must be { lower, upper } multiples of the mean weight with 0 <= lower <= 1 <= upper');
+    }
+    options.trim = { lower, upper };
+  }
+
+  if (options.cap !== null && !(options.cap > 0)) {
+    return invalid('Invalid cap', 'cap must be a positive number');
+  }
+
+  if (!['sample', 'population'].includes(options.scale)) {
+    return invalid('Invalid scale', 'scale must be "sample" or "population"');
+  }
+
+  return { options };
+}
+
+/**
+ * Match a value to a recode scheme level, ignoring case
+ *
+ * @param {Object} specs - Level specs of the table's recode scheme
+ * @param {string} dimension - Key of specs
+ * @param {*} value - Raw value
+ * @returns {string|undefined} Canonical level
+ */
+function matchLevel(specs, dimension, value) {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim().toLowerCase();
+  return specs[dimension].levels.find(level => level.toLowerCase() === text);
+}
+
+/**
+ * Check and canonicalize respondent records
+ *
+ * Each record needs the weighting dimensions, the geography for the level
+ * (censusRegion may be derived from state; geography accepts geoId or cd),
+ * and optionally id and baseWeight (default 1).
+ *
+ * @param {Array<Object>} records - Respondent records
+ * @param {Array<string>} dimensions - Demographic dimensions in use
+ * @param {string|null} geoDimension - Geography dimension for the level
+ * @param {Object} specs - Level specs of the table's recode scheme
+ * @returns {Object} { respondents, errors: [{ row, id, message }] }
+ */
+function normalizeRespondents(records, dimensions, geoDimension, specs) {
+  const respondents = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const id = record.id !== undefined && record.id !== '' ? record.id : row;
+    const respondent = { id };
+    const problems = [];
+
+    for (const dimension of dimensions) {
+      respondent[dimension] = matchLevel(specs, dimension, record[dimension]);
+      if (!respondent[dimension]) {
+        problems.push(`${dimension} "${record[dimension] ?? ''}" is not one of ${specs[dimension].levels.join(', ')}`);
+      }
+    }
+
+    if (geoDimension === 'censusRegion') {
+      respondent.censusRegion = matchLevel(specs, 'censusRegion', record.censusRegion);
+      if (!respondent.censusRegion && record.state) {
+        try {
+          respondent.censusRegion = getRegion(String(record.state).trim().toUpperCase());
+        } catch (error) {
+          // Reported below
+        }
+      }
+      if (!respondent.censusRegion) {
+        problems.push('censusRegion (or a state to derive it from) is required');
+      }
+    } else if (geoDimension === 'state') {
+      respondent.state = record.state ? String(record.state).trim().toUpperCase() : undefined;
+      if (!respondent.state) problems.push('state is required');
+    } else if (geoDimension === 'geoId') {
+      const geoId = record.geoId || record.cd;
+      respondent.geoId = geoId ? String(geoId).trim().toUpperCase() : undefined;
+      if (!respondent.geoId) problems.push('geoId (or cd) is required');
+    }
+
+    const baseWeight = record.baseWeight === undefined || record.baseWeight === ''
+      ? 1
+      : Number(record.baseWeight);
+    if (!(baseWeight > 0) || !Number.isFinite(baseWeight)) {
+      problems.push('baseWeight must be a positive number');
+    }
+    respondent.baseWeight = baseWeight;
+
+    if (problems.length > 0) {
+      errors.push({ row, id, message: problems.join('; ') });
+    } else {
+      respondents.push(respondent);
+    }
+  });
+
+  return { respondents, errors };
+}
+
+/**
+ * Key of a respondent or population group on some dimensions
+ *
+ * @param {Object} record - Respondent or aggregate group
+ * @param {Array<string>} dimensions - Dimensions
+ * @returns {string} Key
+ */
+function groupKey(record, dimensions) {
+  return dimensions.map(dimension => record[dimension]).join('|');
+}
+
+/**
+ * Population totals by group from the stored table
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan, kind }
+ * @param {Array<string>} dimensions - Group dimensions (geography first, if any)
+ * @returns {Promise<Object|null>} { buildRunId, totals: { key: population } }, or null if the table has not been built
+ */
+async function populationTotals(year, table, dimensions) {
+  const result = await aggregateCells(year, table, { groupBy: dimensions });
+  if (!result) return null;
+
+  const totals = {};
+  for (const group of result.groups) {
+    totals[groupKey(group, dimensions)] = group.population;
+  }
+  return { buildRunId: result.buildRunId, totals };
+}
+
+/**
+ * Clip weights to [lower, upper] × mean weight
+ *
+ * @param {Array<number>} weights - Weights (modified in place)
+ * @param {Object} trim - { lower, upper }
+ * @returns {number} Number of weights clipped
+ */
+function clipToMean(weights, trim) {
+  const positive = weights.filter(w => w > 0);
+  const mean = positive.reduce((sum, w) => sum + w, 0) / positive.length;
+  const lower = trim.lower * mean;
+  const upper = trim.upper * mean;
+  let clipped = 0;
+
+  weights.forEach((w, i) => {
+    if (w <= 0) return;
+    if (w > upper * (1 + 1e-9)) {
+      weights[i] = upper;
+      clipped++;
+    } else if (w < lower * (1 - 1e-9)) {
+      weights[i] = lower;
+      clipped++;
+    }
+  });
+
+  return clipped;
+}
+
+/**
+ * Cap weights at an absolute maximum, spreading the excess over uncapped
+ * weights in proportion to their size so the total is unchanged
+ *
+ * @param {Array<number>} weights - Weights (modified in place)
+ * @param {number} cap - Largest allowed weight
+ * @returns {number} Number of weights at the cap
+ */
+function capWeights(weights, cap) {
+  const capped = new Set();
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    let excess = 0;
+    weights.forEach((w, i) => {
+      if (w > cap) {
+        excess += w - cap;
+        weights[i] = cap;
+        capped.add(i);
+      }
+    });
+    if (excess <= 1e-9) break;
+
+    const uncappedTotal = weights.reduce((sum, w, i) => (capped.has(i) ? sum : sum + w), 0);
+    if (uncappedTotal <= 0) break; // Every weight is capped; the total shrinks
+
+    weights.forEach((w, i) => {
+      if (!capped.has(i)) {
+        weights[i] = w + excess * (w / uncappedTotal);
+      }
+    });
+  }
+
+  return capped.size;
+}
+
+/**
+ * Largest gap between weighted and population shares for each margin
+ *
+ * @param {Array<Object>} respondents - Respondents
+ * @param {Array<number>} weights - Final weights
+ * @param {Array<Object>} margins - { name, dimensions, totals }
+ * @returns {Object} { name: maxAbsShareDeviation }
+ */
+function shareDeviations(respondents, weights, margins) {
+  const deviations = {};
+
+  for (const { name, dimensions, totals } of margins) {
+    const weighted = {};
+    let weightTotal = 0;
+    respondents.forEach((respondent, i) => {
+      const key = groupKey(respondent, dimensions);
+      weighted[key] = (weighted[key] || 0) + weights[i];
+      weightTotal += weights[i];
+    });
+
+    const populationTotal = Object.values(totals).reduce((sum, value) => sum + value, 0);
+    const keys = new Set([...Object.keys(totals), ...Object.keys(weighted)]);
+    let maxDeviation = 0;
+    for (const key of keys) {
+      const populationShare = populationTotal > 0 ? (totals[key] || 0) / populationTotal : 0;
+      const weightedShare = weightTotal > 0 ? (weighted[key] || 0) / weightTotal : 0;
+      maxDeviation = Math.max(maxDeviation, Math.abs(weightedShare - populationShare));
+    }
+    deviations[name] = maxDeviation;
+  }
+
+  return deviations;
+}
+
+/**
+ * Design-effect and effective-sample-size diagnostics (Kish)
+ *
+ * @param {Array<number>} weights - Final weights
+ * @returns {Object} Weight summary
+ */
+function weightDiagnostics(weights) {
+  const n = weights.length;
+  const sum = weights.reduce((total, w) => total + w, 0);
+  const sumSquares = weights.reduce((total, w) => total + w * w, 0);
+  const mean = sum / n;
+  const variance = weights.reduce((total, w) => total + (w - mean) ** 2, 0) / n;
+  const effectiveSampleSize = sumSquares > 0 ? (sum * sum) / sumSquares : 0;
+
+  return {
+    n,
+    sumWeights: sum,
+    meanWeight: mean,
+    minWeight: weights.reduce((min, w) => Math.min(min, w), Infinity),
+    maxWeight: weights.reduce((max, w) => Math.max(max, w), -Infinity),
+    cv: mean > 0 ? Math.sqrt(variance) / mean : null,
+    designEffect: effectiveSampleSize > 0 ? n / effectiveSampleSize : null,
+    effectiveSampleSize,
+    zeroWeights: weights.filter(w => w === 0).length
+  };
+}
+
+/**
+ * Population groups with no respondents
+ *
+ * @param {Object} totals - { key: population }
+ * @param {Array<Object>} respondents - Respondents
+ * @param {Array<string>} dimensions - Group dimensions
+ * @returns {Object} { count, population, groups: [key] (first 50) }
+ */
+function emptyGroups(totals, respondents, dimensions) {
+  const covered = new Set(respondents.map(respondent => groupKey(respondent, dimensions)));
+  const missing = Object.entries(totals).filter(([key, population]) => population > 0 && !covered.has(key));
+
+  return {
+    count: missing.length,
+    population: missing.reduce((sum, [, population]) => sum + population, 0),
+    groups: missing.slice(0, 50).map(([key]) => key)
+  };
+}
+
+/**
+ * Weight survey respondents to a stored poststrat table
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan, kind }
+ * @param {Array<Object>} records - Respondent records coded to the scheme's levels
+ * @param {Object} options - Resolved options (see resolveWeightingOptions)
+ * @returns {Promise<Object|null>} { weights: [{ id, weight }], diagnostics, unmatched, ... },
+ *   { error: { error, message, ... } } for unusable respondents, or null if the table has not been built
+ */
+async function computeWeights(year, table, records, options) {
+  const { method, level, trim, cap, scale, maxTrimIterations } = options;
+  const geoDimension = WEIGHTING_LEVELS[level];
+  const geo = geoDimension ? [geoDimension] : [];
+
+  const demographic = method === 'raking' ? [...new Set(options.margins.flat())] : options.cells;
+  const { respondents, errors } = normalizeRespondents(records, demographic, geoDimension, schemeSpecs(table.recodeScheme));
+
+  if (errors.length > 0) {
+    return {
+      error: {
+        error: 'Invalid respondents',
+        message: `${errors.length} of ${records.length} respondents could not be used`,
+        respondents: errors.slice(0, 50)
+      }
+    };
+  }
+
+  if (respondents.length === 0) {
+    return { error: { error: 'No respondents', message: 'Provide at least one respondent' } };
+  }
+
+  // Population groups: the anchor (geography totals, or the first margin
+  // nationally) followed by each margin within geography
+  const marginDimensions = method === 'raking'
+    ? [...(geo.length > 0 ? [geo] : []), ...options.margins.map(margin => [...geo, ...margin])]
+    : [[...geo, ...options.cells]];
+
+  const margins = [];
+  let buildRunId = null;
+  for (const dimensions of marginDimensions) {
+    const result = await populationTotals(year, table, dimensions);
+    if (!result) return null;
+    buildRunId = result.buildRunId;
+    margins.push({ name: dimensions.join(' × '), dimensions, totals: result.totals });
+  }
+
+  // Weight only geographies that have respondents
+  if (geoDimension) {
+    const sampled = new Set(respondents.map(respondent => respondent[geoDimension]));
+    for (const margin of margins) {
+      margin.totals = Object.fromEntries(
+        Object.entries(margin.totals).filter(([key]) => sampled.has(key.split('|')[0]))
+      );
+    }
+  }
+
+  const baseTotal = respondents.reduce((sum, respondent) => sum + respondent.baseWeight, 0);
+  const population = Object.values(margins[0].totals).reduce((sum, value) => sum + value, 0);
+  let weights;
+  let convergence = null;
+  let trimmed = 0;
+
+  if (method === 'raking') {
+    // Rake on the sample's scale so the IPF tolerance is in respondents
+    const toSample = population > 0 ? baseTotal / population : 0;
+    const ipfMargins = margins.map(margin => ({
+      name: margin.name,
+      key: respondent => groupKey(respondent, margin.dimensions),
+      targets: Object.fromEntries(
+        Object.entries(margin.totals).map(([key, value]) => [key, value * toSample])
+      )
+    }));
+    const ipfOptions = { ...DEFAULT_IPF_OPTIONS, ...options.ipf };
+
+    let seed = respondents.map(respondent => respondent.baseWeight);
+    let fit = rake(respondents, seed, ipfMargins, ipfOptions);
+    weights = fit.weights;
+
+    if (trim) {
+      for (let i = 0; i < maxTrimIterations; i++) {
+        if (clipToMean(weights, trim) === 0) break;
+        seed = weights;
+        fit = rake(respondents, seed, ipfMargins, ipfOptions);
+        weights = fit.weights;
+      }
+      // Bounds win over margins if re-raking did not settle
+      trimmed = clipToMean(weights, trim);
+    }
+
+    convergence = {
+      converged: fit.converged,
+      iterations: fit.iterations,
+      tolerance: ipfOptions.tolerance
+    };
+  } else {
+    const [cells] = margins;
+    const baseByCell = {};
+    respondents.forEach(respondent => {
+      const key = groupKey(respondent, cells.dimensions);
+      baseByCell[key] = (baseByCell[key] || 0) + respondent.baseWeight;
+    });
+
+    weights = respondents.map(respondent => {
+      const key = groupKey(respondent, cells.dimensions);
+      return respondent.baseWeight * ((cells.totals[key] || 0) / baseByCell[key]);
+    });
+
+    if (trim) {
+      const matchedTotal = weights.reduce((sum, w) => sum + w, 0);
+      for (let i = 0; i < maxTrimIterations; i++) {
+        const clipped = clipToMean(weights, trim);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        weights = weights.map(w => w * (matchedTotal / total));
+        if (clipped === 0) break;
+      }
+      trimmed = clipToMean(weights, trim);
+    }
+  }
+
+  // Output scale
+  const weightTotal = weights.reduce((sum, w) => sum + w, 0);
+  const matchedPopulation = method === 'raking' ? population : weightTotal;
+  const target = scale === 'population' ? matchedPopulation : respondents.length;
+  weights = weights.map(w => (weightTotal > 0 ? w * (target / weightTotal) : 0));
+
+  const capped = cap !== null ? capWeights(weights, cap) : 0;
+
+  return {
+    buildRunId,
+    method,
+    level,
+    scale,
+    weights: respondents.map((respondent, i) => ({ id: respondent.id, weight: weights[i] })),
+    diagnostics: {
+      ...weightDiagnostics(weights),
+      trimmed,
+      capped,
+      convergence,
+      maxShareDeviation: shareDeviations(respondents, weights, margins)
+    },
+    unmatched: {
+      // Respondents in groups with no population get weight 0
+      respondents: weights.filter(w => w === 0).length,
+      // Population in groups (cells, or margin categories) with no respondents
+      populationGroups: Object.fromEntries(
+        margins.map(margin => [margin.name, emptyGroups(margin.totals, respondents, margin.dimensions)])
+      )
+    },
+    population
+  };
+}
+
+module.exports = {
+  WEIGHTING_DIMENSIONS,
+  WEIGHTING_LEVELS,
+  DEFAULT_WEIGHTING_OPTIONS,
+  resolveWeightingOptions,
+  computeWeights
+};
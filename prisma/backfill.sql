@@ -0,0 +1,109 @@
+-- Backfill existing data before `prisma db push`
+--
+-- db push cannot make a column required while rows hold NULL in it, nor
+-- add a required column without a default to a populated table. Each step
+-- below prepares existing rows for one such schema change. Every step is
+-- idempotent and skips tables and columns that do not exist yet, so the
+-- script is safe on an empty database and on every deploy.
+--
+-- Run with: npm run prisma:backfill
+
+-- geoId replaced cd (congressional district IDs, e.g. "TX-32", which are
+-- also their geography IDs). Add it and copy cd into it; db push then
+-- makes it required and drops cd.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'poststrat_cells' AND column_name = 'cd'
+  ) THEN
+    ALTER TABLE poststrat_cells ADD COLUMN IF NOT EXISTS "geoId" TEXT;
+    UPDATE poststrat_cells SET "geoId" = cd WHERE "geoId" IS NULL;
+  END IF;
+END $$;
+
+-- Cells belong to a table version (buildRunId). Cells stored before
+-- versioning get one completed "legacy" build run per table, which is made
+-- the current version of that table. The table key columns and the two
+-- version tables are created here as db push would, which then adds the
+-- rest of their columns, indexes and foreign keys.
+DO $$
+BEGIN
+  IF to_regclass('poststrat_cells') IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'poststrat_cells' AND column_name = 'buildRunId'
+  ) THEN
+    ALTER TABLE poststrat_cells
+      ADD COLUMN IF NOT EXISTS "dataset" TEXT NOT NULL DEFAULT 'acs1',
+      ADD COLUMN IF NOT EXISTS "universe" TEXT NOT NULL DEFAULT 'adult',
+      ADD COLUMN IF NOT EXISTS "geoType" TEXT NOT NULL DEFAULT 'cd';
+
+    CREATE TABLE IF NOT EXISTS "build_runs" (
+      "id" TEXT NOT NULL,
+      "year" INTEGER NOT NULL,
+      "dataset" TEXT NOT NULL DEFAULT 'acs1',
+      "universe" TEXT NOT NULL DEFAULT 'adult',
+      "geoType" TEXT NOT NULL DEFAULT 'cd',
+      "status" TEXT NOT NULL DEFAULT 'building',
+      "recodeSpecHash" TEXT NOT NULL,
+      "sourceDataset" TEXT NOT NULL,
+      "cellCount" INTEGER NOT NULL DEFAULT 0,
+      "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      "completedAt" TIMESTAMP(3),
+      CONSTRAINT "build_runs_pkey" PRIMARY KEY ("id")
+    );
+
+    CREATE TABLE IF NOT EXISTS "current_tables" (
+      "id" TEXT NOT NULL,
+      "year" INTEGER NOT NULL,
+      "dataset" TEXT NOT NULL DEFAULT 'acs1',
+      "universe" TEXT NOT NULL DEFAULT 'adult',
+      "geoType" TEXT NOT NULL DEFAULT 'cd',
+      "buildRunId" TEXT NOT NULL,
+      "activatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      "updatedAt" TIMESTAMP(3) NOT NULL,
+      CONSTRAINT "current_tables_pkey" PRIMARY KEY ("id")
+    );
+
+    INSERT INTO "build_runs" (
+      "id", "year", "dataset", "universe", "geoType",
+      "status", "recodeSpecHash", "sourceDataset", "cellCount", "createdAt", "completedAt"
+    )
+    SELECT
+      'legacy-' || md5(concat_ws('|', "year", "dataset", "universe", "geoType")),
+      "year", "dataset", "universe", "geoType",
+      'complete', 'legacy', "year" || '/acs/' || "dataset", count(*), min("createdAt"), max("createdAt")
+    FROM poststrat_cells
+    GROUP BY "year", "dataset", "universe", "geoType"
+    ON CONFLICT ("id") DO NOTHING;
+
+    ALTER TABLE poststrat_cells ADD COLUMN "buildRunId" TEXT;
+    UPDATE poststrat_cells
+    SET "buildRunId" = 'legacy-' || md5(concat_ws('|', "year", "dataset", "universe", "geoType"));
+
+    INSERT INTO "current_tables" (
+      "id", "year", "dataset", "universe", "geoType", "buildRunId", "updatedAt"
+    )
+    SELECT "id", "year", "dataset", "universe", "geoType", "id", CURRENT_TIMESTAMP
+    FROM "build_runs"
+    WHERE "id" LIKE 'legacy-%'
+    ON CONFLICT ("id") DO NOTHING;
+  END IF;
+END $$;
+
+-- Optional dimensions (income, maritalStatus, urbanicity) are '' rather
+-- than NULL when a recode scheme does not add them, since Postgres treats
+-- NULLs as distinct in the cells' unique key
+DO $$
+DECLARE
+  dimension TEXT;
+BEGIN
+  FOREACH dimension IN ARRAY ARRAY['income', 'maritalStatus', 'urbanicity'] LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'poststrat_cells' AND column_name = dimension
+    ) THEN
+      EXECUTE format('UPDATE poststrat_cells SET %I = '''' WHERE %I IS NULL', dimension, dimension);
+    END IF;
+  END LOOP;
+END $$;
@@ -10,23 +10,526 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 
-const { fetchACS1Year, getAvailableYears } = require('./lib/censusClient');
+const { fetchSchemeData, getAvailableYears, urbanRuralMismatch } = require('./lib/censusClient');
 const {
-  buildPoststratTable,
+  startBuildJob,
+  getJob,
+  cancelJob,
+  recoverInterruptedJobs
+} = require('./lib/buildJobs');
+const {
+  UNIVERSES,
+  FRAME_KINDS,
+  DEFAULT_TABLE,
   getPoststratTable,
-  getCellsByDistrict,
+  getCellsByGeography,
+  getEducationByAge,
   getTableStats,
+  AGGREGATE_DIMENSIONS,
+  aggregateCells,
+  schemeSpecs,
   deleteTable
 } = require('./lib/tableBuilder');
+const {
+  getCurrentBuildRun,
+  listCurrentTables,
+  getBuildRun,
+  getBuildRunValidation,
+  listBuildRuns,
+  rollbackToBuildRun,
+  diffBuildRuns,
+  recoverInterruptedBuildRuns
+} = require('./lib/buildRuns');
+const { simulateDraws } = require('./lib/simulation');
+const { EXPORT_FORMATS, factorLevels, exportTable } = require('./lib/exporter');
+const { RECODE_SPECS } = require('./lib/recodeHelpers');
+const { DEFAULT_SCHEME, OPTIONAL_DIMENSIONS, loadSchemes, getScheme, listSchemes } = require('./lib/recodeSchemes');
+const { resolveWeightingOptions, computeWeights } = require('./lib/weights');
+const { parseCsv } = require('./lib/csv');
+const { resolvePoststratifyOptions, poststratify } = require('./lib/poststratify');
+const { SURVEY_CODINGS, recodeSurvey } = require('./lib/surveyRecode');
+const { PLAN_PATTERN, listCrosswalks, planMetadata, sourcePlanMismatch } = require('./lib/crosswalks');
+const { resolveCompareOptions, compareTables } = require('./lib/compare');
+const { DERIVE_METHODS, resolveDerivation, sourcePlans } = require('./lib/derivedFrames');
+const { ROUNDING_MODES, SMOOTHING_LEVELS, roundCells } = require('./lib/smallCells');
+const { checkSchemeVariables } = require('./lib/variableMetadata');
+const {
+  resolveGroup,
+  listGroups,
+  getGroup,
+  getGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  rollUpGroup
+} = require('./lib/geographyGroups');
+const {
+  DATASETS,
+  GEOGRAPHY_TYPES,
+  isValidGeoId
+} = require('./lib/geographies');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Survey uploads and posterior draws; parsed here, so the default limit below skips them
+app.use(['/api/weights', '/api/poststratify', '/api/recode/survey'], express.json({ limit: '50mb' }));
 app.use(express.json());
 app.use(express.static('public'));
 
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Require the admin secret (X-Admin-Secret header) on a route
+ *
+ * Admin routes are closed when ADMIN_SECRET is not set.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireAdmin(req, res, next) {
+  const adminSecret = req.headers['x-admin-secret'];
+  if (!process.env.ADMIN_SECRET || adminSecret !== process.env.ADMIN_SECRET) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin secret required. Set X-Admin-Secret header.'
+    });
+  }
+  next();
+}
+
+/**
+ * Parse the query parameters identifying a stored table
+ *
+ * - universe: "adult" (default) or "cvap"
+ * - dataset: "acs1" (default) or "acs5"
+ * - geography: geography type (default "cd")
+ * - scheme: recode scheme (default "default"; names are case-sensitive,
+ *   like the recode-schemes/ file names)
+ * - plan: district plan (default "acs", the plan the ACS published; others
+ *   are crosswalk plans, see lib/crosswalks.js)
+ * - kind: frame kind (default "acs"; others are derived from other years,
+ *   see lib/derivedFrames.js)
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { table: { universe, dataset, geoType, recodeScheme, plan, kind } } or { error: { error, message } }
+ */
+function parseTableParams(query) {
+  const pick = (value, fallback) => (value === undefined ? fallback : String(value).toLowerCase());
+  const universe = pick(query.universe, DEFAULT_TABLE.universe);
+  const dataset = pick(query.dataset, DEFAULT_TABLE.dataset);
+  const geoType = pick(query.geography, DEFAULT_TABLE.geoType);
+  const recodeScheme = query.scheme === undefined ? DEFAULT_TABLE.recodeScheme : String(query.scheme);
+  const plan = pick(query.plan, DEFAULT_TABLE.plan);
+  const kind = pick(query.kind, DEFAULT_TABLE.kind);
+
+  if (!Object.prototype.hasOwnProperty.call(UNIVERSES, universe)) {
+    return {
+      error: {
+        error: 'Invalid universe',
+        message: `universe must be one of: ${Object.keys(UNIVERSES).join(', ')}`
+      }
+    };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(DATASETS, dataset)) {
+    return {
+      error: {
+        error: 'Invalid dataset',
+        message: `dataset must be one of: ${Object.keys(DATASETS).join(', ')}`
+      }
+    };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(GEOGRAPHY_TYPES, geoType)) {
+    return {
+      error: {
+        error: 'Invalid geography',
+        message: `geography must be one of: ${Object.keys(GEOGRAPHY_TYPES).join(', ')}`
+      }
+    };
+  }
+
+  if (!getScheme(recodeScheme)) {
+    return {
+      error: {
+        error: 'Invalid scheme',
+        message: `scheme must be one of: ${listSchemes().map(scheme => scheme.name).join(', ')}`
+      }
+    };
+  }
+
+  // Stored plans stay readable after their crosswalk file is removed, so
+  // only the name is checked here
+  if (!PLAN_PATTERN.test(plan)) {
+    return {
+      error: {
+        error: 'Invalid plan',
+        message: `plan must be "${DEFAULT_TABLE.plan}" (as published) or a crosswalk plan name (lowercase letters, digits, "-" and "_")`
+      }
+    };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(FRAME_KINDS, kind)) {
+    return {
+      error: {
+        error: 'Invalid kind',
+        message: `kind must be one of: ${Object.keys(FRAME_KINDS).join(', ')}`
+      }
+    };
+  }
+
+  return { table: { universe, dataset, geoType, recodeScheme, plan, kind } };
+}
+
+/**
+ * Standard 404 body for a table that has not been built
+ *
+ * Points at the build endpoint, for a crosswalk plan at the crosswalk
+ * endpoint, or for a derived kind at the derive endpoint.
+ *
+ * @param {number} year - ACS year
+ * @param {Object} table - { universe, dataset, geoType, recodeScheme, plan, kind }
+ * @returns {Object} { error, message }
+ */
+function missingTable(year, table) {
+  const { universe, dataset, geoType, recodeScheme, plan, kind } = table;
+  const query = `universe=${universe}&dataset=${dataset}&geography=${geoType}&scheme=${recodeScheme}`;
+  const isPublishedPlan = plan === DEFAULT_TABLE.plan;
+  const onPlan = isPublishedPlan ? '' : ` on plan ${plan}`;
+  const planQuery = isPublishedPlan ? '' : `&plan=${plan}`;
+
+  if (kind !== DEFAULT_TABLE.kind) {
+    return {
+      error: 'No data found',
+      message: `No ${kind} ${universe} ${dataset} poststrat table exists for ${year} (${geoType}, ${recodeScheme} scheme)${onPlan}. Use POST /api/derive/${year}?${query}${planQuery} to create one.`
+    };
+  }
+
+  return {
+    error: 'No data found',
+    message: isPublishedPlan
+      ? `No ${universe} ${dataset} poststrat table exists for ${year} (${geoType}, ${recodeScheme} scheme). Use POST /api/build/${year}?${query} to create one.`
+      : `No ${universe} ${dataset} poststrat table exists for ${year} (${geoType}, ${recodeScheme} scheme)${onPlan}. Use POST /api/crosswalk/${year}?${query}${planQuery} to create one.`
+  };
+}
+
+/**
+ * Standard 400 body for a geography ID that does not match its type
+ *
+ * @param {string} geoType - Geography type
+ * @returns {Object} { error, message }
+ */
+function invalidGeoId(geoType) {
+  return {
+    error: `Invalid ${GEOGRAPHY_TYPES[geoType].label.toLowerCase()} format`,
+    message: `Format should be ${GEOGRAPHY_TYPES[geoType].idFormat}`
+  };
+}
+
+/**
+ * Parse a comma-separated query parameter
+ *
+ * @param {string|Array|undefined} value - Query value (repeated parameters arrive as an array)
+ * @returns {Array<string>|null} Trimmed values, or null if absent
+ */
+function parseList(value) {
+  if (value === undefined) return null;
+  const items = [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Parse export filters
+ *
+ * - state: state codes (e.g., state=TX,CA)
+ * - region: census regions (e.g., region=South,West)
+ * - geoId: geography IDs (cd is accepted as a shorthand for
+ *   congressional districts, e.g. cd=TX-32,TX-07)
+ *
+ * @param {Object} query - Express req.query
+ * @param {string} geoType - Geography type of the table
+ * @returns {Object} { filters: { states, regions, geoIds } } or { error: { error, message } }
+ */
+function parseExportFilters(query, geoType) {
+  const states = parseList(query.state);
+  const regions = parseList(query.region);
+  const geoIds = parseList(query.geoId || query.cd);
+
+  const upperStates = states && states.map(state => state.toUpperCase());
+  if (upperStates && !upperStates.every(state => /^[A-Z]{2}$/.test(state))) {
+    return {
+      error: { error: 'Invalid state', message: 'state must be two-letter codes (e.g., state=TX,CA)' }
+    };
+  }
+
+  const regionLevels = RECODE_SPECS.censusRegion.levels;
+  const matchedRegions = regions && regions.map(region =>
+    regionLevels.find(level => level.toLowerCase() === region.toLowerCase())
+  );
+  if (matchedRegions && matchedRegions.includes(undefined)) {
+    return {
+      error: { error: 'Invalid region', message: `region must be one of: ${regionLevels.join(', ')}` }
+    };
+  }
+
+  const upperGeoIds = geoIds && geoIds.map(geoId => geoId.toUpperCase());
+  if (upperGeoIds && !upperGeoIds.every(geoId => isValidGeoId(geoType, geoId))) {
+    return { error: invalidGeoId(geoType) };
+  }
+
+  return {
+    filters: {
+      states: upperStates,
+      regions: matchedRegions,
+      geoIds: upperGeoIds
+    }
+  };
+}
+
+/**
+ * Parse the rounding query parameter
+ *
+ * - rounding: none (default; populations as stored) or controlled (whole
+ *   people, keeping each geography's total; see lib/smallCells.js)
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { rounding } or { error: { error, message } }
+ */
+function parseRounding(query) {
+  const rounding = query.rounding === undefined ? 'none' : String(query.rounding).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(ROUNDING_MODES, rounding)) {
+    return {
+      error: { error: 'Invalid rounding', message: `rounding must be one of: ${Object.keys(ROUNDING_MODES).join(', ')}` }
+    };
+  }
+  return { rounding };
+}
+
+/**
+ * Parse aggregate query parameters
+ *
+ * - groupBy: dimensions to group by (comma-separated)
+ * - shareWithin: subset of groupBy that shares are computed within
+ *   (default: shares of the filtered total)
+ * - any dimension as a filter (e.g., raceEth=Hispanic&censusRegion=South)
+ * - group: geography groups to roll members into (loaded by the route);
+ *   "group" can then be used in groupBy
+ *
+ * "cd" is only available for congressional district tables, and income,
+ * maritalStatus and urbanicity only for schemes that add them.
+ *
+ * @param {Object} query - Express req.query
+ * @param {string} geoType - Geography type of the table
+ * @param {Object} specs - Level specs of the table's recode scheme
+ * @returns {Object} { groupBy, shareWithin, filters } or { error: { error, message } }
+ */
+function parseAggregateParams(query, geoType, specs) {
+  const dimensions = Object.keys(AGGREGATE_DIMENSIONS).filter(d =>
+    (d !== 'cd' || geoType === 'cd') && (!OPTIONAL_DIMENSIONS.includes(d) || specs[d])
+  );
+  const groupDimensions = parseList(query.group) ? [...dimensions, 'group'] : dimensions;
+  const invalidDimension = name => ({
+    error: {
+      error: 'Invalid dimension',
+      message: `${name} must be among: ${groupDimensions.join(', ')}`
+    }
+  });
+
+  const groupBy = parseList(query.groupBy) || [];
+  if (!groupBy.every(d => groupDimensions.includes(d))) {
+    return invalidDimension('groupBy');
+  }
+
+  const shareWithin = parseList(query.shareWithin) || [];
+  if (!shareWithin.every(d => groupBy.includes(d))) {
+    return {
+      error: {
+        error: 'Invalid shareWithin',
+        message: 'shareWithin must be a subset of groupBy'
+      }
+    };
+  }
+
+  const filters = {};
+  for (const dimension of dimensions) {
+    const values = parseList(query[dimension]);
+    if (!values) continue;
+
+    const column = AGGREGATE_DIMENSIONS[dimension];
+    const spec = specs[column];
+
+    if (spec) {
+      const matched = values.map(value =>
+        spec.levels.find(level => level.toLowerCase() === value.toLowerCase())
+      );
+      if (matched.includes(undefined)) {
+        return {
+          error: {
+            error: `Invalid ${dimension}`,
+            message: `${dimension} must be among: ${spec.levels.join(', ')}`
+          }
+        };
+      }
+      filters[dimension] = matched;
+    } else if (dimension === 'state') {
+      filters.state = values.map(value => value.toUpperCase());
+      if (!filters.state.every(state => /^[A-Z]{2}$/.test(state))) {
+        return {
+          error: { error: 'Invalid state', message: 'state must be two-letter codes (e.g., state=TX,CA)' }
+        };
+      }
+    } else {
+      filters[dimension] = values.map(value => value.toUpperCase());
+      if (!filters[dimension].every(geoId => isValidGeoId(geoType, geoId))) {
+        return { error: invalidGeoId(geoType) };
+      }
+    }
+  }
+
+  return { groupBy, shareWithin, filters };
+}
+
+/**
+ * Parse weighting options given as query parameters (CSV uploads)
+ *
+ * - method, level, scale: as in the JSON options
+ * - margins: comma-separated margins, interactions joined with ":"
+ *   (e.g., margins=sex:ageGroup,raceEth,education)
+ * - cells: comma-separated poststrat cell dimensions
+ * - trimLower, trimUpper, cap: numbers
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} Raw options for resolveWeightingOptions
+ */
+function parseWeightingQuery(query) {
+  const number = value => (value === undefined ? undefined : Number(value));
+  const margins = parseList(query.margins);
+  const trimLower = number(query.trimLower);
+  const trimUpper = number(query.trimUpper);
+
+  return {
+    method: query.method,
+    level: query.level,
+    scale: query.scale,
+    margins: margins && margins.map(margin => margin.split(':').map(d => d.trim())),
+    cells: parseList(query.cells) || undefined,
+    trim: trimLower === undefined && trimUpper === undefined
+      ? undefined
+      : { lower: trimLower, upper: trimUpper },
+    cap: number(query.cap)
+  };
+}
+
+/**
+ * Format a build job for API responses
+ *
+ * @param {Object} job - BuildJob row
+ * @returns {Object} Job status with progress as { phase, current, total, percent }
+ */
+function formatJob(job) {
+  return {
+    jobId: job.id,
+    year: job.year,
+    universe: job.universe,
+    dataset: job.dataset,
+    geoType: job.geoType,
+    recodeScheme: job.recodeScheme,
+    plan: job.plan,
+    kind: job.kind,
+    derivation: job.derivation,
+    status: job.status,
+    progress: {
+      phase: job.phase,
+      current: job.progressCurrent,
+      total: job.progressTotal,
+      percent: job.progressTotal > 0
+        ? Math.round((job.progressCurrent / job.progressTotal) * 100)
+        : 0
+    },
+    message: job.message,
+    cancelRequested: job.cancelRequested,
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Format a geography group for API responses
+ *
+ * @param {Object} group - GeographyGroup row
+ * @returns {Object} Group definition with its member count
+ */
+function formatGroup(group) {
+  return {
+    name: group.name,
+    label: group.label,
+    geoType: group.geoType,
+    memberCount: group.members.length,
+    members: group.members,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  };
+}
+
+/**
+ * Standard 404 body for geography groups that do not exist
+ *
+ * @param {Array<string>} names - Group names
+ * @returns {Object} { error, message }
+ */
+function missingGroups(names) {
+  return {
+    error: 'Geography group not found',
+    message: `No geography group named ${names.join(', ')}. See GET /api/groups.`
+  };
+}
+
+/**
+ * Load the geography groups named by the group query parameter
+ *
+ * Groups must have members of the table's geography type.
+ *
+ * @param {Object} query - Express req.query
+ * @param {string} geoType - Geography type of the table
+ * @returns {Promise<Object>} { groups } (null if the parameter is absent), or { status, error: { error, message } }
+ */
+async function loadQueryGroups(query, geoType) {
+  const names = parseList(query.group);
+  if (!names) {
+    return { groups: null };
+  }
+
+  const { groups, missing } = await getGroups([...new Set(names.map(name => name.toLowerCase()))]);
+  if (missing) {
+    return { status: 404, error: missingGroups(missing) };
+  }
+
+  const mismatched = groups.find(group => group.geoType !== geoType);
+  if (mismatched) {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid group',
+        message: `Group ${mismatched.name} has ${mismatched.geoType} members; add geography=${mismatched.geoType}`
+      }
+    };
+  }
+
+  return { groups };
+}
+
 // ============================================================================
 // API ROUTES
 // ============================================================================
@@ -49,45 +552,83 @@ app.get('/api/health', (req, res) => {
  * API information
  */
 app.get('/api/info', (req, res) => {
+  const defaultScheme = getScheme(DEFAULT_SCHEME);
   res.json({
     name: 'Census Poststratification API',
     description: 'Build demographic lookup tables from Census ACS data for MRP modeling',
     version: '1.0.0',
     endpoints: {
-      build: 'POST /api/build/:year (requires X-Admin-Secret)',
-      stats: 'GET /api/stats/:year',
-      district: 'GET /api/district/:year/:cd',
-      availableYears: 'GET /api/available-years'
+      build: 'POST /api/build/:year?universe=&dataset=&geography=&scheme=&allowVariableMismatch= (requires X-Admin-Secret)',
+      crosswalk: 'POST /api/crosswalk/:year?plan=&universe=&dataset=&geography=&scheme= (requires X-Admin-Secret)',
+      crosswalks: 'GET /api/crosswalks',
+      derive: 'POST /api/derive/:year?universe=&dataset=&geography=&scheme=&plan= (JSON { method, years, weights }; requires X-Admin-Secret)',
+      job: 'GET /api/jobs/:id',
+      cancelJob: 'DELETE /api/jobs/:id (requires X-Admin-Secret)',
+      buildRuns: 'GET /api/build-runs?year=&universe=&dataset=&geography=&scheme=&plan=&kind= (requires X-Admin-Secret)',
+      buildRun: 'GET /api/build-runs/:id (requires X-Admin-Secret)',
+      validation: 'GET /api/build-runs/:id/validation (requires X-Admin-Secret)',
+      diffBuildRuns: 'GET /api/build-runs/diff?from=&to=&limit= (requires X-Admin-Secret)',
+      rollback: 'POST /api/build-runs/:id/rollback (requires X-Admin-Secret)',
+      stats: 'GET /api/stats/:year?universe=&dataset=&geography=&scheme=&plan=&kind=',
+      compare: 'GET /api/compare?from=&to=&universe=&dataset=&geography=&scheme=&plan=&kind=&state=&region=&geoId=&z= (fromDataset=, toKind=, ... per side)',
+      district: 'GET /api/district/:year/:cd?universe=&dataset=&scheme=&plan=&kind=&rounding=',
+      geography: 'GET /api/geography/:year/:geoType/:geoId?universe=&dataset=&scheme=&plan=&kind=&rounding= (geoType group: geoId is a geography group)',
+      draws: 'GET /api/draws/:year?geography=&geoId=&n=&seed=&rounding=&universe=&dataset=&scheme=',
+      aggregate: 'GET /api/table/:year/aggregate?groupBy=&shareWithin=&<dimension>=&group=&universe=&dataset=&geography=&scheme=&plan=&kind=',
+      export: 'GET /api/table/:year/export?format=csv|tsv|parquet|json-lines&universe=&dataset=&geography=&scheme=&plan=&kind=&state=&region=&geoId=&group=&rounding=',
+      groups: 'GET /api/groups?geography=',
+      group: 'GET /api/groups/:name',
+      createGroup: 'POST /api/groups (JSON { name, label, geoType, members }; requires X-Admin-Secret)',
+      updateGroup: 'PUT /api/groups/:name (JSON { name, label, geoType, members }; requires X-Admin-Secret)',
+      deleteGroup: 'DELETE /api/groups/:name (requires X-Admin-Secret)',
+      weights: 'POST /api/weights/:year?universe=&dataset=&geography=&scheme=&plan=&kind= (JSON { respondents, options } or CSV upload)',
+      poststratify: 'POST /api/poststratify/:year?universe=&dataset=&geography=&scheme=&plan=&kind= (JSON { predictions, options })',
+      recodeSurvey: 'POST /api/recode/survey?source=ces|anes&surveyYear=&columns=&dropRejected= (JSON { source, surveyYear, columns, respondents } or CSV upload)',
+      recodeSchemes: 'GET /api/recode-schemes',
+      recodeScheme: 'GET /api/recode-schemes/:name',
+      variables: 'GET /api/variables/:year?dataset=&scheme=',
+      availableYears: 'GET /api/available-years?universe=&dataset=&geography=&scheme=&plan='
     },
+    universes: UNIVERSES,
+    kinds: FRAME_KINDS,
+    deriveMethods: DERIVE_METHODS,
+    smoothingLevels: SMOOTHING_LEVELS,
+    roundingModes: ROUNDING_MODES,
+    datasets: Object.fromEntries(Object.entries(DATASETS).map(([key, d]) => [key, d.description])),
+    geographies: Object.fromEntries(
+      Object.entries(GEOGRAPHY_TYPES).map(([key, g]) => [key, { label: g.label, idFormat: g.idFormat }])
+    ),
+    // Cell counts follow the recode scheme: the default scheme's below,
+    // every scheme's in cellsPerGeography (see GET /api/recode-schemes)
     demographics: {
-      ageGroups: 6,
-      sexes: 2,
-      raceEthnicity: 5,
-      education: 5,
-      censusRegions: 5,
-      totalCellsPerDistrict: 300
+      ageGroups: defaultScheme.specs.ageGroup.levels.length,
+      sexes: defaultScheme.specs.sex.levels.length,
+      raceEthnicity: defaultScheme.specs.raceEth.levels.length,
+      education: defaultScheme.specs.education.levels.length,
+      censusRegions: defaultScheme.specs.censusRegion.levels.length,
+      totalCellsPerDistrict: defaultScheme.cellsPerGeography,
+      cellsPerGeography: Object.fromEntries(listSchemes().map(scheme => [scheme.name, scheme.cellsPerGeography]))
     }
   });
 });
 
 /**
  * POST /api/build/:year
- * Build poststrat table from Census ACS 1-year data
+ * Start a background build of a poststrat table from Census ACS data
+ *
+ * Query parameters: universe (adult|cvap), dataset (acs1|acs5),
+ * geography (state|county|cd|sldu|sldl|puma), allowVariableMismatch
+ * (true to build even if the scheme's variable codes are mismatched or
+ * missing in the year's metadata; otherwise the job fails)
+ *
+ * Returns 202 with a job ID; poll GET /api/jobs/:id for progress.
  *
  * Requires X-Admin-Secret header for security
  */
-app.post('/api/build/:year', async (req, res) => {
+app.post('/api/build/:year', requireAdmin, async (req, res) => {
   try {
-    // Validate admin secret
-    const adminSecret = req.headers['x-admin-secret'];
-    if (!process.env.ADMIN_SECRET || adminSecret !== process.env.ADMIN_SECRET) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Admin secret required. Set X-Admin-Secret header.'
-      });
-    }
-
     const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
 
     if (isNaN(year) || year < 2010 || year > new Date().getFullYear()) {
       return res.status(400).json({
@@ -96,224 +637,1770 @@ app.post('/api/build/:year', async (req, res) => {
       });
     }
 
-    console.log(`[${new Date().toISOString()}] Starting poststrat table build for ${year}...`);
+    if (error) {
+      return res.status(400).json(error);
+    }
 
-    // Fetch Census data
-    const censusData = await fetchACS1Year(year);
+    if (table.plan !== DEFAULT_TABLE.plan) {
+      return res.status(400).json({
+        error: 'Invalid plan',
+        message: `Builds use the plan the ACS published ("${DEFAULT_TABLE.plan}"). Use POST /api/crosswalk/${year}?plan=${table.plan} to carry a built table onto another plan.`
+      });
+    }
 
-    if (!censusData || censusData.length === 0) {
-      return res.status(404).json({
-        error: `No ACS 1-year data available for ${year}`,
-        message: 'ACS 1-year estimates may not be published yet. Try an earlier year (2022 or 2023).'
+    if (table.kind !== DEFAULT_TABLE.kind) {
+      return res.status(400).json({
+        error: 'Invalid kind',
+        message: `Builds fetch ACS estimates ("${DEFAULT_TABLE.kind}"). Use POST /api/derive/${year} to derive a ${table.kind} frame from other years.`
       });
     }
 
-    // Build table
-    const result = await buildPoststratTable(year, censusData);
+    const urbanicityMismatch = getScheme(table.recodeScheme).specs.urbanicity
+      ? urbanRuralMismatch(year, table.geoType)
+      : null;
+    if (urbanicityMismatch) {
+      return res.status(400).json({ error: 'Urbanicity unavailable', message: urbanicityMismatch });
+    }
 
-    console.log(`[${new Date().toISOString()}] Build complete!`);
+    const job = await startBuildJob(year, table, { allowVariableMismatch: req.query.allowVariableMismatch === 'true' });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Poststrat table built for ${year}`,
-      ...result
+      message: `Poststrat ${table.universe} ${table.dataset} table build queued for ${year} (${table.geoType}, ${table.recodeScheme} scheme)`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
     });
 
   } catch (error) {
     console.error('Build error:', error);
     res.status(500).json({
-      error: 'Failed to build poststrat table',
+      error: 'Failed to start poststrat table build',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/stats/:year
- * Get summary statistics for a poststrat table
+ * POST /api/crosswalk/:year
+ * Start a background re-apportionment of a built table onto a district plan
+ *
+ * Query parameters: plan (required; a crosswalk in crosswalks/), and
+ * universe, dataset, geography, scheme as for /api/build. The table's
+ * current "acs" version is re-apportioned; the result is served by the
+ * table endpoints with ?plan=. The year's ACS frame must be on the
+ * crosswalk's source plan.
+ *
+ * Returns 202 with a job ID; poll GET /api/jobs/:id for progress.
+ *
+ * Requires X-Admin-Secret header for security
  */
-app.get('/api/stats/:year', async (req, res) => {
+app.post('/api/crosswalk/:year', requireAdmin, async (req, res) => {
   try {
     const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
 
     if (isNaN(year)) {
       return res.status(400).json({ error: 'Invalid year' });
     }
 
-    const stats = await getTableStats(year);
+    if (error) {
+      return res.status(400).json(error);
+    }
 
-    if (stats.totalCells === 0) {
-      return res.status(404).json({
-        error: 'No data found',
-        message: `No poststrat table exists for ${year}. Use POST /api/build/${year} to create one.`
+    const available = listCrosswalks();
+    if (req.query.plan === undefined || !available.some(crosswalk => crosswalk.plan === table.plan)) {
+      return res.status(400).json({
+        error: 'Invalid plan',
+        message: available.length > 0
+          ? `plan must be one of: ${available.map(crosswalk => crosswalk.plan).join(', ')}`
+          : 'No crosswalk plans are installed (see CROSSWALKS_DIR)'
       });
     }
 
-    res.json({
+    if (GEOGRAPHY_TYPES[table.geoType].inState === false) {
+      return res.status(400).json({
+        error: 'Invalid geography',
+        message: `${GEOGRAPHY_TYPES[table.geoType].label} tables cannot be crosswalked`
+      });
+    }
+
+    if (table.kind !== DEFAULT_TABLE.kind) {
+      return res.status(400).json({
+        error: 'Invalid kind',
+        message: `Only "${DEFAULT_TABLE.kind}" frames can be crosswalked; derive other kinds from crosswalked frames instead`
+      });
+    }
+
+    const { metadata, error: metadataError } = planMetadata(table.plan);
+    if (metadataError) {
+      return res.status(400).json(metadataError);
+    }
+
+    const mismatch = sourcePlanMismatch(year, table.geoType, table.plan, metadata);
+    if (mismatch) {
+      return res.status(400).json({ error: 'Wrong source plan', message: mismatch });
+    }
+
+    const source = await getCurrentBuildRun(year, { ...table, plan: DEFAULT_TABLE.plan });
+    if (!source) {
+      return res.status(404).json(missingTable(year, { ...table, plan: DEFAULT_TABLE.plan }));
+    }
+
+    const job = await startBuildJob(year, table);
+
+    res.status(202).json({
       success: true,
-      ...stats
+      message: `Crosswalk of the ${table.universe} ${table.dataset} table for ${year} (${table.geoType}, ${table.recodeScheme} scheme) onto plan ${table.plan} queued`,
+      jobId: job.id,
+      sourceBuildRunId: source.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
     });
 
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Crosswalk error:', error);
     res.status(500).json({
-      error: 'Failed to fetch statistics',
+      error: 'Failed to start crosswalk',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/district/:year/:cd
- * Get cells for a specific congressional district
+ * POST /api/derive/:year
+ * Start a background derivation of a year's frame from other years' frames
  *
- * Example: GET /api/district/2022/TX-32
+ * Query parameters: universe, dataset, geography, scheme, plan as for
+ * /api/crosswalk. Body (JSON):
+ * - method: "pool" (kind "pooled"), or "linear" / "loglinear" (kind
+ *   "interpolated" between the years, "projected" beyond them)
+ * - years: source years, each with a current "acs" table (two for
+ *   interpolation; two or more for pooling), on one district plan
+ * - weights: pooling weights, one per year (default equal)
+ *
+ * The result is served by the table endpoints with ?kind=.
+ *
+ * Returns 202 with a job ID; poll GET /api/jobs/:id for progress.
+ *
+ * Requires X-Admin-Secret header for security
  */
-app.get('/api/district/:year/:cd', async (req, res) => {
+app.post('/api/derive/:year', requireAdmin, async (req, res) => {
   try {
     const year = parseInt(req.params.year, 10);
-    const cd = req.params.cd.toUpperCase();
+    const { table, error } = parseTableParams(req.query);
 
     if (isNaN(year)) {
       return res.status(400).json({ error: 'Invalid year' });
     }
 
-    if (!/^[A-Z]{2}-\d{2}$/.test(cd)) {
-      return res.status(400).json({
-        error: 'Invalid congressional district format',
-        message: 'Format should be STATE-NN (e.g., TX-32, CA-01)'
-      });
+    if (error) {
+      return res.status(400).json(error);
     }
 
-    const cells = await getCellsByDistrict(year, cd);
+    const { derivation, error: derivationError } = resolveDerivation(year, req.body || {});
+    if (derivationError) {
+      return res.status(400).json(derivationError);
+    }
 
-    if (cells.length === 0) {
-      return res.status(404).json({
-        error: 'No data found',
-        message: `No poststrat cells for ${cd} in ${year}. Build the table first.`
-      });
+    const { error: planError } = sourcePlans(derivation.years, table);
+    if (planError) {
+      return res.status(400).json({ error: 'Different district plans', message: planError });
     }
 
-    // Calculate district total population
-    const totalPopulation = cells.reduce((sum, cell) => sum + cell.population, 0);
+    const sources = [];
+    for (const sourceYear of derivation.years) {
+      const sourceTable = { ...table, kind: DEFAULT_TABLE.kind };
+      const run = await getCurrentBuildRun(sourceYear, sourceTable);
+      if (!run) {
+        return res.status(404).json(missingTable(sourceYear, sourceTable));
+      }
+      sources.push({ year: sourceYear, buildRunId: run.id });
+    }
 
-    // Get demographic breakdowns
-    const demographics = {
-      ageGroups: [...new Set(cells.map(c => c.ageGroup))].sort(),
-      sexes: [...new Set(cells.map(c => c.sex))],
-      raceEth: [...new Set(cells.map(c => c.raceEth))],
-      education: [...new Set(cells.map(c => c.education))]
-    };
+    const job = await startBuildJob(year, table, { derivation });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      year,
-      cd,
-      cellCount: cells.length,
-      totalPopulation,
-      demographics,
-      cells: req.query.full === 'true' ? cells : cells.slice(0, 10) // Return first 10 by default
+      message: `Derivation of the ${derivation.kind} ${table.universe} ${table.dataset} table for ${year} (${table.geoType}, ${table.recodeScheme} scheme) from ${derivation.years.join(', ')} queued`,
+      jobId: job.id,
+      kind: derivation.kind,
+      method: derivation.method,
+      sources: sources.map((source, i) => ({ ...source, weight: derivation.weights[i] })),
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
     });
 
   } catch (error) {
-    console.error('Error fetching district cells:', error);
+    console.error('Derive error:', error);
     res.status(500).json({
-      error: 'Failed to fetch district cells',
+      error: 'Failed to start derivation',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/available-years
- * Get list of available ACS years
+ * GET /api/crosswalks
+ * List the crosswalk plans installed in crosswalks/
  */
-app.get('/api/available-years', (req, res) => {
+app.get('/api/crosswalks', (req, res) => {
   try {
-    const years = getAvailableYears();
+    const crosswalks = listCrosswalks();
     res.json({
       success: true,
-      years,
-      message: 'ACS 1-year data is typically available 12-18 months after collection year',
-      recommended: years[1] // Usually current year - 2
+      defaultPlan: DEFAULT_TABLE.plan,
+      count: crosswalks.length,
+      crosswalks
     });
   } catch (error) {
+    console.error('Error listing crosswalks:', error);
     res.status(500).json({
-      error: 'Failed to get available years',
+      error: 'Failed to list crosswalks',
       message: error.message
     });
   }
 });
 
 /**
- * DELETE /api/table/:year
- * Delete poststrat table for a year (admin only)
+ * GET /api/jobs/:id
+ * Get build job status and progress
  */
-app.delete('/api/table/:year', async (req, res) => {
+app.get('/api/jobs/:id', async (req, res) => {
   try {
-    // Validate admin secret
-    const adminSecret = req.headers['x-admin-secret'];
-    if (!process.env.ADMIN_SECRET || adminSecret !== process.env.ADMIN_SECRET) {
-      return res.status(401).json({ error: 'Unauthorized - Admin secret required' });
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No build job with ID ${req.params.id}`
+      });
     }
 
-    const year = parseInt(req.params.year, 10);
+    res.json(formatJob(job));
 
-    if (isNaN(year)) {
-      return res.status(400).json({ error: 'Invalid year' });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({
+      error: 'Failed to get job status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running build job (requires admin secret)
+ */
+app.delete('/api/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const { job, finished } = await cancelJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No build job with ID ${req.params.id}`
+      });
     }
 
-    const deletedCount = await deleteTable(year);
+    if (finished) {
+      return res.status(409).json({
+        error: 'Job already finished',
+        message: `Job ${job.id} is ${job.status}`
+      });
+    }
 
-    res.json({
+    res.status(202).json({
       success: true,
-      year,
-      deletedCount,
-      message: `Deleted ${deletedCount} cells for ${year}`
+      message: 'Cancellation requested',
+      ...formatJob(job)
     });
 
   } catch (error) {
-    console.error('Error deleting table:', error);
+    console.error('Cancel job error:', error);
     res.status(500).json({
-      error: 'Failed to delete table',
+      error: 'Failed to cancel job',
       message: error.message
     });
   }
 });
 
-// ============================================================================
-// FRONTEND
-// ============================================================================
-
 /**
- * GET /
- * Serve demo frontend
+ * GET /api/build-runs
+ * List table versions, newest first (requires admin secret)
+ *
+ * Query parameters (all optional): year, universe, dataset, geography, scheme
  */
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+app.get('/api/build-runs', requireAdmin, async (req, res) => {
+  try {
+    const { table, error } = parseTableParams(req.query);
 
-// ============================================================================
-// START SERVER
-// ============================================================================
+    if (error) {
+      return res.status(400).json(error);
+    }
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('============================================================');
-  console.log('Census Poststratification API - Demo Server');
-  console.log('============================================================');
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('');
-  console.log('API Endpoints:');
-  console.log(`  GET  /api/info              - API information`);
-  console.log(`  GET  /api/health            - Health check`);
-  console.log(`  GET  /api/available-years   - List available ACS years`);
-  console.log(`  POST /api/build/:year       - Build table (requires admin secret)`);
-  console.log(`  GET  /api/stats/:year       - Get table statistics`);
-  console.log(`  GET  /api/district/:year/:cd - Get district cells`);
-  console.log('');
-  console.log('Demo UI:');
-  console.log(`  http://localhost:${PORT}/`);
+    const filter = {};
+    if (req.query.year !== undefined) {
+      filter.year = parseInt(req.query.year, 10);
+      if (isNaN(filter.year)) {
+        return res.status(400).json({ error: 'Invalid year' });
+      }
+    }
+    if (req.query.universe !== undefined) filter.universe = table.universe;
+    if (req.query.dataset !== undefined) filter.dataset = table.dataset;
+    if (req.query.geography !== undefined) filter.geoType = table.geoType;
+    if (req.query.scheme !== undefined) filter.recodeScheme = table.recodeScheme;
+    if (req.query.plan !== undefined) filter.plan = table.plan;
+    if (req.query.kind !== undefined) filter.kind = table.kind;
+
+    const buildRuns = await listBuildRuns(filter);
+
+    res.json({
+      success: true,
+      count: buildRuns.length,
+      buildRuns
+    });
+
+  } catch (error) {
+    console.error('Error listing build runs:', error);
+    res.status(500).json({
+      error: 'Failed to list build runs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/build-runs/diff?from=:id&to=:id
+ * Compare the cells of two table versions (requires admin secret)
+ *
+ * Query parameters: from, to (build run IDs), limit (largest changes to list, default 20)
+ */
+app.get('/api/build-runs/diff', requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Missing build runs',
+        message: 'Pass ?from=<buildRunId>&to=<buildRunId>'
+      });
+    }
+
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const diff = await diffBuildRuns(String(from), String(to), { limit });
+
+    if (!diff) {
+      return res.status(404).json({
+        error: 'Build run not found',
+        message: `No build run with ID ${from} or ${to}`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...diff
+    });
+
+  } catch (error) {
+    console.error('Error diffing build runs:', error);
+    res.status(500).json({
+      error: 'Failed to diff build runs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/build-runs/:id
+ * Get one table version with its build statistics (requires admin secret)
+ */
+app.get('/api/build-runs/:id', requireAdmin, async (req, res) => {
+  try {
+    const buildRun = await getBuildRun(req.params.id);
+
+    if (!buildRun) {
+      return res.status(404).json({
+        error: 'Build run not found',
+        message: `No build run with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...buildRun
+    });
+
+  } catch (error) {
+    console.error('Error fetching build run:', error);
+    res.status(500).json({
+      error: 'Failed to fetch build run',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/build-runs/:id/validation
+ * Get a table version's validation report: frame totals against the ACS
+ * adult, race and education totals, the largest deviations, geographies
+ * with missing or zero inputs, and rounding loss (requires admin secret)
+ */
+app.get('/api/build-runs/:id/validation', requireAdmin, async (req, res) => {
+  try {
+    const run = await getBuildRunValidation(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        error: 'Build run not found',
+        message: `No build run with ID ${req.params.id}`
+      });
+    }
+
+    if (!run.validation) {
+      return res.status(404).json({
+        error: 'No validation report',
+        message: `Build run ${run.id} (${run.status}) has no validation report. Reports are written once a build has recoded every geography; older runs have none.`
+      });
+    }
+
+    const { validation, ...table } = run;
+    res.json({
+      success: true,
+      buildRunId: run.id,
+      ...table,
+      ...validation
+    });
+
+  } catch (error) {
+    console.error('Error fetching validation report:', error);
+    res.status(500).json({
+      error: 'Failed to fetch validation report',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/build-runs/:id/rollback
+ * Make a previous table version current again (requires admin secret)
+ */
+app.post('/api/build-runs/:id/rollback', requireAdmin, async (req, res) => {
+  try {
+    const { run, previousBuildRunId, error } = await rollbackToBuildRun(req.params.id);
+
+    if (error === 'not_found') {
+      return res.status(404).json({
+        error: 'Build run not found',
+        message: `No build run with ID ${req.params.id}`
+      });
+    }
+
+    if (error === 'not_complete') {
+      return res.status(409).json({
+        error: 'Build run not complete',
+        message: `Build run ${run.id} is ${run.status}; only complete runs can be made current`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Build run ${run.id} is now the current ${run.universe} ${run.dataset} table for ${run.year} (${run.geoType})`,
+      buildRunId: run.id,
+      previousBuildRunId
+    });
+
+  } catch (error) {
+    console.error('Error rolling back build run:', error);
+    res.status(500).json({
+      error: 'Failed to roll back',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/stats/:year
+ * Get summary statistics for a poststrat table
+ */
+app.get('/api/stats/:year', async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
+
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const stats = await getTableStats(year, table);
+
+    if (stats.totalCells === 0) {
+      return res.status(404).json(missingTable(year, table));
+    }
+
+    res.json({
+      success: true,
+      ...stats
+    });
+
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch statistics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/compare?from=:year&to=:year
+ * Compare two table versions: population and composition changes by
+ * dimension level and by cell, geographies whose composition shifted more
+ * than sampling error would explain, and geographies in only one version
+ *
+ * Query parameters:
+ * - from, to: ACS years (may be equal when comparing versions)
+ * - universe, dataset, geography, scheme, plan, kind as for /api/stats;
+ *   universe, dataset, plan and kind can differ per side as
+ *   fromUniverse/toUniverse, fromDataset/toDataset, fromPlan/toPlan and
+ *   fromKind/toKind (e.g., acs1 against acs5, a frame against its
+ *   crosswalk onto a new plan, or a projection against the published year)
+ * - state, region, geoId (or cd): scope, as for the export endpoint
+ * - z: standard errors a level's share must move by to flag a geography (default 3)
+ *
+ * Example: GET /api/compare?from=2022&to=2023&state=TX
+ */
+app.get('/api/compare', async (req, res) => {
+  try {
+    const fromYear = parseInt(req.query.from, 10);
+    const toYear = parseInt(req.query.to, 10);
+
+    if (isNaN(fromYear) || isNaN(toYear)) {
+      return res.status(400).json({
+        error: 'Invalid years',
+        message: 'Pass ?from=<year>&to=<year> (e.g., from=2022&to=2023)'
+      });
+    }
+
+    // Each side's table: the shared parameters, overridden by from*/to* ones
+    const sideParams = prefix => {
+      const query = { ...req.query };
+      for (const param of ['universe', 'dataset', 'plan', 'kind']) {
+        const override = req.query[prefix + param[0].toUpperCase() + param.slice(1)];
+        if (override !== undefined) query[param] = override;
+      }
+      return parseTableParams(query);
+    };
+    const fromParams = sideParams('from');
+    const toParams = sideParams('to');
+
+    if (fromParams.error || toParams.error) {
+      return res.status(400).json(fromParams.error || toParams.error);
+    }
+
+    const { filters, error: filterError } = parseExportFilters(req.query, toParams.table.geoType);
+
+    if (filterError) {
+      return res.status(400).json(filterError);
+    }
+
+    const { options, error: optionsError } = resolveCompareOptions({ z: req.query.z });
+
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    const [fromRun, toRun] = await Promise.all([
+      getCurrentBuildRun(fromYear, fromParams.table),
+      getCurrentBuildRun(toYear, toParams.table)
+    ]);
+
+    if (!fromRun) {
+      return res.status(404).json(missingTable(fromYear, fromParams.table));
+    }
+
+    if (!toRun) {
+      return res.status(404).json(missingTable(toYear, toParams.table));
+    }
+
+    const comparison = await compareTables(fromRun, toRun, filters, options);
+    const side = (year, { universe, dataset, plan, kind }, run) => ({
+      year,
+      universe,
+      dataset,
+      plan,
+      kind,
+      buildRunId: run.id,
+      builtAt: run.completedAt
+    });
+
+    res.json({
+      success: true,
+      geoType: toParams.table.geoType,
+      recodeScheme: toParams.table.recodeScheme,
+      from: side(fromYear, fromParams.table, fromRun),
+      to: side(toYear, toParams.table, toRun),
+      scope: filters,
+      z: options.z,
+      ...comparison
+    });
+
+  } catch (error) {
+    console.error('Error comparing tables:', error);
+    res.status(500).json({
+      error: 'Failed to compare tables',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Respond with the cells of one geography
+ * Shared by the district and generic geography routes.
+ *
+ * A geography type of "group" reads a geography group: its cells are
+ * rolled up from its members' in the table of the members' type.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} geoType - Geography type, or "group"
+ * @param {string} rawGeoId - Geography ID (or group name) from the URL
+ */
+async function sendGeographyCells(req, res, geoType, rawGeoId) {
+  const year = parseInt(req.params.year, 10);
+  const isGroup = geoType === 'group';
+
+  if (isNaN(year)) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+
+  const group = isGroup ? await getGroup(rawGeoId.toLowerCase()) : null;
+
+  if (isGroup && !group) {
+    return res.status(404).json(missingGroups([rawGeoId.toLowerCase()]));
+  }
+
+  const geoId = isGroup ? group.name : rawGeoId.toUpperCase();
+  const { table, error } = parseTableParams({ ...req.query, geography: isGroup ? group.geoType : geoType });
+  const { rounding, error: roundingError } = parseRounding(req.query);
+
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  if (roundingError) {
+    return res.status(400).json(roundingError);
+  }
+
+  if (!isGroup && !isValidGeoId(geoType, geoId)) {
+    return res.status(400).json(invalidGeoId(geoType));
+  }
+
+  let rollUp = null;
+  if (isGroup) {
+    const run = await getCurrentBuildRun(year, table);
+    if (!run) {
+      return res.status(404).json(missingTable(year, table));
+    }
+    rollUp = await rollUpGroup(run, group);
+  }
+
+  const cells = roundCells(isGroup ? rollUp.cells : await getCellsByGeography(year, geoType, geoId, table), rounding);
+
+  if (cells.length === 0) {
+    return res.status(404).json({
+      error: 'No data found',
+      message: isGroup
+        ? `None of group ${geoId}'s members have ${table.universe} ${table.dataset} poststrat cells in ${year}`
+        : `No ${table.universe} ${table.dataset} poststrat cells for ${geoId} in ${year}. Build the table first.`
+    });
+  }
+
+  // Calculate geography total population
+  const totalPopulation = cells.reduce((sum, cell) => sum + cell.population, 0);
+
+  // Cell SEs combine like a sum of estimates: sqrt(Σ SE²)
+  const totalPopulationSE = Math.sqrt(
+    cells.reduce((sum, cell) => sum + (cell.standardError || 0) ** 2, 0)
+  );
+
+  // Get demographic breakdowns (age groups in recode scheme order)
+  const ageGroups = new Set(cells.map(c => c.ageGroup));
+  const scheme = getScheme(table.recodeScheme);
+  const demographics = {
+    ageGroups: scheme.specs.ageGroup.levels.filter(level => ageGroups.has(level)),
+    sexes: [...new Set(cells.map(c => c.sex))],
+    raceEth: [...new Set(cells.map(c => c.raceEth))],
+    education: [...new Set(cells.map(c => c.education))],
+    ...Object.fromEntries(scheme.extraDimensions.map(dimension => {
+      const present = new Set(cells.map(c => c[dimension]));
+      return [dimension, scheme.specs[dimension].levels.filter(level => present.has(level))];
+    }))
+  };
+
+  res.json({
+    success: true,
+    year,
+    universe: table.universe,
+    dataset: table.dataset,
+    geoType,
+    recodeScheme: table.recodeScheme,
+    plan: table.plan,
+    kind: table.kind,
+    geoId,
+    ...(geoType === 'cd' ? { cd: geoId } : {}),
+    ...(isGroup ? {
+      group: {
+        name: group.name,
+        label: group.label,
+        geoType: group.geoType,
+        memberCount: group.members.length,
+        membersFound: rollUp.membersFound,
+        missingMembers: rollUp.missingMembers
+      }
+    } : {}),
+    rounding,
+    cellCount: cells.length,
+    totalPopulation,
+    totalPopulationSE,
+    demographics,
+    education: isGroup
+      ? await getEducationByAge(year, table.geoType, group.members.map(member => member.geoId).filter(memberId => !rollUp.missingMembers.includes(memberId)), cells, table)
+      : await getEducationByAge(year, geoType, geoId, cells, table),
+    cells: req.query.full === 'true' ? cells : cells.slice(0, 10) // Return first 10 by default
+  });
+}
+
+/**
+ * GET /api/district/:year/:cd
+ * Get cells for a specific congressional district
+ *
+ * Example: GET /api/district/2022/TX-32
+ */
+app.get('/api/district/:year/:cd', async (req, res) => {
+  try {
+    await sendGeographyCells(req, res, 'cd', req.params.cd);
+  } catch (error) {
+    console.error('Error fetching district cells:', error);
+    res.status(500).json({
+      error: 'Failed to fetch district cells',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/geography/:year/:geoType/:geoId
+ * Get cells for any geography (state, county, cd, sldu, sldl, puma), or
+ * for a geography group (geoType "group", geoId the group name)
+ *
+ * Example: GET /api/geography/2022/sldl/TX-L-121?dataset=acs5
+ * Example: GET /api/geography/2022/group/dallas-ft-worth
+ */
+app.get('/api/geography/:year/:geoType/:geoId', async (req, res) => {
+  try {
+    await sendGeographyCells(req, res, req.params.geoType.toLowerCase(), req.params.geoId);
+  } catch (error) {
+    console.error('Error fetching geography cells:', error);
+    res.status(500).json({
+      error: 'Failed to fetch geography cells',
+      message: error.message
+    });
+  }
+});
+
+// Draw limits keep responses to a reasonable size
+const MAX_GEOGRAPHY_DRAWS = 200;
+const MAX_YEAR_DRAWS = 20;
+
+// Most cells (geographies × cells per geography) and simulated values
+// (cells × draws) one response may hold; all are built in memory before
+// the response is sent
+const MAX_DRAW_CELLS = 1000000;
+const MAX_DRAW_VALUES = 5000000;
+
+// Geography types with few enough geographies to draw a full year at once
+const FULL_YEAR_DRAW_TYPES = ['state', 'cd', 'sldu'];
+
+/**
+ * GET /api/draws/:year
+ * Simulated poststrat frames for uncertainty propagation
+ *
+ * Each draw samples the ACS estimates from their margins of error and
+ * re-runs the recode and allocation pipeline on Census data fetched for
+ * the request (from the response cache when possible), so the route is
+ * admin-only. Query parameters:
+ * - geoId: limit to one geography (cd is accepted as a shorthand for
+ *   congressional districts, e.g. cd=TX-32); only that geography is
+ *   fetched. Required for county, sldl and puma.
+ * - n: number of draws (default 50; max 200 for one geography, 20 for a
+ *   year; at most MAX_DRAW_CELLS cells and MAX_DRAW_VALUES cells × draws)
+ * - seed: integer seed (random if omitted; always echoed back)
+ * - rounding: none (default) or controlled, as for /api/district
+ * - universe, dataset, geography, scheme: as for /api/build
+ *
+ * Example: GET /api/draws/2022?cd=TX-32&n=100&seed=42
+ */
+app.get('/api/draws/:year', requireAdmin, async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
+    const rawGeoId = req.query.geoId || req.query.cd;
+    const geoId = rawGeoId ? String(rawGeoId).toUpperCase() : null;
+    const draws = req.query.n !== undefined ? parseInt(req.query.n, 10) : 50;
+    const seed = req.query.seed !== undefined
+      ? parseInt(req.query.seed, 10)
+      : Math.floor(Math.random() * 2 ** 31);
+    const { rounding, error: roundingError } = parseRounding(req.query);
+
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    if (roundingError) {
+      return res.status(400).json(roundingError);
+    }
+
+    const { universe, dataset, geoType, recodeScheme } = table;
+
+    // Draws re-run the allocation on Census data, which is only published on the ACS plan
+    if (table.plan !== DEFAULT_TABLE.plan) {
+      return res.status(400).json({
+        error: 'Invalid plan',
+        message: `Draws are only available on the plan the ACS published ("${DEFAULT_TABLE.plan}")`
+      });
+    }
+
+    if (table.kind !== DEFAULT_TABLE.kind) {
+      return res.status(400).json({
+        error: 'Invalid kind',
+        message: `Draws are only available for ACS estimates ("${DEFAULT_TABLE.kind}")`
+      });
+    }
+
+    if (geoId && !isValidGeoId(geoType, geoId)) {
+      return res.status(400).json(invalidGeoId(geoType));
+    }
+
+    if (!geoId && !FULL_YEAR_DRAW_TYPES.includes(geoType)) {
+      return res.status(400).json({
+        error: 'geoId required',
+        message: `Full-year draws are only available for ${FULL_YEAR_DRAW_TYPES.join(', ')}; pass geoId for one ${GEOGRAPHY_TYPES[geoType].label.toLowerCase()}`
+      });
+    }
+
+    const maxDraws = geoId ? MAX_GEOGRAPHY_DRAWS : MAX_YEAR_DRAWS;
+    if (isNaN(draws) || draws < 1 || draws > maxDraws) {
+      return res.status(400).json({
+        error: 'Invalid draw count',
+        message: `n must be between 1 and ${maxDraws}${geoId ? '' : ' for a full year (pass geoId for more)'}`
+      });
+    }
+
+    if (isNaN(seed)) {
+      return res.status(400).json({ error: 'Invalid seed', message: 'seed must be an integer' });
+    }
+
+    const urbanicityMismatch = getScheme(recodeScheme).specs.urbanicity ? urbanRuralMismatch(year, geoType) : null;
+    if (urbanicityMismatch) {
+      return res.status(400).json({ error: 'Urbanicity unavailable', message: urbanicityMismatch });
+    }
+
+    const rows = await fetchSchemeData(year, getScheme(recodeScheme), {
+      dataset,
+      geography: geoType,
+      ...(geoId ? { geoId } : {})
+    });
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: geoId ? `No ACS ${dataset} data for ${geoId} in ${year}` : `No ACS ${dataset} data available for ${year}`
+      });
+    }
+
+    const cellCount = rows.length * getScheme(recodeScheme).cellsPerGeography;
+    if (cellCount > MAX_DRAW_CELLS || cellCount * draws > MAX_DRAW_VALUES) {
+      const maxForRequest = cellCount > MAX_DRAW_CELLS ? 0 : Math.floor(MAX_DRAW_VALUES / cellCount);
+      return res.status(400).json({
+        error: 'Too many draws',
+        message: `${rows.length} geographies × ${getScheme(recodeScheme).cellsPerGeography} cells (${recodeScheme} scheme) × ${draws} draws is more than one response can hold (${MAX_DRAW_CELLS} cells and ${MAX_DRAW_VALUES} simulated values); ${maxForRequest > 0 ? `use n of at most ${maxForRequest}, or ` : ''}pass geoId for one geography`
+      });
+    }
+
+    const result = await simulateDraws(year, rows, { draws, seed, universe, geoType, recodeScheme, rounding });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error simulating draws:', error);
+    res.status(500).json({
+      error: 'Failed to simulate draws',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/available-years
+ * Get list of available ACS years, and which kinds of frame are stored for
+ * each
+ *
+ * Query parameters: universe, dataset, geography, scheme, plan as for
+ * /api/stats (the table whose stored frames are reported)
+ */
+app.get('/api/available-years', async (req, res) => {
+  try {
+    const { table, error } = parseTableParams(req.query);
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const frames = getAvailableYears(await listCurrentTables(table));
+    const years = frames.map(frame => frame.year);
+    const published = frames.filter(frame => frame.published).map(frame => frame.year);
+    res.json({
+      success: true,
+      years,
+      frames,
+      message: 'ACS 1-year data is typically available 12-18 months after collection year',
+      recommended: published[1] // Usually current year - 2
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get available years',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/table/:year/aggregate
+ * Population sums, shares and cell counts over groups of cells
+ *
+ * Query parameters: groupBy, shareWithin, dimension filters, group (see
+ * parseAggregateParams), and universe, dataset, geography as for /api/build.
+ *
+ * Example: share of Hispanic adults in the South with a BA/BS
+ *   GET /api/table/2022/aggregate?groupBy=education&raceEth=Hispanic&censusRegion=South
+ * Example: education by media market
+ *   GET /api/table/2022/aggregate?group=dallas-ft-worth,houston&groupBy=group,education&shareWithin=group
+ */
+app.get('/api/table/:year/aggregate', async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
+
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const params = parseAggregateParams(req.query, table.geoType, schemeSpecs(table.recodeScheme));
+
+    if (params.error) {
+      return res.status(400).json(params.error);
+    }
+
+    const { groups, status, error: groupError } = await loadQueryGroups(req.query, table.geoType);
+
+    if (groupError) {
+      return res.status(status).json(groupError);
+    }
+
+    const { groupBy, shareWithin, filters } = params;
+    const { universe, dataset, geoType, recodeScheme, plan, kind } = table;
+    const result = await aggregateCells(year, table, { groupBy, shareWithin, filters, groups });
+
+    if (!result) {
+      return res.status(404).json(missingTable(year, table));
+    }
+
+    res.json({
+      success: true,
+      year,
+      universe,
+      dataset,
+      geoType,
+      recodeScheme,
+      plan,
+      kind,
+      buildRunId: result.buildRunId,
+      groupBy,
+      shareWithin,
+      filters,
+      ...(groups ? { geographyGroups: groups.map(group => group.name) } : {}),
+      totalPopulation: result.totalPopulation,
+      groupCount: result.groups.length,
+      groups: result.groups
+    });
+
+  } catch (error) {
+    console.error('Aggregate error:', error);
+    res.status(500).json({
+      error: 'Failed to aggregate table',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/table/:year/export
+ * Stream a full poststrat table
+ *
+ * Query parameters:
+ * - format: csv (default), tsv, parquet or json-lines
+ * - universe, dataset, geography, scheme: as for /api/build
+ * - state, region, geoId (or cd): comma-separated filters
+ * - group: comma-separated geography groups, exported as one rolled-up
+ *   geography each instead of the table's geographies (not combined with
+ *   the filters)
+ * - rounding: none (default) or controlled (whole people, keeping each
+ *   geography's total)
+ *
+ * Rows are ordered by geography, then by the recode scheme's level order;
+ * the level order is sent in the X-Factor-Levels header (and in Parquet
+ * file metadata as factor_levels).
+ *
+ * Example: GET /api/table/2022/export?format=parquet&state=TX,CA
+ */
+app.get('/api/table/:year/export', async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
+    const format = req.query.format === undefined ? 'csv' : String(req.query.format).toLowerCase();
+
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const { filters, error: filterError } = parseExportFilters(req.query, table.geoType);
+
+    if (filterError) {
+      return res.status(400).json(filterError);
+    }
+
+    const { rounding, error: roundingError } = parseRounding(req.query);
+
+    if (roundingError) {
+      return res.status(400).json(roundingError);
+    }
+
+    const { groups, status, error: groupError } = await loadQueryGroups(req.query, table.geoType);
+
+    if (groupError) {
+      return res.status(status).json(groupError);
+    }
+
+    if (groups && Object.values(filters).some(Boolean)) {
+      return res.status(400).json({
+        error: 'Invalid filters',
+        message: 'group cannot be combined with state, region or geoId'
+      });
+    }
+
+    const { universe, dataset, geoType, recodeScheme, plan, kind } = table;
+    const run = await getCurrentBuildRun(year, table);
+
+    if (!run) {
+      return res.status(404).json(missingTable(year, table));
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const planSuffix = (plan === DEFAULT_TABLE.plan ? '' : `_${plan}`) + (kind === DEFAULT_TABLE.kind ? '' : `_${kind}`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="poststrat_${year}_${universe}_${dataset}_${groups ? 'group' : geoType}_${recodeScheme}${planSuffix}.${extension}"`);
+    res.setHeader('X-Build-Run-Id', run.id);
+    res.setHeader('X-Recode-Scheme', recodeScheme);
+    res.setHeader('X-Factor-Levels', JSON.stringify(factorLevels(recodeScheme)));
+    res.setHeader('X-Rounding', rounding);
+
+    const rowCount = await exportTable(run, format, filters, res, { rounding, groups });
+    console.log(`[${new Date().toISOString()}] Exported ${rowCount} rows of ${universe} ${dataset} ${year} (${geoType}, ${recodeScheme} scheme) as ${format}`);
+
+  } catch (error) {
+    console.error('Export error:', error);
+
+    // Once streaming has started the status is sent; cut the response short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      error: 'Failed to export table',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/weights/:year
+ * Weight survey respondents to a stored poststrat table
+ *
+ * Body: JSON { respondents: [...], options: {...} }, or a CSV/TSV upload
+ * (Content-Type text/csv or text/tab-separated-values) with options as
+ * query parameters (see parseWeightingQuery). Respondents carry ageGroup,
+ * sex, raceEth and education (and any optional dimensions the options use)
+ * coded to the recode scheme's levels, plus optional
+ * id, baseWeight and the geography of the weighting level (state,
+ * censusRegion, or geoId/cd).
+ *
+ * Options: method (raking|poststrat), level (national|censusRegion|state|
+ * geography), margins, cells, trim { lower, upper } (multiples of the mean
+ * weight), cap, scale (sample|population), ipf { maxIterations, tolerance }.
+ *
+ * Query parameters: universe, dataset, geography, scheme as for /api/build.
+ */
+app.post(
+  '/api/weights/:year',
+  express.text({ type: ['text/csv', 'text/tab-separated-values'], limit: '50mb' }),
+  async (req, res) => {
+    try {
+      const year = parseInt(req.params.year, 10);
+      const { table, error } = parseTableParams(req.query);
+
+      if (isNaN(year)) {
+        return res.status(400).json({ error: 'Invalid year' });
+      }
+
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      let records;
+      let rawOptions;
+      if (typeof req.body === 'string') {
+        try {
+          records = parseCsv(req.body, { delimiter: req.is('text/tab-separated-values') ? '\t' : ',' });
+        } catch (parseError) {
+          return res.status(400).json({ error: 'Invalid CSV', message: parseError.message });
+        }
+        rawOptions = parseWeightingQuery(req.query);
+      } else {
+        records = req.body && req.body.respondents;
+        rawOptions = (req.body && req.body.options) || {};
+      }
+
+      if (!Array.isArray(records)) {
+        return res.status(400).json({
+          error: 'Invalid body',
+          message: 'Send JSON { respondents: [...], options: {...} } or a CSV upload (Content-Type: text/csv)'
+        });
+      }
+
+      const { options, error: optionsError } = resolveWeightingOptions(rawOptions, schemeSpecs(table.recodeScheme));
+
+      if (optionsError) {
+        return res.status(400).json(optionsError);
+      }
+
+      const { universe, dataset, geoType, recodeScheme, plan, kind } = table;
+      const result = await computeWeights(year, table, records, options);
+
+      if (!result) {
+        return res.status(404).json(missingTable(year, table));
+      }
+
+      if (result.error) {
+        return res.status(400).json(result.error);
+      }
+
+      console.log(`[${new Date().toISOString()}] Weighted ${records.length} respondents to ${universe} ${dataset} ${year} (${geoType}) by ${options.method} (${options.level})`);
+
+      res.json({
+        success: true,
+        year,
+        universe,
+        dataset,
+        geoType,
+        recodeScheme,
+        plan,
+        kind,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Weighting error:', error);
+      res.status(500).json({
+        error: 'Failed to compute weights',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/poststratify/:year
+ * MRP estimates: population-weighted averages of cell-level predictions
+ *
+ * Body: JSON { predictions: [...], options: { by, interval } }. Each
+ * prediction is keyed by a tuple of dimensions (any of geoId/cd, state,
+ * censusRegion, ageGroup, sex, raceEth, education and the scheme's optional
+ * dimensions; the same for every prediction) and has `prediction` (a number) or `draws` (posterior draws).
+ * Estimates are reported by the `by` dimensions (default geoId), with
+ * credible intervals when draws are given.
+ *
+ * Query parameters: universe, dataset, geography, scheme as for /api/build.
+ */
+app.post('/api/poststratify/:year', async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
+
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const { predictions, options: rawOptions } = req.body || {};
+    const { options, error: optionsError } = resolvePoststratifyOptions(rawOptions, table.geoType, schemeSpecs(table.recodeScheme));
+
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    const { universe, dataset, geoType, recodeScheme, plan, kind } = table;
+    const run = await getCurrentBuildRun(year, table);
+
+    if (!run) {
+      return res.status(404).json(missingTable(year, table));
+    }
+
+    const result = await poststratify(run, predictions, options);
+
+    if (result.error) {
+      return res.status(400).json(result.error);
+    }
+
+    console.log(`[${new Date().toISOString()}] Poststratified ${predictions.length} predictions over ${universe} ${dataset} ${year} (${geoType}) by ${options.by.join(', ') || 'total'}`);
+
+    res.json({
+      success: true,
+      year,
+      universe,
+      dataset,
+      geoType,
+      recodeScheme,
+      plan,
+      kind,
+      buildRunId: run.id,
+      by: options.by,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Poststratification error:', error);
+    res.status(500).json({
+      error: 'Failed to poststratify',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/recode/survey
+ * Recode raw CES or ANES responses onto the RECODE_SPECS levels of the frame
+ * (the default recode scheme)
+ *
+ * Body: JSON { source, surveyYear, columns, dropRejected, respondents: [...] },
+ * or a CSV/TSV upload with the other fields as query parameters (columns as
+ * standard:actual pairs, e.g. columns=educ:educ_w2,birthyr:birthyr_w2).
+ *
+ * Respondents with any value that does not map cleanly are rejected: the
+ * request fails with 400 listing them, unless dropRejected is set, in
+ * which case they are left out and listed. The recoded respondents can be
+ * sent as-is to POST /api/weights.
+ */
+app.post(
+  '/api/recode/survey',
+  express.text({ type: ['text/csv', 'text/tab-separated-values'], limit: '50mb' }),
+  async (req, res) => {
+    try {
+      let records;
+      let params;
+      if (typeof req.body === 'string') {
+        try {
+          records = parseCsv(req.body, { delimiter: req.is('text/tab-separated-values') ? '\t' : ',' });
+        } catch (parseError) {
+          return res.status(400).json({ error: 'Invalid CSV', message: parseError.message });
+        }
+        const columns = parseList(req.query.columns);
+        const pairs = columns && columns.map(pair => pair.split(':').map(name => name.trim()));
+        const badPair = pairs && columns.find((pair, i) => pairs[i].length !== 2 || !pairs[i][0] || !pairs[i][1]);
+        if (badPair) {
+          return res.status(400).json({
+            error: 'Invalid columns',
+            message: `"${badPair}" is not a standard:actual column pair (e.g., columns=educ:educ_w2)`
+          });
+        }
+        params = {
+          source: req.query.source,
+          surveyYear: req.query.surveyYear,
+          columns: pairs && Object.fromEntries(pairs),
+          dropRejected: req.query.dropRejected === 'true'
+        };
+      } else {
+        const { respondents, ...rest } = req.body || {};
+        records = respondents;
+        params = rest;
+      }
+
+      const source = params.source === undefined ? undefined : String(params.source).toLowerCase();
+
+      if (!Object.prototype.hasOwnProperty.call(SURVEY_CODINGS, source)) {
+        return res.status(400).json({
+          error: 'Invalid source',
+          message: `source must be one of: ${Object.keys(SURVEY_CODINGS).join(', ')}`
+        });
+      }
+
+      const coding = SURVEY_CODINGS[source];
+
+      const surveyYear = params.surveyYear === undefined ? undefined : parseInt(params.surveyYear, 10);
+
+      if (coding.needsSurveyYear && (isNaN(surveyYear) || surveyYear < 1900 || surveyYear > new Date().getFullYear())) {
+        return res.status(400).json({
+          error: 'Invalid surveyYear',
+          message: `surveyYear is required for ${source} (ages are computed from birth year)`
+        });
+      }
+
+      if (params.columns !== undefined && params.columns !== null &&
+          (typeof params.columns !== 'object' || Array.isArray(params.columns))) {
+        return res.status(400).json({
+          error: 'Invalid columns',
+          message: 'columns must map standard column names to the names in your file (e.g., { "educ": "educ_w2" })'
+        });
+      }
+
+      if (!Array.isArray(records)) {
+        return res.status(400).json({
+          error: 'Invalid body',
+          message: 'Send JSON { source, surveyYear, respondents: [...] } or a CSV upload (Content-Type: text/csv)'
+        });
+      }
+
+      const { recoded, rejected } = recodeSurvey(records, {
+        source,
+        surveyYear,
+        columns: params.columns || {}
+      });
+
+      if (rejected.length > 0 && !params.dropRejected) {
+        return res.status(400).json({
+          error: 'Unmappable values',
+          message: `${rejected.length} of ${records.length} respondents have values that do not map onto RECODE_SPECS levels. Fix them, or set dropRejected to leave them out.`,
+          rejectedCount: rejected.length,
+          rejected: rejected.slice(0, 100)
+        });
+      }
+
+      res.json({
+        success: true,
+        source,
+        surveyYear: surveyYear ?? null,
+        recodeScheme: DEFAULT_SCHEME,
+        levels: Object.fromEntries(Object.keys(coding.dimensions).map(d => [d, RECODE_SPECS[d].levels])),
+        recodedCount: recoded.length,
+        rejectedCount: rejected.length,
+        respondents: recoded,
+        rejected: rejected.slice(0, 100)
+      });
+
+    } catch (error) {
+      console.error('Survey recode error:', error);
+      res.status(500).json({
+        error: 'Failed to recode survey',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/recode-schemes
+ * List the recode schemes tables can be built with
+ */
+app.get('/api/recode-schemes', (req, res) => {
+  try {
+    const schemes = listSchemes();
+    res.json({
+      success: true,
+      count: schemes.length,
+      schemes
+    });
+  } catch (error) {
+    console.error('Error listing recode schemes:', error);
+    res.status(500).json({
+      error: 'Failed to list recode schemes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/recode-schemes/:name
+ * One recode scheme: its levels and the Census table lines each level sums
+ */
+app.get('/api/recode-schemes/:name', (req, res) => {
+  try {
+    const scheme = getScheme(req.params.name);
+
+    if (!scheme) {
+      return res.status(404).json({
+        error: 'Recode scheme not found',
+        message: `No recode scheme named ${req.params.name}. See GET /api/recode-schemes.`
+      });
+    }
+
+    res.json({
+      success: true,
+      name: scheme.name,
+      description: scheme.description,
+      hash: scheme.hash,
+      levels: Object.fromEntries(Object.entries(scheme.specs).map(([dimension, spec]) => [dimension, spec.levels])),
+      definition: scheme.definition
+    });
+
+  } catch (error) {
+    console.error('Error fetching recode scheme:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recode scheme',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/variables/:year
+ * The ACS variables a recode scheme reads, resolved against the year's
+ * variables.json: each code's label and concept, the label the recodes
+ * expect, and whether they match
+ *
+ * Query parameters: dataset, scheme as for /api/build.
+ *
+ * Example: GET /api/variables/2022?dataset=acs5&scheme=income
+ */
+app.get('/api/variables/:year', async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    const { table, error } = parseTableParams(req.query);
+
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const { dataset, recodeScheme } = table;
+    const { dictionary, summary } = await checkSchemeVariables(year, getScheme(recodeScheme), { dataset });
+
+    if (summary.status === 'unavailable') {
+      return res.status(502).json({
+        error: 'Variable metadata unavailable',
+        message: `Could not load ${summary.source}: ${summary.error}`
+      });
+    }
+
+    res.json({
+      success: true,
+      year,
+      dataset,
+      recodeScheme,
+      ...summary,
+      variables: dictionary
+    });
+
+  } catch (error) {
+    console.error('Error resolving variable metadata:', error);
+    res.status(500).json({
+      error: 'Failed to resolve variable metadata',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/groups
+ * List geography groups
+ *
+ * Query parameters: geography (only groups with members of this type)
+ */
+app.get('/api/groups', async (req, res) => {
+  try {
+    const geoType = req.query.geography === undefined ? undefined : String(req.query.geography).toLowerCase();
+
+    if (geoType !== undefined && !Object.prototype.hasOwnProperty.call(GEOGRAPHY_TYPES, geoType)) {
+      return res.status(400).json({
+        error: 'Invalid geography',
+        message: `geography must be one of: ${Object.keys(GEOGRAPHY_TYPES).join(', ')}`
+      });
+    }
+
+    const groups = await listGroups({ geoType });
+    res.json({
+      success: true,
+      count: groups.length,
+      groups: groups.map(formatGroup)
+    });
+  } catch (error) {
+    console.error('Error listing geography groups:', error);
+    res.status(500).json({
+      error: 'Failed to list geography groups',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/groups/:name
+ * One geography group and its members
+ */
+app.get('/api/groups/:name', async (req, res) => {
+  try {
+    const group = await getGroup(req.params.name.toLowerCase());
+
+    if (!group) {
+      return res.status(404).json(missingGroups([req.params.name]));
+    }
+
+    res.json({ success: true, group: formatGroup(group) });
+  } catch (error) {
+    console.error('Error fetching geography group:', error);
+    res.status(500).json({
+      error: 'Failed to fetch geography group',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/groups
+ * Create a geography group (requires admin secret)
+ *
+ * Body: JSON { name, label, geoType, members } (see resolveGroup)
+ */
+app.post('/api/groups', requireAdmin, async (req, res) => {
+  try {
+    const { group, error } = resolveGroup(req.body || {});
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    if (await getGroup(group.name)) {
+      return res.status(409).json({
+        error: 'Geography group exists',
+        message: `A geography group named ${group.name} already exists. Use PUT /api/groups/${group.name} to change it.`
+      });
+    }
+
+    const created = await createGroup(group);
+    res.status(201).json({ success: true, group: formatGroup(created) });
+
+  } catch (error) {
+    console.error('Error creating geography group:', error);
+    res.status(500).json({
+      error: 'Failed to create geography group',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/groups/:name
+ * Replace a geography group's definition (requires admin secret)
+ *
+ * Body: JSON { name, label, geoType, members }; name defaults to the
+ * current name (a different name renames the group)
+ */
+app.put('/api/groups/:name', requireAdmin, async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (!(await getGroup(name))) {
+      return res.status(404).json(missingGroups([name]));
+    }
+
+    const { group, error } = resolveGroup({ name, ...(req.body || {}) });
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    if (group.name !== name && await getGroup(group.name)) {
+      return res.status(409).json({
+        error: 'Geography group exists',
+        message: `Cannot rename ${name}: a geography group named ${group.name} already exists`
+      });
+    }
+
+    const updated = await updateGroup(name, group);
+    res.json({ success: true, group: formatGroup(updated) });
+
+  } catch (error) {
+    console.error('Error updating geography group:', error);
+    res.status(500).json({
+      error: 'Failed to update geography group',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/groups/:name
+ * Delete a geography group (requires admin secret)
+ */
+app.delete('/api/groups/:name', requireAdmin, async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+
+    if (!(await getGroup(name))) {
+      return res.status(404).json(missingGroups([name]));
+    }
+
+    await deleteGroup(name);
+    res.json({
+      success: true,
+      message: `Deleted geography group ${name}`
+    });
+
+  } catch (error) {
+    console.error('Error deleting geography group:', error);
+    res.status(500).json({
+      error: 'Failed to delete geography group',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/table/:year
+ * Delete poststrat table for a year (admin only)
+ */
+app.delete('/api/table/:year', requireAdmin, async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+
+    if (isNaN(year)) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    const deletedCount = await deleteTable(year);
+
+    res.json({
+      success: true,
+      year,
+      deletedCount,
+      message: `Deleted ${deletedCount} cells for ${year}`
+    });
+
+  } catch (error) {
+    console.error('Error deleting table:', error);
+    res.status(500).json({
+      error: 'Failed to delete table',
+      message: error.message
+    });
+  }
+});
+
+// ============================================================================
+// FRONTEND
+// ============================================================================
+
+/**
+ * GET /
+ * Serve demo frontend
+ */
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// ============================================================================
+// START SERVER
+// ============================================================================
+
+// Validate the recode schemes before listening, so an invalid scheme file
+// stops the server from starting (throws, listing every problem)
+loadSchemes();
+
+app.listen(PORT, '0.0.0.0', () => {
+  console.log('============================================================');
+  console.log('Census Poststratification API - Demo Server');
+  console.log('============================================================');
+  console.log(`Server running on http://localhost:${PORT}`);
+  console.log('');
+  console.log('API Endpoints:');
+  console.log(`  GET  /api/info              - API information`);
+  console.log(`  GET  /api/health            - Health check`);
+  console.log(`  GET  /api/available-years   - List available ACS years`);
+  console.log(`  POST /api/build/:year       - Start build job (requires admin secret)`);
+  console.log(`  GET  /api/jobs/:id          - Build job status and progress`);
+  console.log(`  DELETE /api/jobs/:id        - Cancel build job (requires admin secret)`);
+  console.log(`  GET  /api/build-runs        - List table versions (requires admin secret)`);
+  console.log(`  GET  /api/build-runs/diff   - Diff two table versions (requires admin secret)`);
+  console.log(`  POST /api/build-runs/:id/rollback - Make a version current (requires admin secret)`);
+  console.log(`  GET  /api/stats/:year       - Get table statistics`);
+  console.log(`  GET  /api/district/:year/:cd - Get district cells`);
+  console.log(`  GET  /api/geography/:year/:geoType/:geoId - Get cells for any geography`);
+  console.log(`  GET  /api/draws/:year       - Simulated frames (uncertainty draws; requires admin secret)`);
+  console.log(`  GET  /api/table/:year/aggregate - Population sums and shares by dimension`);
+  console.log(`  GET  /api/table/:year/export - Export full table (csv, tsv, parquet, json-lines)`);
+  console.log(`  POST /api/weights/:year     - Survey raking / poststrat weights`);
+  console.log(`  POST /api/poststratify/:year - MRP estimates from cell-level predictions`);
+  console.log(`  POST /api/recode/survey     - Recode CES/ANES responses to frame levels`);
+  console.log(`  GET  /api/recode-schemes    - List recode schemes`);
+  console.log('');
+  console.log(`Recode schemes: ${listSchemes().map(scheme => scheme.name).join(', ')}`);
+  console.log('');
+  console.log('Demo UI:');
+  console.log(`  http://localhost:${PORT}/`);
   console.log('============================================================');
+
+  recoverInterruptedJobs()
+    .then(() => recoverInterruptedBuildRuns())
+    .catch(error => {
+      console.error('Failed to recover interrupted builds:', error.message);
+    });
 });
 
 module.exports = app;